@@ -1,18 +1,28 @@
 /**
- * _db.js — Mock In-Memory Database
+ * _db.js — Seed Data
  *
- * In a real production app, this data would live in an actual database
- * like PostgreSQL, MongoDB, or MySQL. For learning purposes, we're using
- * plain JavaScript arrays to simulate a database.
+ * These are the records every fresh data source starts from. Nothing
+ * reads or writes these arrays directly anymore — the storage backends in
+ * datasources/ take a deep copy of them when they are created:
  *
- * "In-memory" means the data only lives while the server is running.
- * Every time you restart the server, it resets back to this original data.
+ *   MemoryStore — copies the seed on every start, so it resets on restart
+ *   FileStore   — copies the seed only when its JSON file doesn't exist yet;
+ *                 after that, the file on disk is the source of truth
  *
  * Notice the naming convention: the file starts with an underscore (_db.js).
  * This is a common convention to signal that this file is "private" or
  * internal — it's infrastructure, not something you'd expose directly.
+ *
+ * BOOKKEEPING FIELDS
+ * Every record also carries three fields the data source maintains on
+ * each write (see datasources/memory.js), never the client:
+ *  - version: starts at 1 and goes up by one with every update
+ *  - created_at / updated_at: ISO 8601 timestamps
+ * All the seed records share one made-up creation date.
  */
 
+const SEEDED_AT = "2024-01-01T00:00:00.000Z";
+
 /**
  * GAMES
  *
@@ -26,21 +36,30 @@
  * This is how relational data works — you don't store the whole related
  * object, just a reference (the id) to it.
  */
-let games = [
+const games = [
     {
         id: "1",
         title: "Legend of Code",
-        platform: ["PC", "Switch"]
+        platform: ["PC", "Switch"],
+        version: 1,
+        created_at: SEEDED_AT,
+        updated_at: SEEDED_AT
     },
     {
         id: "2",
         title: "Bug Hunter 3000",
-        platform: ["Xbox", "PlayStation"]
+        platform: ["Xbox", "PlayStation"],
+        version: 1,
+        created_at: SEEDED_AT,
+        updated_at: SEEDED_AT
     },
     {
         id: "3",
         title: "Terminal Quest",
-        platform: ["PC"]
+        platform: ["PC"],
+        version: 1,
+        created_at: SEEDED_AT,
+        updated_at: SEEDED_AT
     }
 ];
 
@@ -51,25 +70,42 @@ let games = [
  *  - id: unique identifier
  *  - name: display name of the reviewer
  *  - verified: a boolean (true/false) — imagine this like a "verified reviewer" badge
+ *  - bio / avatar_url: an optional profile blurb and picture. An author's
+ *    "joined" date is simply their created_at.
  *
  * Again, no "reviews" array here. The connection to reviews is made
  * through the author_id field that lives on each review object.
  */
-let authors = [
+const authors = [
     {
         id: "201",
         name: "Alice Devlin",
-        verified: true
+        verified: true,
+        bio: "Story-driven adventures and anything with a good soundtrack.",
+        avatar_url: "https://example.com/avatars/alice.png",
+        version: 1,
+        created_at: SEEDED_AT,
+        updated_at: SEEDED_AT
     },
     {
         id: "202",
         name: "Bob Coder",
-        verified: false
+        verified: false,
+        bio: null,
+        avatar_url: null,
+        version: 1,
+        created_at: SEEDED_AT,
+        updated_at: SEEDED_AT
     },
     {
         id: "203",
         name: "Charlie Script",
-        verified: true
+        verified: true,
+        bio: "Speedrunner. Will review anything with a terminal in it.",
+        avatar_url: null,
+        version: 1,
+        created_at: SEEDED_AT,
+        updated_at: SEEDED_AT
     }
 ];
 
@@ -82,6 +118,8 @@ let authors = [
  *  - content: the written review text
  *  - author_id: a FOREIGN KEY — this links the review to an author
  *  - game_id: a FOREIGN KEY — this links the review to a game
+ *  - status: PUBLISHED, PENDING or REJECTED — whether the public can
+ *    see it yet (see moderation.js). The seeded reviews are all public.
  *
  * "Foreign key" is a database term. It just means: "a reference to another
  * record's id". This is how we model relationships without duplicating data.
@@ -90,34 +128,50 @@ let authors = [
  * Instead of copying Alice's full object into the review, we just store her id.
  * When we need her details, we look her up by that id in the authors array.
  */
-let reviews = [
+const reviews = [
     {
         id: "101",
         rating: 5,
         content: "Absolutely loved the gameplay and story!",
         author_id: "201",   // Alice Devlin wrote this
-        game_id: "1"        // About "Legend of Code"
+        game_id: "1",       // About "Legend of Code"
+        status: "PUBLISHED",
+        version: 1,
+        created_at: SEEDED_AT,
+        updated_at: SEEDED_AT
     },
     {
         id: "102",
         rating: 3,
         content: "Fun mechanics but gets repetitive after a while.",
         author_id: "202",   // Bob Coder wrote this
-        game_id: "2"        // About "Bug Hunter 3000"
+        game_id: "2",       // About "Bug Hunter 3000"
+        status: "PUBLISHED",
+        version: 1,
+        created_at: SEEDED_AT,
+        updated_at: SEEDED_AT
     },
     {
         id: "103",
         rating: 4,
         content: "Solid experience, great graphics and soundtrack.",
         author_id: "203",   // Charlie Script wrote this
-        game_id: "3"        // About "Terminal Quest"
+        game_id: "3",       // About "Terminal Quest"
+        status: "PUBLISHED",
+        version: 1,
+        created_at: SEEDED_AT,
+        updated_at: SEEDED_AT
     },
     {
         id: "104",
         rating: 2,
         content: "Too many bugs, felt unfinished.",
         author_id: "202",   // Bob Coder wrote this too (one author, multiple reviews)
-        game_id: "1"        // Also about "Legend of Code"
+        game_id: "1",       // Also about "Legend of Code"
+        status: "PUBLISHED",
+        version: 1,
+        created_at: SEEDED_AT,
+        updated_at: SEEDED_AT
     }
 ];
 
@@ -125,13 +179,12 @@ let reviews = [
  * We export all three arrays as a single default object.
  *
  * This means when another file imports this module, they get:
- *   import db from './_db.js'
- *   db.games    ← the games array
- *   db.authors  ← the authors array
- *   db.reviews  ← the reviews array
+ *   import seed from './_db.js'
+ *   seed.games    ← the games array
+ *   seed.authors  ← the authors array
+ *   seed.reviews  ← the reviews array
  *
- * We use `let` (not `const`) for the arrays because in our mutations
- * (like deleteGame, updateGame) we reassign the entire array.
- * If we used `const`, those reassignments would throw an error.
+ * The arrays are `const` and are never modified — data sources copy them
+ * with structuredClone() and make all their changes on that copy.
  */
 export default { games, authors, reviews }
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * audit.js — Audit Log & Soft Delete
+ *
+ * THE AUDIT LOG
+ * Every mutation calls recordAudit() once for each record it changes.
+ * An entry says who changed what, when, and keeps a copy of the record
+ * before and after the change:
+ *
+ *   {
+ *     id: "7", at: "2026-01-31T12:00:00.000Z", user_id: "admin",
+ *     operation: "updateGame", entity_type: "Game", entity_id: "1",
+ *     before: { id: "1", title: "Legend of Code", ... },
+ *     after:  { id: "1", title: "Legend of Code II", ... }
+ *   }
+ *
+ * before is null for a record that was just created. Entries live in the
+ * data source's "audit" collection, so the file store keeps them across
+ * restarts, and they're never changed or removed.
+ *
+ * SOFT DELETE
+ * Deleting a record doesn't remove it. softDelete() stamps it with
+ * deleted_at instead, and the resolvers leave stamped records out of
+ * every query unless an ADMIN asks for includeDeleted. Nothing is lost,
+ * so a deleted record can be brought back (Mutation.restoreGame).
+ *
+ * Reviews deleted because their game or author was deleted also get
+ * deleted_with ("Game:1", "Author:202"), so restoring that game brings
+ * back exactly the reviews that went with it — and not the ones that
+ * had been deleted on their own before. A review whose author has been
+ * deleted since stays deleted, re-marked as deleted with its author.
+ */
+
+/**
+ * isDeleted(record) / live(records)
+ * Whether a record has been soft-deleted, and a list with the deleted
+ * records left out.
+ */
+export function isDeleted(record) {
+    return record?.deleted_at != null
+}
+
+export function live(records) {
+    return records.filter((record) => !isDeleted(record))
+}
+
+/**
+ * recordAudit(context, operation, type, before, after)
+ * Appends an entry to the audit log for the current user and returns it.
+ *
+ * The snapshots are deep copies: the data source hands out the stored
+ * objects themselves, and the log must not change if they ever do.
+ *
+ * Entry ids come from the data source's sequence, so they count up
+ * from 1 and the log's stored order is also the order its ids sort in.
+ */
+export async function recordAudit({ db, user }, operation, type, before, after) {
+    const entry = {
+        at: new Date().toISOString(),
+        user_id: user.id,
+        operation,
+        entity_type: type,
+        entity_id: (after ?? before).id,
+        before: before && structuredClone(before),
+        after: after && structuredClone(after)
+    }
+    return db.insert('audit', entry)
+}
+
+/**
+ * softDelete(context, operation, type, collection, record, deletedWith)
+ * Marks a record as deleted and records that in the audit log.
+ * deletedWith is set for cascades — "Game:1" for the reviews of game 1.
+ * Returns the deleted record.
+ */
+export async function softDelete(context, operation, type, collection, record, deletedWith) {
+    const edits = { deleted_at: new Date().toISOString() }
+    if (deletedWith) edits.deleted_with = deletedWith
+
+    const deleted = await context.db.update(collection, record.id, edits)
+    await recordAudit(context, operation, type, record, deleted)
+    return deleted
+}
+
+/**
+ * undelete(context, operation, type, collection, record)
+ * The reverse of softDelete(): clears the deletion stamps and records it.
+ * Returns the restored record.
+ */
+export async function undelete(context, operation, type, collection, record) {
+    const restored = await context.db.update(collection, record.id, { deleted_at: null, deleted_with: null })
+    await recordAudit(context, operation, type, record, restored)
+    return restored
+}
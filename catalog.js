@@ -0,0 +1,315 @@
+/**
+ * catalog.js — Bulk Import & Export
+ *
+ * Moves games, authors and reviews in and out of the data source in bulk,
+ * as JSON or CSV. Used by Query.exportCatalog / Mutation.importCatalog and
+ * by the command-line script (scripts/catalog.js).
+ *
+ * FORMATS
+ *   json — one document holding any of the three collections:
+ *            { "games": [...], "authors": [...], "reviews": [...] }
+ *          or, when the collection is named separately, just its array.
+ *   csv  — one file per collection (see csv.js). A game's platforms
+ *          share one column, separated by semicolons: PC;Switch
+ *
+ * Platforms may be written either way: PLAYSTATION or PlayStation.
+ * Only live records are exported, and only their own fields — not the
+ * bookkeeping ones (version, timestamps, deletion stamps).
+ *
+ * IMPORTING
+ * Each row is a whole record. A row whose id already exists UPDATES that
+ * record; any other row CREATES one (the data source picks the id if it
+ * has none).
+ * Rows equal to what's stored are left UNCHANGED.
+ *
+ * An import is ALL-OR-NOTHING. Every row is checked first:
+ *   • the same rules as the add mutations (validation.js)
+ *   • foreign keys — a review's game_id / author_id must point at a live
+ *     record, either already stored or created by the same import
+ *   • no id twice in one import, and no updating a deleted record
+ * If ANY row fails, nothing is written and the report lists every problem
+ * by collection, row (counting from 1) and field. Otherwise all rows are
+ * written in one data-source transaction, each one audited like any
+ * other mutation.
+ *
+ * DRY RUN
+ * With dryRun, the checks run and the report says what WOULD be created,
+ * updated or left alone — but nothing is written.
+ */
+
+import { isDeleted, live, recordAudit } from './audit.js'
+import { formatCsv, parseCsv } from './csv.js'
+import { PLATFORMS, authorRules, gameRules, invalidInput, reviewRules, validate } from './validation.js'
+
+/**
+ * The collections a catalog can hold, in import order — games and authors
+ * come before the reviews that point at them. For each: its GraphQL type
+ * name, its fields (also the CSV columns, in order) and its rule set.
+ */
+const COLLECTIONS = {
+    games: { type: 'Game', fields: ['id', 'title', 'platform'], rules: gameRules },
+    authors: { type: 'Author', fields: ['id', 'name', 'verified', 'bio', 'avatar_url'], rules: authorRules },
+    reviews: { type: 'Review', fields: ['id', 'rating', 'content', 'game_id', 'author_id'], rules: reviewRules }
+}
+
+// Which report counter each import action adds to
+const COUNTERS = { CREATE: 'created', UPDATE: 'updated', UNCHANGED: 'unchanged' }
+
+export const FORMATS = ['json', 'csv']
+export const COLLECTION_NAMES = Object.keys(COLLECTIONS)
+
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * parseCatalog(text, { format, collection })
+ * Turns an import file's text into { games, authors, reviews } — each of
+ * them an array of raw rows, and any of them possibly missing.
+ * collection is required for CSV and for a JSON array.
+ *
+ * A file that can't be read at all is a BAD_USER_INPUT error; problems
+ * with individual rows are left for importCatalog() to report.
+ */
+export function parseCatalog(text, { format = 'json', collection } = {}) {
+    if (format === 'csv') {
+        if (!collection) throw invalidInput({ collection: 'is required for CSV — each file holds one collection' })
+        try {
+            return { [collection]: parseCsv(text) }
+        } catch (error) {
+            throw invalidInput({ data: error.message })
+        }
+    }
+
+    let document
+    try {
+        document = JSON.parse(text)
+    } catch (error) {
+        throw invalidInput({ data: `is not valid JSON: ${error.message}` })
+    }
+
+    if (Array.isArray(document)) {
+        if (!collection) throw invalidInput({ collection: 'is required when the JSON is a single array' })
+        return { [collection]: document }
+    }
+    if (document === null || typeof document !== 'object') {
+        throw invalidInput({ data: 'must be a JSON object or array' })
+    }
+
+    const catalog = {}
+    for (const [name, rows] of Object.entries(document)) {
+        if (!COLLECTIONS[name]) throw invalidInput({ data: `has an unknown collection "${name}"` })
+        if (collection && name !== collection) continue
+        if (!Array.isArray(rows)) throw invalidInput({ data: `"${name}" must be an array` })
+        catalog[name] = rows
+    }
+    return catalog
+}
+
+/**
+ * Converters for each field: they take the raw value from a JSON or CSV
+ * row (where everything is a string) and return the value to store, or
+ * throw with a message for the report. An empty value comes out as
+ * undefined, so validate() reports it as missing — or, for an optional
+ * field like an author's bio, as null, so importing it clears the field.
+ */
+const text = (value) => {
+    if (typeof value !== 'string') throw new TypeError('must be text')
+    return value
+}
+
+const FIELDS = {
+    id: (value) => String(value),
+    title: text,
+    name: text,
+    content: text,
+    bio: text,
+    avatar_url: text,
+    game_id: (value) => String(value),
+    author_id: (value) => String(value),
+
+    // Left as-is when it isn't a number: the rating rule explains the problem
+    rating: (value) => typeof value === 'string' && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value,
+
+    verified: (value) => {
+        if (typeof value === 'boolean') return value
+        if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true'
+        throw new TypeError('must be true or false')
+    },
+
+    platform: (value) => {
+        const names = typeof value === 'string' ? value.split(';').map((name) => name.trim()).filter(Boolean) : value
+        if (!Array.isArray(names)) throw new TypeError('must be a list of platforms')
+        return names.map((name) => {
+            const platform = typeof name === 'string' && PLATFORMS[name.toUpperCase()]
+            if (!platform) throw new TypeError(`"${name}" is not a platform`)
+            return platform
+        })
+    }
+}
+
+/**
+ * readRow(collection, raw)
+ * Converts and validates one raw row. Returns the record and the
+ * problems found with it, per field.
+ */
+function readRow(collection, raw) {
+    const { fields, rules } = COLLECTIONS[collection]
+    const record = {}
+    const fieldErrors = {}
+
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { record, fieldErrors: { row: 'must be an object' } }
+    }
+
+    for (const [field, value] of Object.entries(raw)) {
+        if (!fields.includes(field)) {
+            fieldErrors[field] = 'is not a known field'
+        } else if (value != null && value !== '') {
+            try {
+                record[field] = FIELDS[field](value)
+            } catch (error) {
+                fieldErrors[field] = error.message
+            }
+        } else if (rules[field]?.optional) {
+            record[field] = null
+        }
+    }
+    if (collection === 'authors') record.verified ??= false   // as in AddAuthorInput
+
+    try {
+        validate(record, rules)
+    } catch (error) {
+        // A field that couldn't be converted keeps that message, not "is required"
+        Object.assign(fieldErrors, { ...error.extensions.fieldErrors, ...fieldErrors })
+    }
+    return { record, fieldErrors }
+}
+
+
+// =============================================================================
+// IMPORT
+// =============================================================================
+
+/**
+ * importCatalog(context, catalog, { dryRun })
+ * Checks and (unless dryRun) writes a parsed catalog. context needs
+ * { db, user } — the user is who the audit log records the changes as.
+ *
+ * Returns { report, written }:
+ *   report  — { dryRun, applied, created, updated, unchanged, changes, errors }
+ *             changes: { collection, row, id, action } for every valid row
+ *             errors:  { collection, row, field, message } for every problem
+ *   written — { type, record } for every record stored, so the caller
+ *             can refresh caches and the search index
+ */
+export async function importCatalog(context, catalog, { dryRun = false } = {}) {
+    const { db } = context
+    const report = { dryRun, applied: false, created: 0, updated: 0, unchanged: 0, changes: [], errors: [] }
+    const plan = []
+
+    // Ids that will exist once the import is done, for checking foreign keys
+    const liveIds = {}
+
+    for (const [collection, { type, fields }] of Object.entries(COLLECTIONS)) {
+        const stored = new Map((await db.list(collection)).map((record) => [record.id, record]))
+        liveIds[collection] = new Set(live([...stored.values()]).map((record) => record.id))
+        const seen = new Set()
+
+        for (const [index, raw] of (catalog[collection] ?? []).entries()) {
+            const row = index + 1
+            const { record, fieldErrors } = readRow(collection, raw)
+
+            if (record.id != null) {
+                if (seen.has(record.id)) {
+                    fieldErrors.id ??= 'appears more than once in this import'
+                } else if (isDeleted(stored.get(record.id))) {
+                    fieldErrors.id ??= `${type} "${record.id}" has been deleted`
+                }
+                seen.add(record.id)
+            }
+            if (collection === 'reviews') {
+                if (record.game_id != null && !liveIds.games.has(record.game_id)) {
+                    fieldErrors.game_id ??= `Game "${record.game_id}" does not exist`
+                }
+                if (record.author_id != null && !liveIds.authors.has(record.author_id)) {
+                    fieldErrors.author_id ??= `Author "${record.author_id}" does not exist`
+                }
+            }
+
+            if (Object.keys(fieldErrors).length > 0) {
+                for (const [field, message] of Object.entries(fieldErrors)) {
+                    report.errors.push({ collection, row, field: field === 'row' ? null : field, message })
+                }
+                continue
+            }
+
+            const existing = stored.get(record.id)
+            // A missing optional field and a null one are the same thing
+            const action = !existing ? 'CREATE'
+                : fields.every((field) => JSON.stringify(existing[field] ?? null) === JSON.stringify(record[field] ?? null)) ? 'UNCHANGED'
+                : 'UPDATE'
+            const change = { collection, row, id: record.id ?? null, action }
+
+            if (record.id != null) liveIds[collection].add(record.id)
+            report[COUNTERS[action]]++
+            report.changes.push(change)
+            plan.push({ type, collection, record, existing, change })
+        }
+    }
+
+    if (report.errors.length > 0 || dryRun) return { report, written: [] }
+
+    const written = await db.transaction(async () => {
+        const written = []
+        for (const { type, collection, record, existing, change } of plan) {
+            if (change.action === 'UNCHANGED') continue
+
+            let stored
+            if (existing) {
+                stored = await db.update(collection, record.id, record)
+            } else {
+                stored = await db.insert(collection, record)
+            }
+            await recordAudit(context, 'importCatalog', type, existing ?? null, stored)
+
+            change.id = stored.id
+            written.push({ type, record: stored })
+        }
+        return written
+    })
+
+    report.applied = true
+    return { report, written }
+}
+
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+/**
+ * exportCatalog(db, { format, collection })
+ * Every live record, as JSON or CSV text. JSON holds every collection
+ * unless one is named; CSV always needs one.
+ */
+export async function exportCatalog(db, { format = 'json', collection } = {}) {
+    if (format === 'csv' && !collection) {
+        throw invalidInput({ collection: 'is required for CSV — each file holds one collection' })
+    }
+
+    const catalog = {}
+    for (const name of collection ? [collection] : COLLECTION_NAMES) {
+        const { fields } = COLLECTIONS[name]
+        catalog[name] = live(await db.list(name)).map((record) =>
+            Object.fromEntries(fields.map((field) => [field, record[field]])))
+    }
+
+    if (format === 'csv') {
+        const rows = catalog[collection].map((record) =>
+            record.platform ? { ...record, platform: record.platform.join(';') } : record)
+        return formatCsv(COLLECTIONS[collection].fields, rows)
+    }
+    return JSON.stringify(catalog, null, 2) + '\n'
+}
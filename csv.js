@@ -0,0 +1,108 @@
+/**
+ * csv.js — Reading & Writing CSV
+ *
+ * CSV (comma-separated values) is what spreadsheets import and export.
+ * The first line is a HEADER naming the columns; every line after it is
+ * one record:
+ *
+ *   id,title,platform
+ *   1,Legend of Code,PC;Switch
+ *   2,"Bugs, Bugs, Bugs",PC
+ *
+ * A value containing a comma, a quote or a line break is wrapped in
+ * double quotes, and a quote inside one is doubled: "She said ""hi""".
+ * That's the whole format (RFC 4180) — small enough that we don't need a
+ * library for it.
+ *
+ * Every value is read as a string; turning "5" into a number is up to
+ * the caller (see catalog.js).
+ */
+
+/**
+ * parseCsv(text)
+ * Returns one object per record, keyed by the header's column names:
+ *
+ *   parseCsv('id,title\n1,Legend of Code')  →  [{ id: '1', title: 'Legend of Code' }]
+ *
+ * Blank lines are skipped. Throws if a quoted value is never closed or a
+ * record has more values than the header has columns.
+ */
+export function parseCsv(text) {
+    const [header, ...records] = parseRows(text)
+    if (!header) return []
+
+    return records.map((values, index) => {
+        if (values.length > header.length) {
+            throw new Error(`CSV record ${index + 1} has ${values.length} values but the header has ${header.length} columns`)
+        }
+        return Object.fromEntries(header.map((column, i) => [column, values[i] ?? '']))
+    })
+}
+
+/**
+ * parseRows(text)
+ * Splits CSV text into rows of values, honouring quotes. Walks the text
+ * one character at a time, since a quoted value can contain commas and
+ * line breaks that don't end anything.
+ */
+function parseRows(text) {
+    const rows = []
+    let row = []
+    let value = ''
+    let quoted = false
+    let index = text.charCodeAt(0) === 0xfeff ? 1 : 0   // skip a byte order mark
+
+    const endValue = () => {
+        row.push(value)
+        value = ''
+    }
+    const endRow = () => {
+        endValue()
+        // A blank line is a row holding one empty value — skip it
+        if (row.length > 1 || row[0] !== '') rows.push(row)
+        row = []
+    }
+
+    for (; index < text.length; index++) {
+        const char = text[index]
+
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                value += '"'
+                index++
+            } else if (char === '"') {
+                quoted = false
+            } else {
+                value += char
+            }
+        } else if (char === '"' && value === '') {
+            quoted = true
+        } else if (char === ',') {
+            endValue()
+        } else if (char === '\n') {
+            endRow()
+        } else if (char !== '\r') {
+            value += char
+        }
+    }
+
+    if (quoted) throw new Error('CSV ends inside a quoted value')
+    if (value !== '' || row.length > 0) endRow()
+    return rows
+}
+
+/**
+ * formatCsv(columns, records)
+ * The reverse of parseCsv(): a header line of column names, then one line
+ * per record. Values that need it are quoted; null and undefined become
+ * empty values.
+ */
+export function formatCsv(columns, records) {
+    const lines = [columns, ...records.map((record) => columns.map((column) => record[column]))]
+    return lines.map((values) => values.map(formatValue).join(',')).join('\n') + '\n'
+}
+
+function formatValue(value) {
+    const text = value == null ? '' : String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text
+}
@@ -0,0 +1,76 @@
+/**
+ * datasources/file.js — JSON File Data Source
+ *
+ * A durable backend: all collections live in a single JSON file on disk,
+ * so anything a mutation changes (addGame, updateGame, ...) survives a
+ * server restart.
+ *
+ * It reuses MemoryStore for every read and write — the data is still held
+ * in memory while the server runs — and only adds two things:
+ *
+ *   1. LOADING  — on startup the file is read. If it doesn't exist yet,
+ *                 the store starts from the _db.js seed data and creates it.
+ *   2. SAVING   — after every write the whole dataset is written back
+ *                 (once at the end for a transaction).
+ *
+ * ATOMIC WRITES
+ * We never write straight into the real file. If the process crashed
+ * halfway through, the file would be left half-written and unreadable.
+ * Instead we write a temporary file next to it and then rename() it over
+ * the original. A rename within the same directory is atomic: readers
+ * see either the old file or the new one, never a mix.
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises'
+import path from 'node:path'
+
+import seed from '../_db.js'
+import { MemoryStore } from './memory.js'
+
+export class FileStore extends MemoryStore {
+    /**
+     * Use FileStore.open() rather than `new FileStore()` — loading the
+     * file is asynchronous, and constructors can't be.
+     */
+    constructor(filePath, data) {
+        super(data)
+        this.filePath = filePath
+
+        // Saves are chained onto this promise so two writes can never
+        // overlap and finish in the wrong order.
+        this.saving = Promise.resolve()
+    }
+
+    /**
+     * FileStore.open(filePath)
+     * Reads the JSON file, or seeds a new one from _db.js if it's missing.
+     */
+    static async open(filePath) {
+        let data
+        try {
+            data = JSON.parse(await readFile(filePath, 'utf8'))
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error
+            data = seed
+        }
+
+        const store = new FileStore(filePath, data)
+        await store.changed()   // make sure the file exists from the start
+        return store
+    }
+
+    async changed() {
+        const next = this.saving.then(() => this.save())
+        // Keep the chain alive even if one save fails, but still report
+        // the failure to the caller that triggered it.
+        this.saving = next.catch(() => {})
+        return next
+    }
+
+    async save() {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`
+        await mkdir(path.dirname(this.filePath), { recursive: true })
+        await writeFile(tempPath, JSON.stringify(this.data, null, 2))
+        await rename(tempPath, this.filePath)
+    }
+}
@@ -0,0 +1,30 @@
+/**
+ * datasources/index.js — Choosing a Storage Backend
+ *
+ * The server calls createStore() once at startup and hands the result to
+ * every resolver through the Apollo context (context.db).
+ *
+ * Which backend is used is controlled by environment variables:
+ *
+ *   DATA_STORE=memory   (default) — in-memory, resets on restart
+ *   DATA_STORE=file               — JSON file, survives restarts
+ *   DATA_FILE=./data/db.json      — where the file store keeps its data
+ */
+
+import { MemoryStore, VersionConflictError } from './memory.js'
+import { FileStore } from './file.js'
+
+export { MemoryStore, FileStore, VersionConflictError }
+
+export async function createStore(env = process.env) {
+    const kind = env.DATA_STORE ?? 'memory'
+
+    switch (kind) {
+        case 'memory':
+            return new MemoryStore()
+        case 'file':
+            return FileStore.open(env.DATA_FILE ?? './data/db.json')
+        default:
+            throw new Error(`Unknown DATA_STORE "${kind}" — expected "memory" or "file"`)
+    }
+}
@@ -0,0 +1,297 @@
+/**
+ * datasources/memory.js — In-Memory Data Source
+ *
+ * This is the default storage backend. It keeps every collection
+ * (games, authors, reviews) as a plain array in memory — exactly what
+ * _db.js used to do on its own — but hides those arrays behind a small
+ * set of methods.
+ *
+ * Why bother wrapping arrays in a class?
+ *   Resolvers no longer know HOW data is stored. They only call
+ *   list / get / insert / update / remove. That means we can swap in a
+ *   different backend (see file.js) without touching a single resolver.
+ *
+ * THE DATA-SOURCE INTERFACE
+ * Every backend must provide these async methods:
+ *
+ *   list(collection)                     → every record in the collection
+ *   get(collection, id)                  → one record, or null
+ *   getMany(collection, ids)             → one record (or null) per id, in the same order
+ *   findBy(collection, field, value)     → records where record[field] === value
+ *   findByMany(collection, field, values) → one array of matching records per value
+ *   insert(collection, record)           → the stored record, with its id
+ *   update(collection, id, edits, options) → the merged record, or null if id is unknown
+ *   remove(collection, id)               → the removed record, or null
+ *   removeBy(collection, field, value)   → the removed records (used for cascades)
+ *   transaction(work)                    → whatever work() returns (see below)
+ *
+ * The methods are async even though nothing here waits on I/O, so that
+ * callers are written the same way for every backend — a real database
+ * is always asynchronous.
+ *
+ * getMany / findByMany are the BATCH versions of get / findBy. The loaders
+ * in loaders.js collect every lookup made during one tick of execution and
+ * hand them over in a single call, so a backend can answer them all in one
+ * round trip (think `WHERE id IN (...)`).
+ *
+ * Records handed out are the stored objects themselves; treat them as
+ * read-only and go through update() to change anything.
+ *
+ * IDS
+ * Ids are handed out by the store, never made up by callers: insert a
+ * record WITHOUT an id and it gets the next number in its collection's
+ * SEQUENCE — games "4", "5", ... after the seeded "1" to "3". Like a
+ * database's auto-increment column:
+ *
+ *   • the next id is taken and the record stored in one synchronous step,
+ *     so two inserts can never be given the same id
+ *   • a sequence only goes up. It's stored in the "sequences" collection
+ *     ({ id: "games", value: 5 }), so the file store keeps it across
+ *     restarts and an id is never reused, even after a record is removed
+ *
+ * A record inserted WITH an id (a catalog import, say) keeps it; the
+ * sequence skips past it if it's a number. Inserting an id that already
+ * exists throws — insert never overwrites.
+ *
+ * VERSIONS & TIMESTAMPS
+ * The store keeps three bookkeeping fields on every record, whatever the
+ * caller passes in:
+ *
+ *   insert → version: 1,  created_at and updated_at: now
+ *   update → version + 1, updated_at: now (created_at never changes)
+ *
+ * Games, reviews and authors loaded without them — data saved before
+ * versions existed — are given version 1 and the time they were loaded,
+ * since the schema promises every one of them a version and timestamps.
+ *
+ * update() can also do OPTIMISTIC CONCURRENCY CONTROL: pass
+ * { expectedVersion } and the edits are only applied if the stored record
+ * is still at that version. If someone else updated it in the meantime,
+ * nothing is written and a VersionConflictError is thrown carrying the
+ * current record. The check and the write happen together, with no await
+ * in between, so two callers can never both pass the check.
+ *
+ * TRANSACTIONS
+ * transaction(work) runs an async function that makes several writes
+ * and makes them ALL-OR-NOTHING: if work() throws, every write it made is
+ * undone. The writes are also saved once, together, at the end — so a
+ * durable backend never has half of them on disk. The catalog import
+ * (catalog.js) uses this.
+ */
+
+import seed from '../_db.js'
+
+// The collections whose records have a version and timestamps in the schema
+const VERSIONED = ['games', 'reviews', 'authors']
+
+/**
+ * Thrown by update() when options.expectedVersion doesn't match the
+ * stored record. error.current is the record as it is now.
+ */
+export class VersionConflictError extends Error {
+    constructor(collection, current) {
+        super(`${collection} "${current.id}" is at version ${current.version}`)
+        this.name = 'VersionConflictError'
+        this.current = current
+    }
+}
+
+export class MemoryStore {
+    /**
+     * @param {object} [data] — { games, authors, reviews } to start from.
+     *   Defaults to the fixtures in _db.js. structuredClone() makes a deep
+     *   copy, so writes never leak back into the seed data and every store
+     *   starts from a fresh, independent copy.
+     */
+    constructor(data = seed) {
+        this.data = structuredClone(data)
+        this.inTransaction = false
+        this.backfillVersions()
+    }
+
+    /**
+     * backfillVersions()
+     * Gives every versioned record that doesn't have them yet the
+     * bookkeeping fields — see VERSIONS & TIMESTAMPS above. Like a
+     * sequence, this only matters for data from before they existed.
+     */
+    backfillVersions() {
+        const now = new Date().toISOString()
+        for (const name of VERSIONED) {
+            for (const record of this.collection(name)) {
+                record.version ??= 1
+                record.created_at ??= now
+                record.updated_at ??= record.created_at
+            }
+        }
+    }
+
+    async list(collection) {
+        return this.collection(collection)
+    }
+
+    async get(collection, id) {
+        return this.collection(collection).find((record) => record.id === id) ?? null
+    }
+
+    async getMany(collection, ids) {
+        const byId = new Map(this.collection(collection).map((record) => [record.id, record]))
+        return ids.map((id) => byId.get(id) ?? null)
+    }
+
+    async findBy(collection, field, value) {
+        return this.collection(collection).filter((record) => record[field] === value)
+    }
+
+    async findByMany(collection, field, values) {
+        // Group every record by its field value in one pass over the collection
+        const groups = new Map(values.map((value) => [value, []]))
+        for (const record of this.collection(collection)) {
+            groups.get(record[field])?.push(record)
+        }
+        return values.map((value) => groups.get(value))
+    }
+
+    /**
+     * transaction(work)
+     * Calls work(), and if it (or saving its writes) throws, puts the data
+     * back exactly as it was before. Writes made by anything else while
+     * work() runs are part of the transaction too, so keep work() short
+     * and free of slow I/O.
+     */
+    async transaction(work) {
+        if (this.inTransaction) return work()   // nested: part of the outer one
+
+        const snapshot = structuredClone(this.data)
+        this.inTransaction = true
+        try {
+            const result = await work()
+            this.inTransaction = false
+            await this.changed()
+            return result
+        } catch (error) {
+            this.data = snapshot
+            throw error
+        } finally {
+            this.inTransaction = false
+        }
+    }
+
+    async insert(collection, record) {
+        const records = this.collection(collection)
+        const id = record.id ?? this.nextId(collection)
+        if (records.some((existing) => existing.id === id)) {
+            throw new Error(`${collection} "${id}" already exists`)
+        }
+        this.advanceSequence(collection, id)
+
+        const now = new Date().toISOString()
+        const stored = { ...record, id, version: 1, created_at: now, updated_at: now }
+        records.push(stored)
+        await this.written()
+        return stored
+    }
+
+    /**
+     * update(collection, id, edits, { expectedVersion })
+     * expectedVersion is optional — leave it out to update unconditionally.
+     */
+    async update(collection, id, edits, { expectedVersion } = {}) {
+        const records = this.collection(collection)
+        const index = records.findIndex((record) => record.id === id)
+        if (index === -1) return null
+
+        const current = records[index]
+        if (expectedVersion != null && current.version !== expectedVersion) {
+            throw new VersionConflictError(collection, current)
+        }
+
+        // Same merge as before: original fields, overwritten by the edits —
+        // then the bookkeeping fields, which edits can't override
+        records[index] = {
+            ...current,
+            ...edits,
+            version: (current.version ?? 1) + 1,
+            created_at: current.created_at,
+            updated_at: new Date().toISOString()
+        }
+        await this.written()
+        return records[index]
+    }
+
+    async remove(collection, id) {
+        const records = this.collection(collection)
+        const index = records.findIndex((record) => record.id === id)
+        if (index === -1) return null
+
+        const [removed] = records.splice(index, 1)
+        await this.written()
+        return removed
+    }
+
+    async removeBy(collection, field, value) {
+        const records = this.collection(collection)
+        const removed = records.filter((record) => record[field] === value)
+        if (removed.length === 0) return removed
+
+        this.data[collection] = records.filter((record) => record[field] !== value)
+        await this.written()
+        return removed
+    }
+
+    /**
+     * nextId(collection) / advanceSequence(collection, id)
+     * The collection's sequence — see IDS above. A sequence that doesn't
+     * exist yet starts from the highest numeric id already stored, so data
+     * from before sequences existed carries on where it left off.
+     */
+    nextId(collection) {
+        return String(this.sequence(collection).value + 1)
+    }
+
+    advanceSequence(collection, id) {
+        const sequence = this.sequence(collection)
+        if (/^\d+$/.test(id)) sequence.value = Math.max(sequence.value, Number(id))
+    }
+
+    sequence(collection) {
+        const sequences = this.collection('sequences')
+        let sequence = sequences.find((candidate) => candidate.id === collection)
+        if (!sequence) {
+            const numericIds = this.collection(collection)
+                .map((record) => record.id)
+                .filter((id) => /^\d+$/.test(id))
+                .map(Number)
+            sequence = { id: collection, value: Math.max(0, ...numericIds) }
+            sequences.push(sequence)
+        }
+        return sequence
+    }
+
+    /**
+     * collection(name)
+     * Returns the array for a collection, creating it on first use.
+     * Unknown collection names are almost always a typo, but creating the
+     * array keeps the store usable for new entity types without a migration.
+     */
+    collection(name) {
+        if (!this.data[name]) this.data[name] = []
+        return this.data[name]
+    }
+
+    /**
+     * written()
+     * Called after every write: saves right away, or — inside a
+     * transaction — leaves it to the end of the transaction.
+     */
+    async written() {
+        if (!this.inTransaction) await this.changed()
+    }
+
+    /**
+     * changed()
+     * Hook called after every write (or transaction). The in-memory store has nothing to
+     * do here; durable backends override it to save the data.
+     */
+    async changed() {}
+}
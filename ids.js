@@ -0,0 +1,66 @@
+/**
+ * ids.js — Global Object Identification
+ *
+ * Inside the data source every record has a plain id that is only unique
+ * within its own collection: there's a Game "1", and there could be a
+ * Review "1" too. (The data source hands those ids out itself — see
+ * "IDS" in datasources/memory.js.)
+ *
+ * Through the API, every Game, Review and Author is a NODE with a GLOBAL
+ * id instead: the type name and the record's id, base64-encoded.
+ *
+ *   Game "1"    →  "Game:1"    →  "R2FtZTox"
+ *   Review "1"  →  "Review:1"  →  "UmV2aWV3OjE="
+ *
+ * Because it includes the type, a global id is unique across the whole
+ * API. That's what lets Query.node(id) fetch ANY object from its id alone,
+ * and what client caches (Relay, Apollo Client) use to store each object
+ * exactly once. Like cursors (pagination.js), the ids are base64-encoded
+ * so clients treat them as opaque strings rather than building them.
+ *
+ * This follows the Relay Global Object Identification spec:
+ *   https://relay.dev/graphql/objectidentification.htm
+ *
+ * Arguments that take the id of a specific type — game(id:), updateGame,
+ * AddReviewInput.game_id, ... — accept a global id, or the record's plain
+ * id for clients written before global ids existed (see localId below).
+ */
+
+export const NODE_TYPES = ['Game', 'Review', 'Author']
+
+export function toGlobalId(type, id) {
+    return Buffer.from(`${type}:${id}`).toString('base64')
+}
+
+/**
+ * fromGlobalId(globalId)
+ * Returns { type, id } — or null if the value isn't a global id we could
+ * have handed out.
+ */
+export function fromGlobalId(globalId) {
+    const decoded = Buffer.from(globalId, 'base64').toString('utf8')
+    const separator = decoded.indexOf(':')
+    const type = decoded.slice(0, separator)
+    const id = decoded.slice(separator + 1)
+
+    // Re-encoding has to give back exactly what we got, so a plain id that
+    // happens to decode to something ("Game" is valid base64) isn't misread
+    if (separator === -1 || !NODE_TYPES.includes(type) || id === '' || toGlobalId(type, id) !== globalId) {
+        return null
+    }
+    return { type, id }
+}
+
+/**
+ * localId(type, id)
+ * The data source's id for an id argument that should point at a `type`:
+ *
+ *   a global id of that type   → its plain id       ("R2FtZTox" → "1")
+ *   a global id of ANOTHER type → null               (a Review's id passed as a Game's)
+ *   anything else              → used as a plain id ("1" → "1")
+ */
+export function localId(type, id) {
+    const global = fromGlobalId(id)
+    if (!global) return id
+    return global.type === type ? global.id : null
+}
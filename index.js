@@ -1,315 +1,223 @@
 /**
- * index.js — Apollo Server Setup & Resolvers
+ * index.js — HTTP & WebSocket Server
  *
- * This is the heart of the application. It does two major things:
+ * This is the entry point of the application. It takes the GraphQL server
+ * built by server.js and puts it on a port, so clients can reach it.
  *
- *   1. RESOLVERS — Functions that define HOW to fetch or modify the data
- *      for every field defined in the schema. Think of resolvers as the
- *      "handlers" for each query and mutation.
+ *   schema.js    → WHAT data looks like and WHAT you can ask for
+ *   resolvers.js → HOW to actually get or change that data
+ *   server.js    → wires the two together into an Apollo Server
  *
- *   2. SERVER SETUP — Creates an Apollo Server instance, plugs in the
- *      schema (typeDefs) and the resolvers, and starts listening for requests.
- *
- * The relationship between schema and resolvers:
- *   Schema  → defines WHAT data looks like and WHAT you can ask for
- *   Resolver → defines HOW to actually get or change that data
- *
- * Every field in your Query and Mutation types MUST have a matching resolver.
- * If a resolver is missing, Apollo will return null for that field.
+ * One port serves two protocols:
+ *   HTTP       → queries and mutations (Express + Apollo Server)
+ *   WebSocket  → subscriptions (the graphql-ws protocol)
  */
 
-import { ApolloServer } from '@apollo/server';
-import { startStandaloneServer } from '@apollo/server/standalone';
+import { createServer } from 'node:http';
 
-// Our mock in-memory database (arrays of games, authors, reviews)
-import db from './_db.js'
+import { expressMiddleware } from '@as-integrations/express5';
+import { ApolloServerPluginDrainHttpServer } from '@apollo/server/plugin/drainHttpServer';
+import cors from 'cors';
+import express from 'express';
+import { WebSocketServer } from 'ws';
+import { useServer } from 'graphql-ws/use/ws';
 
-// Our GraphQL schema — the type definitions that describe the API contract
-import { typeDefs } from './schema.js';
+// The storage backend (in-memory or JSON file) — picked from env vars
+import { createStore } from './datasources/index.js'
 
+// Turns the Authorization header into the current user
+import { DEFAULT_SECRET, getUser, jwtSecretFromEnv } from './auth.js'
 
-// =============================================================================
-// RESOLVERS
-// =============================================================================
-/**
- * The resolvers object mirrors the structure of your schema exactly.
- * Top-level keys match type names: Query, Mutation, Game, Author, Review.
- * Inside each, the keys match field names defined in the schema.
- *
- * Every resolver function can receive up to 4 arguments:
- *   (parent, args, context, info)
- *
- *   parent  → the resolved value of the PARENT type (used in nested resolvers)
- *   args    → any arguments passed in the query/mutation, e.g. game(id: "1") → args.id = "1"
- *   context → shared data across all resolvers (auth tokens, db connections, etc.) — not used here
- *   info    → advanced metadata about the query execution — rarely needed
- *
- * When we don't need an argument, we use _ as a placeholder by convention.
- * e.g. (_, args) means "I don't need parent, but I do need args"
- */
-const resolvers = {
+// The schema, Apollo Server and per-request context, minus the HTTP part
+import { createGraphQLServer, schemaModeFromEnv } from './server.js'
 
-    // =========================================================================
-    // QUERY RESOLVERS
-    // =========================================================================
-    // These handle all READ operations — fetching data without changing anything.
-    Query: {
+// Persisted queries and the operation allowlist, configured from env vars
+import { allowlistOnSubscribe, persistedQueriesFromEnv } from './plugins/persistedQueries.js'
 
-        /**
-         * games()
-         * Handles the query: { games { id title platform } }
-         * Simply returns the entire games array from our mock db.
-         * No arguments needed — we're just listing everything.
-         */
-        games() {
-            return db.games
-        },
+// Depth and cost limits, for the subscriptions Apollo's plugins never see
+import { limitsFromEnv, limitsOnSubscribe } from './plugins/queryLimits.js'
 
-        /**
-         * reviews()
-         * Handles the query: { reviews { id rating content } }
-         */
-        reviews() {
-            return db.reviews
-        },
+// Operation logs, trace spans and Prometheus metrics, configured from env vars
+import { observabilityFromEnv } from './plugins/observability.js'
 
-        /**
-         * authors()
-         * Handles the query: { authors { id name verified } }
-         */
-        authors() {
-            return db.authors
-        },
+// The REST/JSON gateway, which runs fixed GraphQL operations
+import { allowRoutes, restRouter } from './rest.js'
 
-        /**
-         * review(_, args)
-         * Handles the query: { review(id: "101") { rating content } }
-         *
-         * args.id contains the id the client passed in.
-         * We use .find() to search the array for a matching review.
-         * Returns a single Review object, or undefined if not found.
-         */
-        review(_, args) {
-            return db.reviews.find((review) => review.id === args.id)
-        },
 
-        /**
-         * game(_, args)
-         * Handles the query: { game(id: "1") { title platform } }
-         */
-        game(_, args) {
-            return db.games.find((game) => game.id === args.id)
-        },
+// =============================================================================
+// SERVER SETUP
+// =============================================================================
+/**
+ * The data source is created once, when the server starts, and shared by
+ * every request. Set DATA_STORE=file to keep data in a JSON file that
+ * survives restarts (see datasources/index.js).
+ */
+const db = await createStore()
 
-        /**
-         * author(_, args)
-         * Handles the query: { author(id: "201") { name verified } }
-         */
-        author(_, args) {
-            return db.authors.find((author) => author.id === args.id)
-        }
-    },
+/**
+ * Tokens are signed with JWT_SECRET. Outside development the server
+ * won't start without it: the fallback secret is in this repository, so
+ * anyone could sign themselves an ADMIN token with it.
+ */
+if (jwtSecretFromEnv() === DEFAULT_SECRET) {
+    console.warn(`⚠️  JWT_SECRET is not set — using the development secret "${DEFAULT_SECRET}"`)
+}
 
+/**
+ * Automatic persisted queries are on unless PERSISTED_QUERIES=off.
+ * OPERATION_MANIFEST points at a manifest of approved operations and
+ * turns on strict mode: nothing else runs, and introspection and Sandbox
+ * are off (see plugins/persistedQueries.js). A manifest that can't be
+ * read stops the server here, rather than letting it start wide open.
+ * The REST gateway's own operations are always allowed (see rest.js).
+ */
+const persistedQueries = await persistedQueriesFromEnv()
+if (persistedQueries.manifest) allowRoutes(persistedQueries.manifest)
 
-    // =========================================================================
-    // NESTED TYPE RESOLVERS
-    // =========================================================================
-    /**
-     * These resolvers handle the RELATIONSHIPS between types.
-     *
-     * Why do we need these? Because our database stores a flat reference
-     * (e.g. game_id: "1") but our schema promises a full Game object.
-     * These resolvers bridge that gap — they receive the parent object
-     * and use it to go fetch the related data.
-     *
-     * GraphQL calls these resolvers automatically when a client asks for
-     * a nested field. For example, if a client queries:
-     *   { game(id: "1") { title reviews { rating } } }
-     * GraphQL first runs the game() Query resolver to get the Game,
-     * then runs Game.reviews() with that Game as the "parent" to get its reviews.
-     */
+/**
+ * The depth and cost limits (MAX_QUERY_DEPTH / MAX_QUERY_COST), read once
+ * so queries, mutations and subscriptions are all held to the same ones
+ * (see plugins/queryLimits.js).
+ */
+const limits = limitsFromEnv()
 
-    /**
-     * Game resolvers
-     * These run when a client asks for fields on a Game type.
-     */
-    Game: {
-        /**
-         * reviews(parent)
-         * Handles: { game(id: "1") { reviews { rating content } } }
-         *
-         * "parent" here is the Game object that was already resolved.
-         * So parent.id is the id of the game we're currently looking at.
-         *
-         * We filter the reviews array to find all reviews where
-         * the review's game_id matches this game's id.
-         *
-         * This is the GraphQL equivalent of a SQL JOIN:
-         *   SELECT * FROM reviews WHERE game_id = parent.id
-         */
-        reviews(parent) {
-            return db.reviews.filter((review) => review.game_id === parent.id)
-        }
-    },
+/**
+ * Every operation is logged as a line of JSON on stdout (LOG_LEVEL sets
+ * how much) and counted in the metrics served at /metrics below. With
+ * TRACING=on, per-resolver spans are logged too (see plugins/observability.js).
+ */
+const observability = observabilityFromEnv()
 
-    /**
-     * Author resolvers
-     */
-    Author: {
-        /**
-         * reviews(parent)
-         * Handles: { author(id: "201") { reviews { rating content } } }
-         *
-         * parent is the Author object. We find all reviews written by this author.
-         */
-        reviews(parent) {
-            return db.reviews.filter((review) => review.author_id === parent.id)
-        }
-    },
+/**
+ * SCHEMA_MODE=subgraph serves the API as an Apollo Federation subgraph,
+ * for a router to compose into a supergraph; the default, standalone,
+ * serves it on its own (see server.js).
+ */
+const mode = schemaModeFromEnv()
 
-    /**
-     * Review resolvers
-     * These run when a client asks for nested fields on a Review.
-     */
-    Review: {
-        /**
-         * author(parent)
-         * Handles: { review(id: "101") { author { name verified } } }
-         *
-         * parent is the Review object. It has an author_id field.
-         * We use .find() to locate the matching author.
-         */
-        author(parent) {
-            return db.authors.find((author) => author.id === parent.author_id)
-        },
+/**
+ * Both servers share one plain Node HTTP server, and with it one port.
+ * Express handles normal HTTP requests; the WebSocketServer takes over
+ * connections that ask to "upgrade" to a WebSocket.
+ */
+const port = Number(process.env.PORT ?? 4000)
+const app = express()
+const httpServer = createServer(app)
+const wsServer = new WebSocketServer({ server: httpServer, path: '/' })
+let wsCleanup
 
-        /**
-         * game(parent)
-         * Handles: { review(id: "101") { game { title platform } } }
-         *
-         * parent is the Review object. It has a game_id field.
-         * We use .find() to locate the matching game.
-         */
-        game(parent) {
-            return db.games.find((game) => game.id === parent.game_id)
+/**
+ * APOLLO SERVER (queries and mutations)
+ * createGraphQLServer() (see server.js) builds the schema, the services
+ * and Apollo Server itself. We add two plugins that only make sense with
+ * a real HTTP server: they shut everything down cleanly — on server.stop(),
+ * the HTTP server stops accepting requests and the WebSocket server
+ * disconnects its clients, instead of cutting them off mid-response.
+ */
+const { server, schema, createContext } = await createGraphQLServer({
+    db,
+    limits,
+    persistedQueries,
+    observability,
+    mode,
+    plugins: [
+        ApolloServerPluginDrainHttpServer({ httpServer }),
+        {
+            async serverWillStart() {
+                return {
+                    async drainServer() {
+                        await wsCleanup.dispose()
+                    }
+                }
+            }
         }
-    },
-
+    ]
+})
 
-    // =========================================================================
-    // MUTATION RESOLVERS
-    // =========================================================================
-    /**
-     * These handle all WRITE operations — anything that changes data.
-     * Unlike queries, mutations should change state AND return something useful.
-     */
-    Mutation: {
+/**
+ * WEBSOCKET SERVER (subscriptions)
+ * useServer() speaks the graphql-ws protocol on top of the ws library.
+ *
+ * Its context function runs once per subscription. WebSockets can't carry
+ * an Authorization header, so clients send the token in connectionParams
+ * when they connect: { authorization: "Bearer <token>" }.
+ *
+ * The loaders don't cache here — a subscription can stay open for hours,
+ * and every event should be resolved against fresh data.
+ *
+ * onSubscribe does the checks Apollo's plugins do for queries and
+ * mutations: in allowlist mode it refuses subscriptions that aren't in the
+ * manifest, and it refuses any subscription over the depth or cost limit.
+ * The first hook to return errors wins.
+ */
+const allowlistCheck = persistedQueries.manifest ? allowlistOnSubscribe(persistedQueries.manifest) : null
+const limitsCheck = limitsOnSubscribe(schema, limits)
 
-        /**
-         * deleteGame(_, args)
-         * Handles: mutation { deleteGame(id: "1") { id title } }
-         *
-         * args.id is the id of the game to remove.
-         *
-         * .filter() creates a NEW array that excludes the deleted game.
-         * We reassign db.games to this new array (this is why we used `let`
-         * in _db.js instead of `const`).
-         *
-         * Returns the updated games array (so the client can see what remains).
-         */
-        deleteGame(_, args) {
-            db.games = db.games.filter((game) => game.id !== args.id)
-            return db.games
-        },
+wsCleanup = useServer({
+    schema,
+    onSubscribe: (ctx, id, payload) => allowlistCheck?.(ctx, id, payload) ?? limitsCheck(ctx, id, payload),
+    context: async (ctx) => createContext({
+        user: getUser({ headers: { authorization: ctx.connectionParams?.authorization } }),
+        cache: false
+    })
+}, wsServer)
 
-        /**
-         * addGame(_, args)
-         * Handles: mutation { addGame(game: { title: "...", platform: [...] }) { id title } }
-         *
-         * args.game contains the AddGameInput object: { title, platform }
-         *
-         * We spread (...) the incoming game data and add a generated id.
-         * Math.random() * 10000 gives a random number up to 10000.
-         * Math.floor() removes the decimal. .toString() converts it to string (IDs are strings).
-         *
-         * In production, you'd use a proper UUID library (like `uuid`) instead of Math.random().
-         * Math.random() is fine for learning but could produce duplicates in real apps.
-         *
-         * We push the new game into the array, then return it.
-         * The client receives the newly created game object — including its new id.
-         */
-        addGame(_, args) {
-            let game = {
-                ...args.game,                                        // spread: { title, platform }
-                id: Math.floor(Math.random() * 10000).toString()     // generate a random id
-            }
-            db.games.push(game)   // add to our mock db
-            return game           // return the new game to the client
-        },
+await server.start()
 
-        /**
-         * updateGame(_, args)
-         * Handles: mutation { updateGame(id: "1", edits: { title: "New Title" }) { id title } }
-         *
-         * args.id     — id of the game to update
-         * args.edits  — the EditGameInput: partial fields to change (title and/or platform)
-         *
-         * .map() loops over every game and returns a new array.
-         * When we find the matching game (g.id === args.id), we return a new object
-         * that merges the original game { ...g } with the new edits { ...args.edits }.
-         * If edits only has "title", then only title gets overwritten — platform stays.
-         * For all other games, we return them unchanged.
-         *
-         * After the map, we use .find() to locate and return the updated game.
-         * This way the client gets back the full updated game object.
-         */
-        updateGame(_, args) {
-            // Rebuild the games array, updating only the matching game
-            db.games = db.games.map((game) => {
-                if (game.id === args.id) {
-                    return { ...game, ...args.edits }  // merge old data + new edits
-                }
-                return game   // all other games stay exactly as they are
-            })
+/**
+ * GET /metrics — the metrics in the Prometheus text format, for a
+ * Prometheus server to scrape. Registered before the GraphQL middleware,
+ * which would otherwise take every path under "/". It isn't
+ * authenticated: keep it reachable only from inside your network.
+ */
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(observability.metrics.render())
+})
 
-            // Find and return the updated game so the client can confirm the changes
-            return db.games.find((game) => game.id === args.id)
-        }
-    }
-}
+/**
+ * /rest — the REST/JSON gateway (see rest.js), for clients that can't
+ * speak GraphQL. Every route runs a fixed GraphQL operation through the
+ * same Apollo Server, with the same context as a GraphQL request, so the
+ * two APIs answer alike. GET /rest/openapi.json describes it. Like
+ * /metrics, it goes before the GraphQL middleware.
+ */
+const context = async (req) => createContext({ user: getUser(req), ip: req.ip })
 
+app.use('/rest', cors(), restRouter({ server, schema, context }))
 
-// =============================================================================
-// SERVER SETUP
-// =============================================================================
 /**
- * ApolloServer takes our typeDefs and resolvers and wires them together.
- *
- *   typeDefs  → the schema (the API contract — what's possible)
- *   resolvers → the implementation (the logic — how to fulfill requests)
+ * expressMiddleware plugs Apollo Server into Express at "/".
+ * cors() lets browser apps on other origins call the API, and
+ * express.json() parses the JSON request body.
  *
- * Together they form a complete, functional GraphQL API.
+ * The context function runs once per request, and whatever it returns
+ * becomes the "context" argument of every resolver in that request.
+ * getUser() reads the bearer token from the request headers; a missing
+ * token means an anonymous request (user: null), rate-limited by its IP
+ * address (see plugins/rateLimit.js). Behind a proxy, req.ip is the
+ * proxy's address unless Express is told to trust it ("trust proxy").
  */
-const server = new ApolloServer({
-    typeDefs,    // shorthand for typeDefs: typeDefs  (ES6 property shorthand)
-    resolvers    // shorthand for resolvers: resolvers
-})
+app.use('/', cors(), express.json(), expressMiddleware(server, {
+    context: ({ req }) => context(req)
+}))
 
 /**
- * startStandaloneServer is the simplest way to run Apollo Server.
- * It handles all the HTTP boilerplate for you under the hood.
- *
- * We tell it to listen on port 4000.
- * Once it's ready, it gives us back the URL.
- *
  * Visit http://localhost:4000 in your browser to open Apollo Sandbox —
  * a built-in visual tool where you can write and test queries interactively.
+ * Subscriptions work from Sandbox too, over ws://localhost:4000.
  *
  * `await` here works because this file is a module (has import/export),
  * which allows top-level await in Node.js.
  */
-const { url } = await startStandaloneServer(server, {
-    listen: { port: 4000 }
-})
-
-console.log(`🚀 Server ready at ${url}`)
\ No newline at end of file
+await new Promise((resolve) => httpServer.listen({ port }, resolve))
+
+console.log(`🚀 Server ready at http://localhost:${port}/`)
+console.log(`🔌 Subscriptions ready at ws://localhost:${port}/`)
+console.log(`📈 Metrics ready at http://localhost:${port}/metrics`)
+console.log(`🧭 REST gateway ready at http://localhost:${port}/rest — described at /rest/openapi.json`)
+if (mode === 'subgraph') {
+    console.log('🛰️  Subgraph mode — serving _service and _entities for a Federation router')
+}
+if (persistedQueries.manifest) {
+    console.log(`🔒 Allowlist mode — ${persistedQueries.manifest.size} approved operations from ${process.env.OPERATION_MANIFEST}`)
+}
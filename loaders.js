@@ -0,0 +1,66 @@
+/**
+ * loaders.js — Per-Request Batching & Caching
+ *
+ * THE N+1 PROBLEM
+ * Nested resolvers run once per parent. For a query like
+ *
+ *   { reviews { edges { node { game { title } } } } }
+ *
+ * Review.game runs once for EVERY review, and each run would ask the data
+ * source for one game. 1 query for the list + N queries for the games =
+ * "N+1". Go one level deeper and it multiplies again.
+ *
+ * THE FIX: DataLoader
+ * A loader doesn't fetch right away when you call loader.load(id). It
+ * waits until the current tick of execution is over, collects every id
+ * that was asked for in the meantime, and fetches them all with ONE
+ * batch call (getMany / findByMany on the data source). Each id is also
+ * cached, so asking for the same game twice only fetches it once.
+ *
+ * The cache lives only as long as the request: createLoaders() is called
+ * from the context function, so every request gets brand-new loaders and
+ * can never see another request's (possibly stale) data.
+ *
+ * https://github.com/graphql/dataloader
+ */
+
+import DataLoader from 'dataloader'
+
+/**
+ * createLoaders(db, options)
+ * Builds one set of loaders on top of a data source.
+ *
+ *   game / author / review   — load(id) → the record, or null
+ *   reviewsByGame            — load(gameId) → every review of that game
+ *   reviewsByAuthor          — load(authorId) → every review by that author
+ *   reportsByReview          — load(reviewId) → every report on that review
+ *   followsByFollower        — load(authorId) → the follow edges from that author
+ *   followsByFollowee        — load(authorId) → the follow edges to that author
+ *
+ * clearAll() empties every loader's cache. Mutations call it after they
+ * write, so fields resolved later in the same request see the new data.
+ *
+ * options.cache — pass false to batch without caching. Subscriptions use
+ * this: one subscription lives for as long as the WebSocket stays open,
+ * and a cache that old would serve stale records with every new event.
+ */
+export function createLoaders(db, { cache = true } = {}) {
+    const options = { cache }
+    const loaders = {
+        game: new DataLoader((ids) => db.getMany('games', ids), options),
+        author: new DataLoader((ids) => db.getMany('authors', ids), options),
+        review: new DataLoader((ids) => db.getMany('reviews', ids), options),
+        reviewsByGame: new DataLoader((ids) => db.findByMany('reviews', 'game_id', ids), options),
+        reviewsByAuthor: new DataLoader((ids) => db.findByMany('reviews', 'author_id', ids), options),
+        reportsByReview: new DataLoader((ids) => db.findByMany('reports', 'review_id', ids), options),
+        followsByFollower: new DataLoader((ids) => db.findByMany('follows', 'follower_id', ids), options),
+        followsByFollowee: new DataLoader((ids) => db.findByMany('follows', 'followee_id', ids), options)
+    }
+
+    return {
+        ...loaders,
+        clearAll() {
+            for (const loader of Object.values(loaders)) loader.clearAll()
+        }
+    }
+}
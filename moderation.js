@@ -0,0 +1,123 @@
+/**
+ * moderation.js — Review Moderation
+ *
+ * STATUSES
+ * Every review has a status:
+ *
+ *   PENDING   — waiting for a moderator. Nobody else can see it.
+ *   PUBLISHED — public: listed, searchable, counted in ratings.
+ *   REJECTED  — turned down by a moderator. Nobody else can see it.
+ *
+ * A review by a verified author is PUBLISHED straight away; one by an
+ * unverified author starts as PENDING (initialStatus below) — unless a
+ * moderator posted it, who would only be queueing it for themselves. An
+ * unverified author's edit sends their review back to PENDING — otherwise
+ * editing a published review would slip anything past the moderators.
+ *
+ * Reviews stored without a status — from before moderation existed, or
+ * imported in bulk by an ADMIN (see catalog.js) — count as PUBLISHED.
+ *
+ * Moderators (the MODERATOR role, or ADMIN — see auth.js) see reviews of
+ * every status. Ratings and review counts only ever count PUBLISHED
+ * reviews, whoever is asking, so they're the same for everybody.
+ *
+ * REPORTS
+ * Any logged-in user can report a published review they think breaks the
+ * rules (Mutation.reportReview). A report stays OPEN until a moderator
+ * approves the review (keeping it up) or rejects it (taking it down);
+ * either way, every open report on it is resolved with that outcome.
+ * Reports live in their own "reports" collection:
+ *
+ *   { id: "1", review_id: "102", user_id: "203", reason: "Spoilers",
+ *     outcome: null, resolved_at: null, resolved_by: null }
+ *
+ * THE MODERATION QUEUE
+ * What needs a moderator's attention: every PENDING review, and every
+ * PUBLISHED review with open reports — oldest first (moderationQueue()).
+ */
+
+import { live, recordAudit } from './audit.js'
+import { canModerate } from './auth.js'
+import { invalidInput } from './validation.js'
+
+export const STATUS = {
+    PENDING: 'PENDING',
+    PUBLISHED: 'PUBLISHED',
+    REJECTED: 'REJECTED'
+}
+
+/**
+ * reviewStatus(review) / isPublished(review) / published(reviews)
+ * A review's status (PUBLISHED when it has none), whether it's public,
+ * and a list with the reviews that aren't public left out.
+ */
+export function reviewStatus(review) {
+    return review.status ?? STATUS.PUBLISHED
+}
+
+export function isPublished(review) {
+    return reviewStatus(review) === STATUS.PUBLISHED
+}
+
+export function published(reviews) {
+    return reviews.filter(isPublished)
+}
+
+/**
+ * initialStatus(author, user)
+ * The status a review by this author starts with — or goes back to when
+ * it's edited — when `user` writes it.
+ */
+export function initialStatus(author, user) {
+    return author.verified || canModerate(user) ? STATUS.PUBLISHED : STATUS.PENDING
+}
+
+/**
+ * fileReport(context, review, reason)
+ * Stores a report from the current user, records it in the audit log
+ * and returns it. A user can only have one open report on a review at a
+ * time.
+ */
+export async function fileReport(context, review, reason) {
+    const { db, user } = context
+    const reports = await db.findBy('reports', 'review_id', review.id)
+    if (reports.some((report) => report.user_id === user.id && isOpen(report))) {
+        throw invalidInput({ id: 'You have already reported this review' })
+    }
+    const report = await db.insert('reports', { review_id: review.id, user_id: user.id, reason, outcome: null, resolved_at: null, resolved_by: null })
+    await recordAudit(context, 'reportReview', 'Report', null, report)
+    return report
+}
+
+/**
+ * moderate(context, operation, review, status)
+ * Sets a review's status, resolving its open reports with that outcome,
+ * and records the change in the audit log. Returns the updated review.
+ */
+export async function moderate(context, operation, review, status) {
+    const { db, user } = context
+    const updated = await db.update('reviews', review.id, { status })
+    await recordAudit(context, operation, 'Review', review, updated)
+
+    const resolvedAt = new Date().toISOString()
+    for (const report of (await db.findBy('reports', 'review_id', review.id)).filter(isOpen)) {
+        await db.update('reports', report.id, { outcome: status, resolved_at: resolvedAt, resolved_by: user.id })
+    }
+    return updated
+}
+
+/**
+ * moderationQueue(db)
+ * The live reviews waiting for a moderator, oldest first: pending ones,
+ * and published ones with open reports.
+ */
+export async function moderationQueue(db) {
+    const reported = new Set((await db.list('reports')).filter(isOpen).map((report) => report.review_id))
+    return live(await db.list('reviews')).filter((review) =>
+        reviewStatus(review) === STATUS.PENDING
+        || (reviewStatus(review) === STATUS.PUBLISHED && reported.has(review.id)))
+}
+
+function isOpen(report) {
+    return report.resolved_at == null
+}
@@ -0,0 +1,145 @@
+/**
+ * pagination.js — Relay-Style Cursor Pagination
+ *
+ * List fields (games, reviews, authors, Game.reviews, Author.reviews) no
+ * longer return a plain array. They return a CONNECTION:
+ *
+ *   {
+ *     totalCount: 42,                       ← how many items match, across ALL pages
+ *     edges: [ { cursor: "Y3Vyc29yOjA=", node: { ...a Game... } }, ... ],
+ *     pageInfo: { hasNextPage, hasPreviousPage, startCursor, endCursor }
+ *   }
+ *
+ * A CURSOR is an opaque bookmark pointing at one item in the list. To get
+ * the next page, a client passes the last cursor it received back in as
+ * `after`:
+ *
+ *   games(first: 10)                         ← page 1
+ *   games(first: 10, after: "<endCursor>")   ← page 2
+ *
+ * `last` / `before` do the same thing walking backwards.
+ *
+ * PAGE SIZES
+ * A client that sends neither `first` nor `last` gets the first
+ * DEFAULT_PAGE_SIZE items, and asking for more than MAX_PAGE_SIZE at once
+ * is refused. Without them one short, nested query could return every
+ * record — every review of every game — however big the data grows, and
+ * the cost limits (plugins/queryLimits.js) size a connection by the same
+ * numbers, so their estimate and what resolvers return agree.
+ *
+ * This follows the Relay Cursor Connections spec:
+ *   https://relay.dev/graphql/connections.htm
+ *
+ * Our cursors encode the item's position in the filtered, sorted list.
+ * They're base64-encoded so clients treat them as opaque strings rather
+ * than doing arithmetic on them.
+ */
+
+import { GraphQLError } from 'graphql'
+
+const PREFIX = 'cursor:'
+
+export const DEFAULT_PAGE_SIZE = 10
+export const MAX_PAGE_SIZE = 100
+
+export function encodeCursor(offset) {
+    return Buffer.from(`${PREFIX}${offset}`).toString('base64')
+}
+
+/**
+ * decodeCursor(cursor, argumentName)
+ * Turns a cursor back into a position. Anything we didn't hand out
+ * ourselves is rejected with BAD_USER_INPUT.
+ */
+export function decodeCursor(cursor, argumentName) {
+    const decoded = Buffer.from(cursor, 'base64').toString('utf8')
+    const offset = Number(decoded.slice(PREFIX.length))
+
+    if (!decoded.startsWith(PREFIX) || !Number.isInteger(offset) || offset < 0) {
+        throw new GraphQLError(`Invalid cursor "${cursor}"`, {
+            extensions: { code: 'BAD_USER_INPUT', argumentName }
+        })
+    }
+    return offset
+}
+
+/**
+ * connectionFromArray(items, args)
+ * Slices an already filtered and sorted array into a connection.
+ *
+ * args are the standard pagination arguments: { first, after, last, before }.
+ * All of them are optional — with none, the first DEFAULT_PAGE_SIZE items
+ * are returned.
+ */
+export function connectionFromArray(items, { first, after, last, before } = {}) {
+    for (const [name, value] of Object.entries({ first, last })) {
+        if (value != null && (value < 0 || value > MAX_PAGE_SIZE)) {
+            throw new GraphQLError(`"${name}" must be from 0 to ${MAX_PAGE_SIZE}`, {
+                extensions: { code: 'BAD_USER_INPUT', argumentName: name }
+            })
+        }
+    }
+    if (first == null && last == null) first = DEFAULT_PAGE_SIZE
+
+    // Start with the window between the after/before cursors...
+    let start = after != null ? decodeCursor(after, 'after') + 1 : 0
+    let end = before != null ? Math.min(decodeCursor(before, 'before'), items.length) : items.length
+    start = Math.min(start, end)
+
+    // ...then narrow it down to the first N or last N items of that window
+    if (first != null) end = Math.min(end, start + first)
+    if (last != null) start = Math.max(start, end - last)
+
+    const edges = items.slice(start, end).map((node, index) => ({
+        cursor: encodeCursor(start + index),
+        node
+    }))
+
+    return {
+        edges,
+        totalCount: items.length,
+        pageInfo: {
+            hasPreviousPage: start > 0,
+            hasNextPage: end < items.length,
+            startCursor: edges[0]?.cursor ?? null,
+            endCursor: edges.at(-1)?.cursor ?? null
+        }
+    }
+}
+
+/**
+ * sortBy(items, orderBy, keys)
+ * Returns a sorted COPY of items (the original array is never touched).
+ *
+ * orderBy comes straight from the GraphQL arguments: { field, direction }.
+ * keys maps each sort field to a function that reads the value to compare,
+ * e.g. { TITLE: (game) => game.title }.
+ *
+ * Without an orderBy, items keep the order the data source returned them in.
+ */
+export function sortBy(items, orderBy, keys) {
+    if (!orderBy) return items
+
+    const key = keys[orderBy.field]
+    const direction = orderBy.direction === 'DESC' ? -1 : 1
+
+    return [...items].sort((a, b) => {
+        const left = key(a)
+        const right = key(b)
+
+        // Missing values (e.g. the average rating of a game with no reviews)
+        // always go last, whichever direction we're sorting in
+        if (left == null || right == null) return (left == null) - (right == null)
+        return direction * compare(left, right)
+    })
+}
+
+/**
+ * compare(a, b)
+ * Strings compare with { numeric: true } so that ids sort naturally
+ * ("2" before "10").
+ */
+function compare(a, b) {
+    if (typeof a === 'string') return a.localeCompare(b, undefined, { numeric: true })
+    return a - b
+}
@@ -0,0 +1,452 @@
+/**
+ * plugins/observability.js — Logs, Traces & Metrics
+ *
+ * When a query is slow or a resolver throws, we want to know which one,
+ * for whom, and how often it happens. This plugin watches every operation
+ * and produces three kinds of output:
+ *
+ * LOGS — one JSON line per operation, easy to grep and to ship to any
+ * log store:
+ *
+ *   {"time":"2026-01-31T12:00:00.000Z","level":"info","msg":"operation",
+ *    "requestId":"4f1c...","operation":"TopGames","type":"query",
+ *    "variables":{"limit":5},"durationMs":3.2,"errors":[]}
+ *
+ * The request id comes from the client's X-Request-Id header, or is made
+ * up, and is sent back in the X-Request-Id response header — quote it
+ * in a bug report and the log line is one search away. Variables that
+ * look secret (password, token, ...) are logged as "[REDACTED]", and very
+ * long strings (a whole importCatalog file) are cut short.
+ *
+ * TRACES — a SPAN is one timed piece of work. Every operation gets a span,
+ * and inside it every field with a resolver of its own gets a child span,
+ * so a trace shows exactly where the time went:
+ *
+ *   query TopGames               4.1ms
+ *   ├─ Query.topGames            3.0ms
+ *   │  ├─ Game.averageRating     0.4ms
+ *   ...
+ *
+ * Spans have the fields and attribute names OpenTelemetry uses (traceId,
+ * spanId, parentSpanId, graphql.operation.name, ...). A request with a
+ * W3C traceparent header joins the caller's trace. Finished spans go to a
+ * SPAN EXPORTER — anything with an export(spans) method.
+ *
+ * METRICS — counters and histograms in the Prometheus text format, served
+ * by index.js at GET /metrics (see Metrics below).
+ *
+ * DEPRECATED FIELDS — an operation that uses a field marked @deprecated
+ * lists it in its log line ("deprecatedFields") and counts towards
+ * graphql_deprecated_field_usage_total. That's how we know when nobody
+ * uses one any more and it can go (see "SCHEMA EVOLUTION" in schema.js).
+ */
+
+import { randomBytes, randomUUID } from 'node:crypto'
+
+import { Kind, TypeInfo, visit, visitWithTypeInfo } from 'graphql'
+
+/**
+ * observabilityFromEnv(env)
+ * The configuration for createGraphQLServer({ observability }):
+ *
+ *   LOG_LEVEL=warn      → only log operations that failed (default: info,
+ *                         every operation; "silent" logs nothing)
+ *   TRACING=on          → record spans and write them to the log
+ *   METRICS_MAX_OPERATIONS=500 → how many operation names get metrics
+ *                         of their own (default: 100, see Metrics)
+ *
+ * Returns { logger, metrics, exporter }.
+ */
+export function observabilityFromEnv(env = process.env) {
+    const logger = createLogger({ level: env.LOG_LEVEL ?? 'info' })
+    return {
+        logger,
+        metrics: new Metrics({ maxOperations: Number(env.METRICS_MAX_OPERATIONS ?? 100) }),
+        exporter: env.TRACING === 'on' ? logSpanExporter(logger) : null
+    }
+}
+
+
+// =============================================================================
+// LOGS
+// =============================================================================
+const LEVELS = ['debug', 'info', 'warn', 'error']
+
+/**
+ * createLogger({ level, write })
+ * A logger that writes each entry as one line of JSON:
+ *
+ *   logger.info('operation', { requestId, durationMs })
+ *
+ * Entries below `level` are dropped; level "silent" drops everything.
+ * write — where the lines go (default: stdout); tests collect them.
+ */
+export function createLogger({ level = 'info', write = (line) => process.stdout.write(`${line}\n`) } = {}) {
+    if (level !== 'silent' && !LEVELS.includes(level)) {
+        throw new Error(`Invalid LOG_LEVEL "${level}" — expected one of ${[...LEVELS, 'silent'].join(', ')}`)
+    }
+    const threshold = level === 'silent' ? Infinity : LEVELS.indexOf(level)
+
+    const logger = {}
+    for (const [rank, name] of LEVELS.entries()) {
+        logger[name] = (msg, fields = {}) => {
+            if (rank < threshold) return
+            write(JSON.stringify({ time: new Date().toISOString(), level: name, msg, ...fields }))
+        }
+    }
+    return logger
+}
+
+const SECRET = /pass(word)?|secret|token|authorization|api[-_]?key|credential/i
+const MAX_STRING = 200
+
+/**
+ * redact(value)
+ * A copy of a request's variables that's safe to log: values under a
+ * secret-sounding key become "[REDACTED]", and strings over 200
+ * characters are cut to 200 with a note of their full length.
+ */
+export function redact(value, key = '') {
+    if (SECRET.test(key)) return '[REDACTED]'
+    if (typeof value === 'string' && value.length > MAX_STRING) {
+        return `${value.slice(0, MAX_STRING)}… (${value.length} chars)`
+    }
+    if (Array.isArray(value)) return value.map((item) => redact(item))
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name)]))
+    }
+    return value
+}
+
+
+// =============================================================================
+// TRACES
+// =============================================================================
+/**
+ * Span exporters. OpenTelemetry's own exporters take the spans and a
+ * callback (export(spans, resultCallback)); wrapping one to fit is a
+ * one-liner, so ours only need export(spans).
+ *
+ * logSpanExporter(logger) — one log line per span, msg "span".
+ * MemorySpanExporter      — keeps them in .spans, for tests.
+ */
+export function logSpanExporter(logger) {
+    return {
+        export(spans) {
+            for (const span of spans) logger.info('span', { span })
+        }
+    }
+}
+
+export class MemorySpanExporter {
+    constructor() {
+        this.spans = []
+    }
+
+    export(spans) {
+        this.spans.push(...spans)
+    }
+}
+
+// Unix time in nanoseconds, as OpenTelemetry records it. hrtime is
+// precise but counts from an arbitrary point, so it's anchored to the
+// clock once.
+const EPOCH_OFFSET = BigInt(Date.now()) * 1000000n - process.hrtime.bigint()
+const nowNanos = () => EPOCH_OFFSET + process.hrtime.bigint()
+
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/
+
+function startSpan(name, { traceId, parentSpanId, kind, attributes }) {
+    return {
+        traceId,
+        spanId: randomBytes(8).toString('hex'),
+        parentSpanId,
+        name,
+        kind,
+        startTimeUnixNano: nowNanos(),
+        endTimeUnixNano: null,
+        attributes,
+        status: { code: 'OK' }
+    }
+}
+
+// Times are BigInts while a span is open, strings (as in OTLP JSON) once
+// it's finished — BigInts don't survive JSON.stringify
+function endSpan(span, error) {
+    span.endTimeUnixNano = String(nowNanos())
+    span.startTimeUnixNano = String(span.startTimeUnixNano)
+    if (error) span.status = { code: 'ERROR', message: error.message }
+}
+
+
+// =============================================================================
+// METRICS
+// =============================================================================
+/**
+ * Metrics
+ * Per operation (its name, "(anonymous)" if it has none) and type:
+ *
+ *   graphql_requests_total            — operations handled
+ *   graphql_request_errors_total      — of those, how many had errors
+ *   graphql_request_duration_seconds  — a histogram of how long they took
+ *
+ * The error rate is errors_total / requests_total; in PromQL,
+ * rate(graphql_request_errors_total[5m]) / rate(graphql_requests_total[5m]).
+ * Operations that couldn't even be parsed are counted as type "unknown".
+ *
+ * Operation names are the client's choice, and every new one would be a
+ * new series kept in memory and in /metrics for good. So only the first
+ * maxOperations names (default 100, METRICS_MAX_OPERATIONS) get series
+ * of their own; any name after that is counted as operation="other".
+ *
+ * render() returns everything in the Prometheus text format, for
+ * GET /metrics.
+ */
+export class Metrics {
+    static BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+    constructor({ maxOperations = 100 } = {}) {
+        this.maxOperations = maxOperations
+        this.operations = new Set()
+        this.series = new Map()
+        this.deprecated = new Map()
+    }
+
+    /**
+     * operationLabel(name)
+     * The operation label to count an operation named `name` under: its
+     * name, or "other" once maxOperations names have been seen.
+     */
+    operationLabel(name) {
+        if (this.operations.has(name)) return name
+        if (this.operations.size >= this.maxOperations) return 'other'
+        this.operations.add(name)
+        return name
+    }
+
+    /**
+     * observe({ operation, type }, { durationMs, failed })
+     * Counts one finished operation.
+     */
+    observe(labels, { durationMs, failed }) {
+        labels = { ...labels, operation: this.operationLabel(labels.operation) }
+        const key = JSON.stringify([labels.operation, labels.type])
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels, count: 0, errors: 0, sum: 0, buckets: Metrics.BUCKETS.map(() => 0) })
+        }
+        const series = this.series.get(key)
+        const seconds = durationMs / 1000
+
+        series.count++
+        if (failed) series.errors++
+        series.sum += seconds
+        Metrics.BUCKETS.forEach((bound, i) => {
+            if (seconds <= bound) series.buckets[i]++
+        })
+    }
+
+    /**
+     * useDeprecated({ operation, type }, field)
+     * Counts one operation that used a deprecated field ("Mutation.deleteGame").
+     */
+    useDeprecated(labels, field) {
+        labels = { ...labels, operation: this.operationLabel(labels.operation) }
+        const key = JSON.stringify([labels.operation, labels.type, field])
+        const series = this.deprecated.get(key) ?? { labels: { ...labels, field }, count: 0 }
+        series.count++
+        this.deprecated.set(key, series)
+    }
+
+    render() {
+        const all = [...this.series.values()]
+        const lines = [
+            '# HELP graphql_requests_total GraphQL operations handled.',
+            '# TYPE graphql_requests_total counter',
+            ...all.map(({ labels, count }) => `graphql_requests_total${labelText(labels)} ${count}`),
+            '# HELP graphql_request_errors_total GraphQL operations that returned errors.',
+            '# TYPE graphql_request_errors_total counter',
+            ...all.map(({ labels, errors }) => `graphql_request_errors_total${labelText(labels)} ${errors}`),
+            '# HELP graphql_request_duration_seconds How long GraphQL operations took.',
+            '# TYPE graphql_request_duration_seconds histogram'
+        ]
+        for (const { labels, count, sum, buckets } of all) {
+            Metrics.BUCKETS.forEach((bound, i) => {
+                lines.push(`graphql_request_duration_seconds_bucket${labelText({ ...labels, le: String(bound) })} ${buckets[i]}`)
+            })
+            lines.push(`graphql_request_duration_seconds_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`)
+            lines.push(`graphql_request_duration_seconds_sum${labelText(labels)} ${sum}`)
+            lines.push(`graphql_request_duration_seconds_count${labelText(labels)} ${count}`)
+        }
+        lines.push(
+            '# HELP graphql_deprecated_field_usage_total GraphQL operations that used a deprecated field.',
+            '# TYPE graphql_deprecated_field_usage_total counter',
+            ...[...this.deprecated.values()].map(({ labels, count }) => `graphql_deprecated_field_usage_total${labelText(labels)} ${count}`)
+        )
+        return `${lines.join('\n')}\n`
+    }
+}
+
+// {operation="TopGames",type="query"} — with \, " and newlines escaped
+function labelText(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) =>
+        `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+    return `{${pairs.join(',')}}`
+}
+
+
+// =============================================================================
+// THE PLUGIN
+// =============================================================================
+/**
+ * observabilityPlugin({ logger, metrics, exporter, tracedFields })
+ * Any of the first three may be left out (or null) to switch that output off.
+ *
+ *   requestDidStart  — starts the clock and picks the request id
+ *   didResolveOperation — notes the deprecated fields the operation uses
+ *   willResolveField — times each resolver as a child span
+ *   willSendResponse — logs the operation, counts it and exports its spans
+ *
+ * tracedFields — the fields that get a span, as a Set of "Type.field"
+ * (default: all of them). server.js passes the fields that have a
+ * resolver of their own: a span for every plain title would bury the
+ * interesting ones. The schema can't tell us which those are — Apollo
+ * wraps every field's resolver in one of its own.
+ */
+export function observabilityPlugin({ logger = null, metrics = null, exporter = null, tracedFields = null } = {}) {
+    return {
+        async requestDidStart({ request }) {
+            const started = process.hrtime.bigint()
+            const requestId = request.http?.headers.get('x-request-id') || randomUUID()
+            const parent = TRACEPARENT.exec(request.http?.headers.get('traceparent') ?? '')
+
+            const root = exporter && startSpan('graphql.operation', {
+                traceId: parent?.[1] ?? randomBytes(16).toString('hex'),
+                parentSpanId: parent?.[2],
+                kind: 'SERVER',
+                attributes: { 'graphql.request.id': requestId }
+            })
+            const spans = root ? [root] : []
+            const fieldSpans = new Map()
+            let deprecatedFields = new Set()
+
+            return {
+                async didResolveOperation({ schema, document, operation }) {
+                    deprecatedFields = findDeprecatedFields(schema, document, operation)
+                },
+
+                async executionDidStart() {
+                    if (!root) return
+                    return {
+                        willResolveField({ info }) {
+                            const coordinate = `${info.parentType.name}.${info.fieldName}`
+                            if (tracedFields && !tracedFields.has(coordinate)) return
+
+                            const span = startSpan(coordinate, {
+                                traceId: root.traceId,
+                                parentSpanId: closestSpan(fieldSpans, info.path) ?? root.spanId,
+                                kind: 'INTERNAL',
+                                attributes: {
+                                    'graphql.field.name': info.fieldName,
+                                    'graphql.field.path': pathText(info.path),
+                                    'graphql.field.type': String(info.returnType)
+                                }
+                            })
+                            fieldSpans.set(pathText(info.path), span.spanId)
+                            spans.push(span)
+                            return (error) => endSpan(span, error)
+                        }
+                    }
+                },
+
+                async willSendResponse({ operation, operationName, request, response }) {
+                    const durationMs = Number(process.hrtime.bigint() - started) / 1e6
+                    const labels = { operation: operationName ?? '(anonymous)', type: operation?.operation ?? 'unknown' }
+                    const errors = response.body.kind === 'single' ? response.body.singleResult.errors ?? [] : []
+
+                    response.http.headers.set('x-request-id', requestId)
+                    metrics?.observe(labels, { durationMs, failed: errors.length > 0 })
+                    for (const field of deprecatedFields) metrics?.useDeprecated(labels, field)
+
+                    const entry = {
+                        requestId,
+                        ...labels,
+                        variables: redact(request.variables ?? {}),
+                        durationMs: Math.round(durationMs * 10) / 10,
+                        errors: errors.map(({ message, path, extensions }) => ({ message, code: extensions?.code, path }))
+                    }
+                    if (deprecatedFields.size > 0) entry.deprecatedFields = [...deprecatedFields]
+                    if (errors.length > 0) logger?.warn('operation', entry)
+                    else logger?.info('operation', entry)
+
+                    if (root) {
+                        root.name = `${labels.type} ${labels.operation}`
+                        Object.assign(root.attributes, {
+                            'graphql.operation.name': labels.operation,
+                            'graphql.operation.type': labels.type
+                        })
+                        endSpan(root, errors[0])
+                        await exporter.export(spans.filter((span) => span.endTimeUnixNano))
+                    }
+                }
+            }
+        }
+    }
+}
+
+/**
+ * findDeprecatedFields(schema, document, operation)
+ * The deprecated fields an operation selects, as a Set of "Type.field" —
+ * in the operation itself or in any fragment it spreads.
+ *
+ * Worked out from the document, once: Apollo keeps parsed documents in
+ * its cache, so a repeated operation is the same object every time, and
+ * its answer is remembered in deprecatedFieldsCache.
+ */
+const deprecatedFieldsCache = new WeakMap()
+
+function findDeprecatedFields(schema, document, operation) {
+    if (deprecatedFieldsCache.has(operation)) return deprecatedFieldsCache.get(operation)
+
+    // The fragments the operation uses, including through other fragments
+    const fragments = new Map(document.definitions
+        .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+        .map((fragment) => [fragment.name.value, fragment]))
+    const used = new Set()
+    const spreads = (node) => visit(node, {
+        FragmentSpread({ name }) {
+            if (used.has(name.value) || !fragments.has(name.value)) return
+            used.add(name.value)
+            spreads(fragments.get(name.value))
+        }
+    })
+    spreads(operation)
+
+    const deprecated = new Set()
+    const typeInfo = new TypeInfo(schema)
+    const visitor = visitWithTypeInfo(typeInfo, {
+        Field() {
+            const field = typeInfo.getFieldDef()
+            if (field?.deprecationReason != null) deprecated.add(`${typeInfo.getParentType().name}.${field.name}`)
+        }
+    })
+    for (const node of [operation, ...[...used].map((name) => fragments.get(name))]) visit(node, visitor)
+
+    deprecatedFieldsCache.set(operation, deprecated)
+    return deprecated
+}
+
+// "games.edges.0.node" — the response path of a field
+function pathText(path) {
+    const keys = []
+    for (let at = path; at; at = at.prev) keys.unshift(at.key)
+    return keys.join('.')
+}
+
+// The span of the nearest field above this one that has a span
+function closestSpan(fieldSpans, path) {
+    for (let at = path.prev; at; at = at.prev) {
+        const spanId = fieldSpans.get(pathText(at))
+        if (spanId) return spanId
+    }
+    return undefined
+}
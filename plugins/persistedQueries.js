@@ -0,0 +1,182 @@
+/**
+ * plugins/persistedQueries.js — Persisted Queries & the Operation Allowlist
+ *
+ * A GraphQL client normally sends the whole text of every operation,
+ * every time. Two ways to do better:
+ *
+ * AUTOMATIC PERSISTED QUERIES (APQ)
+ * The client sends only the SHA-256 hash of the operation:
+ *
+ *   { "extensions": { "persistedQuery": { "version": 1, "sha256Hash": "ecf4ed..." } } }
+ *
+ * If the server has seen that operation before, it runs it. If not, it
+ * answers PERSISTED_QUERY_NOT_FOUND and the client sends the hash again,
+ * this time WITH the text — the server checks the hash matches, runs it
+ * and remembers it for next time. Requests get much smaller; the full
+ * text travels once per operation.
+ *
+ * Apollo Server does all of this itself (Apollo Client's persisted
+ * queries link speaks the same protocol); we only configure it — see
+ * persistedQueriesFromEnv() below.
+ *
+ * THE ALLOWLIST (strict mode)
+ * Our production clients only ever send a known set of operations, so in
+ * production the server can refuse everything else. The approved
+ * operations are listed in a MANIFEST file, in the format Apollo's
+ * tooling generates (@apollo/generate-persisted-query-manifest):
+ *
+ *   {
+ *     "format": "apollo-persisted-query-manifest",
+ *     "version": 1,
+ *     "operations": [
+ *       { "id": "<sha256 of body>", "name": "TopGames", "type": "query",
+ *         "body": "query TopGames { topGames { id title } }" }
+ *     ]
+ *   }
+ *
+ * With a manifest loaded:
+ *   • an operation whose text isn't in the manifest — exactly, byte for
+ *     byte — fails with OPERATION_NOT_ALLOWED before any resolver runs
+ *   • a client may send just an operation's id (its hash) as a persisted
+ *     query; the text comes from the manifest
+ *   • subscriptions are checked against the manifest too
+ *   • introspection and the Apollo Sandbox landing page are switched
+ *     off, and error messages don't suggest field names — nobody needs
+ *     to explore a schema they can only send approved operations to
+ */
+
+import { createHash } from 'node:crypto'
+import { readFile } from 'node:fs/promises'
+
+import { GraphQLError } from 'graphql'
+
+export const MANIFEST_FORMAT = 'apollo-persisted-query-manifest'
+
+/**
+ * hashQuery(query)
+ * The SHA-256 hash of an operation's text, as hex — what APQ clients
+ * send and what a manifest's ids are.
+ */
+export function hashQuery(query) {
+    return createHash('sha256').update(query).digest('hex')
+}
+
+/**
+ * readManifest(manifest)
+ * Checks a parsed manifest and returns its operations as a Map from id
+ * to text. Throws if it's not a manifest, or if any id isn't the hash of
+ * its body — a hand-edited body would otherwise never match anything.
+ */
+export function readManifest(manifest) {
+    if (manifest?.format !== MANIFEST_FORMAT || manifest.version !== 1 || !Array.isArray(manifest.operations)) {
+        throw new Error(`Not a persisted query manifest — expected { "format": "${MANIFEST_FORMAT}", "version": 1, "operations": [...] }`)
+    }
+
+    const operations = new Map()
+    for (const { id, name, body } of manifest.operations) {
+        if (typeof body !== 'string' || id !== hashQuery(body)) {
+            throw new Error(`Manifest operation ${name ?? id} has an id that isn't the SHA-256 hash of its body`)
+        }
+        operations.set(id, body)
+    }
+    return operations
+}
+
+/**
+ * loadManifest(filePath)
+ * readManifest() for a manifest file.
+ */
+export async function loadManifest(filePath) {
+    const text = await readFile(filePath, 'utf8')
+    try {
+        return readManifest(JSON.parse(text))
+    } catch (error) {
+        throw new Error(`Can't use the operation manifest ${filePath}: ${error.message}`)
+    }
+}
+
+/**
+ * persistedQueriesFromEnv(env)
+ * Reads the configuration for createGraphQLServer({ persistedQueries }):
+ *
+ *   PERSISTED_QUERIES=off        → no APQ (on by default)
+ *   PERSISTED_QUERY_TTL=3600     → forget registered operations after an
+ *                                  hour (default: kept until the cache
+ *                                  needs the room)
+ *   OPERATION_MANIFEST=ops.json  → strict mode: only the manifest's
+ *                                  operations may run
+ *
+ * Returns { apq, ttl, manifest } — manifest being the Map from
+ * readManifest(), or null. Async because it reads the manifest file.
+ */
+export async function persistedQueriesFromEnv(env = process.env) {
+    return {
+        apq: env.PERSISTED_QUERIES !== 'off',
+        ttl: env.PERSISTED_QUERY_TTL ? Number(env.PERSISTED_QUERY_TTL) : undefined,
+        manifest: env.OPERATION_MANIFEST ? await loadManifest(env.OPERATION_MANIFEST) : null
+    }
+}
+
+/**
+ * allowlistPlugin(manifest)
+ *
+ * requestDidStart runs before Apollo looks at the request at all, so a
+ * request carrying only the hash of a manifest operation can be given
+ * its text there — it then runs like any other request, whether or not
+ * APQ is switched on.
+ *
+ * didResolveOperation runs once the text has been parsed, before any
+ * resolver. Apollo has hashed the text by then (queryHash); anything
+ * whose hash isn't in the manifest is refused.
+ */
+export function allowlistPlugin(manifest) {
+    return {
+        async requestDidStart({ request }) {
+            const hash = request.extensions?.persistedQuery?.sha256Hash
+            if (request.query === undefined && manifest.has(hash)) {
+                request.query = manifest.get(hash)
+                delete request.extensions.persistedQuery
+            }
+
+            return {
+                async didResolveOperation({ queryHash, operationName }) {
+                    if (!manifest.has(queryHash)) throw notAllowed(operationName)
+                }
+            }
+        }
+    }
+}
+
+/**
+ * allowlistOnSubscribe(manifest)
+ * The same check for subscriptions, which arrive over WebSockets and
+ * never pass through Apollo Server's plugins: an onSubscribe hook for
+ * graphql-ws (see index.js). Returning errors refuses the subscription.
+ *
+ * Like allowlistPlugin, it takes a subscription sent as just the hash of
+ * a manifest operation, and fills in its text for graphql-ws to run.
+ * graphql-ws insists on a query string in every subscribe message, so
+ * such a client sends an empty one.
+ */
+export function allowlistOnSubscribe(manifest) {
+    return (ctx, id, payload) => {
+        if (!payload.query) {
+            const hash = payload.extensions?.persistedQuery?.sha256Hash
+            if (!manifest.has(hash)) return [notAllowed(payload.operationName)]
+            payload.query = manifest.get(hash)
+        }
+        if (!manifest.has(hashQuery(payload.query))) return [notAllowed(payload.operationName)]
+    }
+}
+
+function notAllowed(operationName) {
+    return new GraphQLError(
+        `Operation ${operationName ?? '(anonymous)'} is not on this server's allowlist`,
+        {
+            extensions: {
+                code: 'OPERATION_NOT_ALLOWED',
+                http: { status: 400 }
+            }
+        }
+    )
+}
@@ -0,0 +1,241 @@
+/**
+ * plugins/queryLimits.js — Query Depth & Cost Limits
+ *
+ * Our schema is CYCLIC: a Game has reviews, each review has a game, that
+ * game has reviews again... so one short query can ask for an enormous
+ * amount of work:
+ *
+ *   { games { edges { node { reviews { edges { node { game { reviews { ... } } } } } } } } }
+ *
+ * This Apollo plugin measures every operation BEFORE it runs and refuses
+ * it if it goes over either limit:
+ *
+ *   DEPTH — how many fields deep the selection goes. The query above is
+ *           7 fields deep at "game", and every cycle adds three more.
+ *
+ *   COST  — an estimate of how much work resolving it would take:
+ *             • every field costs 1
+ *             • a LIST field (a list type, or a connection) multiplies the
+ *               cost of everything inside it by how many items it may
+ *               return: its first / last / limit argument, or when the
+ *               client doesn't say (or gives a negative size, which would
+ *               otherwise SUBTRACT cost) the page size a connection
+ *               returns by default (pagination.js) — defaultListSize for
+ *               any other list
+ *           So { games(first: 50) { edges { node { title } } } } costs
+ *           1 + 50 × (1 + 1 + 1) = 151, while the same selection on a
+ *           single game(id) costs 3.
+ *
+ * Introspection fields (__schema, __type, __typename) are free, so tools
+ * like Apollo Sandbox keep working.
+ *
+ * It's a plugin rather than a validation rule because plugins see the
+ * request's variables — games(first: $count) can only be costed once we
+ * know what $count is. Subscriptions skip Apollo's plugins, so
+ * limitsOnSubscribe() does the same check for them.
+ */
+
+import {
+    GraphQLError,
+    Kind,
+    getArgumentValues,
+    getNamedType,
+    getNullableType,
+    getOperationAST,
+    isListType,
+    parse,
+    validate
+} from 'graphql'
+
+import { DEFAULT_PAGE_SIZE } from '../pagination.js'
+
+/**
+ * Defaults per environment. Development is generous so experimenting in
+ * Sandbox doesn't trip the limits; production is strict. Either can be
+ * overridden with the MAX_QUERY_DEPTH / MAX_QUERY_COST env variables.
+ */
+const DEFAULTS = {
+    development: { maxDepth: 15, maxCost: 10000, defaultListSize: DEFAULT_PAGE_SIZE },
+    production: { maxDepth: 10, maxCost: 2000, defaultListSize: DEFAULT_PAGE_SIZE }
+}
+
+/**
+ * limitsFromEnv(env)
+ * Reads the limits for the current environment (NODE_ENV).
+ */
+export function limitsFromEnv(env = process.env) {
+    const defaults = env.NODE_ENV === 'production' ? DEFAULTS.production : DEFAULTS.development
+    return {
+        maxDepth: Number(env.MAX_QUERY_DEPTH ?? defaults.maxDepth),
+        maxCost: Number(env.MAX_QUERY_COST ?? defaults.maxCost),
+        defaultListSize: Number(env.DEFAULT_LIST_SIZE ?? defaults.defaultListSize)
+    }
+}
+
+/**
+ * queryLimitsPlugin({ maxDepth, maxCost, defaultListSize })
+ * didResolveOperation runs after the query has been parsed and validated
+ * against the schema, but before any resolver is called. Throwing here
+ * stops the request with that error — no resolver ever runs.
+ */
+export function queryLimitsPlugin(limits) {
+    return {
+        async requestDidStart() {
+            return {
+                async didResolveOperation({ operation, document, schema, request }) {
+                    const error = checkLimits(limits, { schema, document, operation, variables: request.variables })
+                    if (error) throw error
+                }
+            }
+        }
+    }
+}
+
+/**
+ * limitsOnSubscribe(schema, limits)
+ * The same limits for subscriptions, which arrive over WebSockets and
+ * never pass through Apollo Server's plugins: an onSubscribe hook for
+ * graphql-ws (see index.js). Returning errors refuses the subscription.
+ *
+ * graphql-ws hasn't parsed or validated the subscription yet when it
+ * calls the hook. A query that doesn't parse or validate is left alone
+ * here — graphql-ws reports those errors itself right after — and only a
+ * valid one is measured.
+ */
+export function limitsOnSubscribe(schema, limits) {
+    return (ctx, id, payload) => {
+        let document
+        try {
+            document = parse(payload.query)
+        } catch {
+            return undefined
+        }
+        if (validate(schema, document).length > 0) return undefined
+
+        const operation = getOperationAST(document, payload.operationName)
+        if (!operation) return undefined
+
+        const error = checkLimits(limits, { schema, document, operation, variables: payload.variables })
+        if (error) return [error]
+    }
+}
+
+/**
+ * checkLimits({ maxDepth, maxCost, defaultListSize }, { schema, document, operation, variables })
+ * Measures one operation of a parsed, validated document. Returns the
+ * error for the first limit it goes over, or undefined if it's within
+ * both.
+ */
+function checkLimits({ maxDepth, maxCost, defaultListSize = 10 }, { schema, document, operation, variables }) {
+    const fragments = Object.fromEntries(document.definitions
+        .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+        .map((fragment) => [fragment.name.value, fragment]))
+
+    const rootType = schema.getRootType(operation.operation)
+    const measure = {
+        schema,
+        fragments,
+        variables: variables ?? {},
+        defaultListSize,
+        fragmentSizes: new Map()
+    }
+    const { depth, cost } = measureSelections(measure, operation.selectionSet, rootType)
+
+    if (depth > maxDepth) return limitExceeded('depth', depth, maxDepth)
+    if (cost > maxCost) return limitExceeded('cost', cost, maxCost)
+}
+
+/**
+ * measureSelections(measure, selectionSet, parentType)
+ * Walks a selection set and returns { depth, cost } for it.
+ * Fragments don't add depth — they're just a way of grouping fields.
+ *
+ * A named fragment is measured once per operation, the first time it's
+ * spread, and remembered in measure.fragmentSizes: a fragment always has
+ * the same type (its type condition), so it always measures the same.
+ * Walking it again for every spread would let a query of nested, doubled
+ * spreads take exponentially long just to measure.
+ */
+function measureSelections(measure, selectionSet, parentType) {
+    let depth = 0
+    let cost = 0
+
+    for (const selection of selectionSet.selections) {
+        let result
+        if (selection.kind === Kind.FIELD) {
+            result = measureField(measure, selection, parentType)
+        } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+            result = measureFragment(measure, selection.name.value)
+        } else {
+            const type = selection.typeCondition
+                ? measure.schema.getType(selection.typeCondition.name.value)
+                : parentType
+            result = measureSelections(measure, selection.selectionSet, type)
+        }
+
+        depth = Math.max(depth, result.depth)
+        cost += result.cost
+    }
+    return { depth, cost }
+}
+
+function measureFragment(measure, name) {
+    let size = measure.fragmentSizes.get(name)
+    if (!size) {
+        const fragment = measure.fragments[name]
+        size = measureSelections(measure, fragment.selectionSet, measure.schema.getType(fragment.typeCondition.name.value))
+        measure.fragmentSizes.set(name, size)
+    }
+    return size
+}
+
+function measureField(measure, node, parentType) {
+    if (node.name.value.startsWith('__')) return { depth: 0, cost: 0 }
+
+    const field = parentType.getFields()[node.name.value]
+    if (!node.selectionSet) return { depth: 1, cost: 1 }
+
+    const inner = measureSelections(measure, node.selectionSet, getNamedType(field.type))
+    return {
+        depth: 1 + inner.depth,
+        cost: 1 + listSize(measure, field, node, parentType) * inner.cost
+    }
+}
+
+/**
+ * listSize(measure, field, node, parentType)
+ * How many items a field may return — 1 for anything that isn't a list.
+ *
+ * A connection counts as the list (its page size is set by first/last),
+ * so its edges field doesn't multiply a second time. Query.nodes returns
+ * exactly one item per id it's given. Without a size, a connection
+ * counts as DEFAULT_PAGE_SIZE — what connectionFromArray() returns then —
+ * and any other list as defaultListSize. A negative size counts as the
+ * default too: it would make the cost negative, and cancel out the cost
+ * of the fields next to it.
+ */
+function listSize(measure, field, node, parentType) {
+    const isConnection = getNamedType(field.type).name.endsWith('Connection')
+    const isList = isListType(getNullableType(field.type))
+    if (parentType.name.endsWith('Connection') || (!isConnection && !isList)) return 1
+
+    const args = getArgumentValues(field, node, measure.variables)
+    const size = args.first ?? args.last ?? args.limit ?? args.ids?.length
+    if (size >= 0) return size
+    return isConnection ? DEFAULT_PAGE_SIZE : measure.defaultListSize
+}
+
+function limitExceeded(limit, actual, max) {
+    return new GraphQLError(
+        `Query ${limit} of ${actual} exceeds the maximum allowed ${limit} of ${max}`,
+        {
+            extensions: {
+                code: limit === 'depth' ? 'DEPTH_LIMIT_EXCEEDED' : 'COST_LIMIT_EXCEEDED',
+                limit,
+                actual,
+                max,
+                http: { status: 400 }
+            }
+        }
+    )
+}
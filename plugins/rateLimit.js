@@ -0,0 +1,321 @@
+/**
+ * plugins/rateLimit.js — Rate Limiting
+ *
+ * Without a limit, one script can call addGame or run a heavy nested
+ * query as fast as it likes, forever. This Apollo plugin gives every
+ * CLIENT a budget of operations per time window and refuses anything
+ * over it with a RATE_LIMITED error (HTTP 429).
+ *
+ * A client is the logged-in user ("user:201") or, for anonymous
+ * requests, the IP address it came from ("ip:203.0.113.7").
+ *
+ * TWO KINDS OF LIMIT
+ *   per operation type — every query counts against the client's query
+ *                        limit, every mutation against its (stricter)
+ *                        mutation limit. See rateLimitsFromEnv() below.
+ *   per field          — a field marked with the @rateLimit directive in
+ *                        schema.js has a budget of its own, on top:
+ *
+ *                          addReview(...): Review @rateLimit(max: 5, window: "1m")
+ *
+ *                        Each time the field appears in an operation
+ *                        counts, so aliases can't be used to sneak past it.
+ *
+ * TOKEN BUCKETS
+ * Each (client, limit) pair has a bucket holding up to `max` tokens. An
+ * operation takes one token; an empty bucket means "too many requests".
+ * Tokens drip back in continuously — max of them per window — so a client
+ * that used up its budget gets one request back every window / max,
+ * rather than waiting for the whole window to reset. A client can still
+ * burst up to max requests after a quiet spell.
+ *
+ * The error says when to try again, both in extensions.retryAfter
+ * (seconds) and in the standard Retry-After HTTP header.
+ *
+ * Subscriptions run over WebSockets, outside Apollo Server's request
+ * pipeline, so they aren't counted here.
+ */
+
+import { GraphQLError, Kind, getDirectiveValues, getNamedType } from 'graphql'
+
+/**
+ * Defaults per environment, like the query limits: development is
+ * generous, production is strict. Override either with
+ * RATE_LIMIT_QUERY / RATE_LIMIT_MUTATION, written as "max/window":
+ *
+ *   RATE_LIMIT_MUTATION=20/1m   ← 20 mutations a minute per client
+ *
+ * A window is a number and a unit: 30s, 1m, 2h or 1d.
+ */
+const DEFAULTS = {
+    development: { query: '1000/1m', mutation: '200/1m' },
+    production: { query: '300/1m', mutation: '30/1m' }
+}
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }
+
+/**
+ * parseWindow(window)
+ * "1m" → 60000 (milliseconds). Throws on anything it can't read.
+ */
+export function parseWindow(window) {
+    const match = /^(\d+)([smhd])$/.exec(window)
+    if (!match || Number(match[1]) === 0) {
+        throw new Error(`Invalid rate limit window "${window}" — expected something like 30s, 1m, 2h or 1d`)
+    }
+    return Number(match[1]) * UNITS[match[2]]
+}
+
+/**
+ * limit(max, window)
+ * A limit as the plugin uses it. Checked up front, so a typo in the
+ * environment or the schema stops the server from starting instead of
+ * failing every request.
+ */
+function limit(max, window) {
+    if (!Number.isInteger(max) || max < 1) {
+        throw new Error(`Invalid rate limit max ${max} — expected a whole number of at least 1`)
+    }
+    return { max, window, windowMs: parseWindow(window) }
+}
+
+function parseLimit(text) {
+    const [max, window] = text.split('/')
+    return limit(Number(max), window)
+}
+
+/**
+ * rateLimitsFromEnv(env)
+ * Reads the per-operation-type limits for the current environment:
+ *   { query: { max, window, windowMs }, mutation: { ... } }
+ */
+export function rateLimitsFromEnv(env = process.env) {
+    const defaults = env.NODE_ENV === 'production' ? DEFAULTS.production : DEFAULTS.development
+    return {
+        query: parseLimit(env.RATE_LIMIT_QUERY ?? defaults.query),
+        mutation: parseLimit(env.RATE_LIMIT_MUTATION ?? defaults.mutation)
+    }
+}
+
+
+// =============================================================================
+// BUCKET STORES
+// =============================================================================
+/**
+ * The plugin keeps its buckets in a BUCKET STORE. Any object with this
+ * method will do:
+ *
+ *   take(key, { max, windowMs }) → { allowed, remaining, retryAfterMs }
+ *
+ * which refills the bucket named `key` for the time that has passed,
+ * then takes one token from it if it can. It may be async.
+ *
+ * MemoryBucketStore keeps the buckets in this process — fine for one
+ * server. Several servers behind a load balancer would each count
+ * separately; a store backed by something they share (Redis, say) fixes
+ * that without touching the plugin.
+ */
+export class MemoryBucketStore {
+    /**
+     * now — where the time comes from. Tests pass a fake clock so they
+     *   don't have to wait for buckets to refill.
+     * pruneEveryMs — how often, at most, prune() looks through the buckets.
+     */
+    constructor({ now = Date.now, pruneEveryMs = 60 * 1000 } = {}) {
+        this.now = now
+        this.pruneEveryMs = pruneEveryMs
+        this.nextPruneAt = now() + pruneEveryMs
+        this.buckets = new Map()
+    }
+
+    take(key, { max, windowMs }) {
+        const now = this.now()
+        if (now >= this.nextPruneAt) this.prune()
+
+        const bucket = this.buckets.get(key) ?? { tokens: max, updatedAt: now, windowMs }
+
+        // Tokens drip back at max per window, up to a full bucket
+        bucket.tokens = Math.min(max, bucket.tokens + (now - bucket.updatedAt) * max / windowMs)
+        bucket.updatedAt = now
+        bucket.windowMs = windowMs
+
+        const allowed = bucket.tokens >= 1
+        if (allowed) bucket.tokens -= 1
+        this.buckets.set(key, bucket)
+
+        return {
+            allowed,
+            remaining: Math.floor(bucket.tokens),
+            retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) * windowMs / max)
+        }
+    }
+
+    /**
+     * prune()
+     * Forgets buckets nobody has touched for a whole window of their own
+     * limit — they'd be full again by now, which is what a new bucket
+     * starts as anyway. Keeps a server seeing many different clients from
+     * growing forever. take() calls it at most once every pruneEveryMs,
+     * so its cost is spread over all the requests in between.
+     */
+    prune() {
+        const now = this.now()
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.updatedAt <= now - bucket.windowMs) this.buckets.delete(key)
+        }
+        this.nextPruneAt = now + this.pruneEveryMs
+    }
+}
+
+
+// =============================================================================
+// THE PLUGIN
+// =============================================================================
+/**
+ * rateLimitPlugin({ limits, store })
+ *   limits — per operation type, from rateLimitsFromEnv()
+ *   store  — a bucket store (default: a new MemoryBucketStore)
+ *
+ * serverWillStart reads every @rateLimit directive in the schema once.
+ * didResolveOperation runs before any resolver, like the query limits:
+ * throwing there refuses the whole operation.
+ *
+ * The operation-type bucket is checked first, then each field's — one
+ * token per time the field is selected. The first empty bucket refuses
+ * the operation; tokens already taken from the buckets before it aren't
+ * given back. A field selected more often than its max can never fit,
+ * so no more than max + 1 tokens are taken for it.
+ */
+export function rateLimitPlugin({ limits, store = new MemoryBucketStore() }) {
+    let fieldLimits
+
+    return {
+        async serverWillStart({ schema }) {
+            fieldLimits = readFieldLimits(schema)
+        },
+
+        async requestDidStart() {
+            return {
+                async didResolveOperation({ operation, document, schema, contextValue }) {
+                    const client = clientKey(contextValue)
+                    const checks = []
+
+                    if (limits[operation.operation]) {
+                        checks.push({ scope: operation.operation, limit: limits[operation.operation], times: 1 })
+                    }
+                    const fragments = Object.fromEntries(document.definitions
+                        .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+                        .map((fragment) => [fragment.name.value, fragment]))
+                    const rootType = schema.getRootType(operation.operation)
+                    const counts = countFields({ schema, fragments, fragmentCounts: new Map() }, operation.selectionSet, rootType)
+                    for (const [coordinate, times] of counts) {
+                        if (fieldLimits.has(coordinate)) checks.push({ scope: coordinate, limit: fieldLimits.get(coordinate), times })
+                    }
+
+                    for (const { scope, limit, times } of checks) {
+                        for (let i = 0; i < Math.min(times, limit.max + 1); i++) {
+                            const { allowed, retryAfterMs } = await store.take(`${client}:${scope}`, limit)
+                            if (!allowed) throw rateLimited(scope, limit, retryAfterMs)
+                        }
+                    }
+                }
+            }
+        }
+    }
+}
+
+/**
+ * clientKey(context)
+ * Who an operation's tokens come out of: the user if there is one, else
+ * the IP address. Requests with neither (tests calling executeOperation
+ * directly) share one "anonymous" client.
+ */
+function clientKey({ user, ip }) {
+    if (user) return `user:${user.id}`
+    if (ip) return `ip:${ip}`
+    return 'anonymous'
+}
+
+/**
+ * readFieldLimits(schema)
+ * Every field with a @rateLimit directive, by its schema coordinate:
+ *   Map { "Mutation.addReview" → { max: 5, window: "1m", windowMs: 60000 } }
+ */
+function readFieldLimits(schema) {
+    const directive = schema.getDirective('rateLimit')
+    const fieldLimits = new Map()
+    if (!directive) return fieldLimits
+
+    for (const type of Object.values(schema.getTypeMap())) {
+        if (type.name.startsWith('__') || !type.getFields || !type.astNode) continue
+        for (const field of Object.values(type.getFields())) {
+            const values = field.astNode && getDirectiveValues(directive, field.astNode)
+            if (values) fieldLimits.set(`${type.name}.${field.name}`, limit(values.max, values.window))
+        }
+    }
+    return fieldLimits
+}
+
+/**
+ * countFields(walk, selectionSet, parentType)
+ * How many times an operation selects each field, nested ones included,
+ * by schema coordinate: Map { "Query.search" → 2, "SearchHit.item" → 2 }
+ *
+ * A named fragment is counted once (walk.fragmentCounts remembers it)
+ * and added in as often as it's spread. Expanding it on every spread
+ * instead would let a few lines of nested, doubled spreads grow into
+ * millions of fields before the query limits ever see the operation.
+ */
+function countFields(walk, selectionSet, parentType) {
+    const counts = new Map()
+
+    for (const selection of selectionSet.selections) {
+        if (selection.kind === Kind.FIELD) {
+            if (selection.name.value.startsWith('__')) continue
+            addCounts(counts, new Map([[`${parentType.name}.${selection.name.value}`, 1]]))
+            if (selection.selectionSet) {
+                const field = parentType.getFields()[selection.name.value]
+                addCounts(counts, countFields(walk, selection.selectionSet, getNamedType(field.type)))
+            }
+        } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+            addCounts(counts, countFragment(walk, selection.name.value))
+        } else {
+            const type = selection.typeCondition
+                ? walk.schema.getType(selection.typeCondition.name.value)
+                : parentType
+            addCounts(counts, countFields(walk, selection.selectionSet, type))
+        }
+    }
+    return counts
+}
+
+function countFragment(walk, name) {
+    let counts = walk.fragmentCounts.get(name)
+    if (!counts) {
+        const fragment = walk.fragments[name]
+        counts = countFields(walk, fragment.selectionSet, walk.schema.getType(fragment.typeCondition.name.value))
+        walk.fragmentCounts.set(name, counts)
+    }
+    return counts
+}
+
+function addCounts(counts, more) {
+    for (const [coordinate, times] of more) counts.set(coordinate, (counts.get(coordinate) ?? 0) + times)
+}
+
+function rateLimited(scope, limit, retryAfterMs) {
+    const retryAfter = Math.ceil(retryAfterMs / 1000)
+    return new GraphQLError(
+        `Rate limit exceeded for ${scope}: at most ${limit.max} per ${limit.window}. Try again in ${retryAfter}s`,
+        {
+            extensions: {
+                code: 'RATE_LIMITED',
+                scope,
+                max: limit.max,
+                window: limit.window,
+                retryAfter,
+                http: { status: 429, headers: new Map([['retry-after', String(retryAfter)]]) }
+            }
+        }
+    )
+}
@@ -0,0 +1,299 @@
+/**
+ * plugins/responseCache.js — Whole-Response Cache
+ *
+ * Most queries ask for data that rarely changes: the same games(first: 10)
+ * is worked out again and again. This plugin keeps whole responses and
+ * answers a repeated query from memory, without running a single resolver.
+ *
+ * HOW LONG? — @cacheControl
+ * schema.js says how long each type or field may be cached:
+ *
+ *   type Game @cacheControl(maxAge: 60) { ... }
+ *   games(...): GameConnection! @cacheControl(maxAge: 30)
+ *
+ * Apollo Server works out a CACHE POLICY for every response from those
+ * hints: the smallest maxAge of everything it resolved, and PRIVATE if
+ * anything in it was PRIVATE. A field without a hint that returns an
+ * object (and every top-level field) counts as maxAge 0, so anything not
+ * marked as cacheable isn't cached. Apollo also sends the policy to
+ * browsers and CDNs as the Cache-Control header:
+ *
+ *   Cache-Control: max-age=30, public      ← or no-store
+ *
+ * Responses to logged-in users are always PRIVATE — they can hold things
+ * only that user may see (me, includeDeleted) — so no shared cache ever
+ * keeps them. See privateForUsersPlugin() below.
+ *
+ * WHAT'S CACHED
+ * Queries without errors whose policy allows caching. The key is the
+ * operation (by hash), its name, its variables and the user — their id
+ * and their roles: the same query from two users is cached twice, and so
+ * is the same user's once their roles change, since what they may see
+ * changes with them.
+ *
+ * INVALIDATION
+ * Waiting for maxAge to run out after a change isn't good enough — an
+ * admin who renames a game wants to see the new name straight away. So
+ * every cached response is TAGGED with what it depends on:
+ *
+ *   "Game:1"  — it shows game 1 (any of its fields)
+ *   "Game"    — it lists games: the list changes if any game is added,
+ *               removed or changed (a changed title can re-sort a page)
+ *
+ * After a mutation writes a record, its resolver calls
+ * responseCache.changed(type, record), which evicts every response
+ * tagged with that record or its type. A review also counts as a change
+ * to its game and author, whose averages and counts it feeds into. So
+ * updating game 1 evicts game(id: "1") and the games lists, but
+ * game(id: "2") stays cached.
+ *
+ * BACKENDS
+ * The entries live in a CACHE STORE. MemoryCacheStore (below) is an LRU
+ * in this process; anything with the same three methods can replace it.
+ */
+
+import { HeaderMap } from '@apollo/server'
+import { createHash } from 'node:crypto'
+import { getNamedType, getNullableType, isAbstractType, isListType, isObjectType } from 'graphql'
+
+import { NODE_TYPES } from '../ids.js'
+
+/**
+ * responseCacheFromEnv(env)
+ * A ResponseCache for the environment, or null when it's switched off:
+ *
+ *   RESPONSE_CACHE=off          → no response cache
+ *   RESPONSE_CACHE_SIZE=5000    → how many responses to keep (default 1000)
+ */
+export function responseCacheFromEnv(env = process.env) {
+    if (env.RESPONSE_CACHE === 'off') return null
+    return new ResponseCache({
+        store: new MemoryCacheStore({ maxEntries: Number(env.RESPONSE_CACHE_SIZE ?? 1000) })
+    })
+}
+
+
+// =============================================================================
+// CACHE STORES
+// =============================================================================
+/**
+ * A cache store has three methods, any of which may be async:
+ *
+ *   get(key)                       → the stored value, or undefined
+ *   set(key, value, { ttl, tags }) → stores value for ttl seconds
+ *   invalidate(tags)               → removes every entry with any of tags
+ *
+ * MemoryCacheStore is an LRU (least recently used) cache: once it holds
+ * maxEntries, storing another entry drops the one that has gone longest
+ * without being read. A Map remembers insertion order, so moving an entry
+ * to the end whenever it's read keeps the least recently used one first.
+ */
+export class MemoryCacheStore {
+    /**
+     * now — where the time comes from; tests pass a fake clock.
+     */
+    constructor({ maxEntries = 1000, now = Date.now } = {}) {
+        this.maxEntries = maxEntries
+        this.now = now
+        this.entries = new Map()
+    }
+
+    get(key) {
+        const entry = this.entries.get(key)
+        if (!entry) return undefined
+        if (entry.expiresAt <= this.now()) {
+            this.entries.delete(key)
+            return undefined
+        }
+        this.entries.delete(key)
+        this.entries.set(key, entry)
+        return entry.value
+    }
+
+    set(key, value, { ttl, tags = [] }) {
+        this.entries.delete(key)
+        this.entries.set(key, { value, tags, expiresAt: this.now() + ttl * 1000 })
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value)
+        }
+    }
+
+    // Checks every entry — fine for the thousand or so we keep
+    invalidate(tags) {
+        for (const [key, entry] of this.entries) {
+            if (entry.tags.some((tag) => tags.includes(tag))) this.entries.delete(key)
+        }
+    }
+}
+
+
+// =============================================================================
+// THE CACHE
+// =============================================================================
+/**
+ * ResponseCache
+ * What the plugin and the mutation resolvers share (as context.responseCache).
+ *
+ * generation counts invalidations. A query that started before a write
+ * and finishes after it may hold data from before the write, so it isn't
+ * stored if the generation moved on while it ran.
+ */
+export class ResponseCache {
+    constructor({ store = new MemoryCacheStore() } = {}) {
+        this.store = store
+        this.generation = 0
+    }
+
+    /**
+     * changed(type, records)
+     * Evicts every response that depends on these records of `type`
+     * ("Game", "Review" or "Author") — see INVALIDATION above.
+     */
+    async changed(type, records) {
+        const tags = new Set()
+        for (const record of [records].flat()) {
+            tags.add(type).add(`${type}:${record.id}`)
+            if (type === 'Review') {
+                tags.add('Game').add(`Game:${record.game_id}`).add(`Author:${record.author_id}`)
+            }
+        }
+        this.generation++
+        await this.store.invalidate([...tags])
+    }
+}
+
+
+// =============================================================================
+// THE PLUGIN
+// =============================================================================
+/**
+ * responseCachePlugin(responseCache)
+ *
+ *   responseForOperation — on a hit, answers from the cache; Apollo then
+ *                          skips execution altogether
+ *   willResolveField     — collects the tags as the response is built
+ *   willSendResponse     — stores the response, if it can be cached
+ */
+export function responseCachePlugin(responseCache) {
+    const { store } = responseCache
+    const listTags = new Map()
+
+    return {
+        async requestDidStart() {
+            let key = null
+            let hit = false
+            const tags = new Set()
+            const generation = responseCache.generation
+
+            return {
+                async responseForOperation({ operation, operationName, queryHash, request, contextValue, overallCachePolicy }) {
+                    if (operation.operation !== 'query') return null
+
+                    key = cacheKey(queryHash, operationName, request.variables, contextValue.user)
+                    const entry = await store.get(key)
+                    if (!entry) return null
+
+                    // Tell Apollo's Cache-Control header how much of maxAge is left
+                    hit = true
+                    const age = Math.floor((Date.now() - entry.storedAt) / 1000)
+                    overallCachePolicy.replace({ maxAge: Math.max(entry.maxAge - age, 0), scope: entry.scope })
+                    return {
+                        http: { status: undefined, headers: new HeaderMap([['age', String(age)]]) },
+                        body: { kind: 'single', singleResult: entry.result }
+                    }
+                },
+
+                async executionDidStart({ schema }) {
+                    return {
+                        willResolveField({ source, info }) {
+                            const { parentType, fieldName } = info
+                            if (NODE_TYPES.includes(parentType.name)) tags.add(`${parentType.name}:${source.id}`)
+
+                            const coordinate = `${parentType.name}.${fieldName}`
+                            if (!listTags.has(coordinate)) {
+                                listTags.set(coordinate, entityTypesListed(schema, parentType.getFields()[fieldName].type))
+                            }
+                            for (const tag of listTags.get(coordinate)) tags.add(tag)
+                        }
+                    }
+                },
+
+                async willSendResponse({ response, overallCachePolicy }) {
+                    if (!key || hit || response.body.kind !== 'single' || response.body.singleResult.errors) return
+                    if (responseCache.generation !== generation) return
+
+                    const policy = overallCachePolicy.policyIfCacheable()
+                    if (!policy) return
+                    await store.set(key, {
+                        result: response.body.singleResult,
+                        maxAge: policy.maxAge,
+                        scope: policy.scope,
+                        storedAt: Date.now()
+                    }, { ttl: policy.maxAge, tags: [...tags] })
+                }
+            }
+        }
+    }
+}
+
+/**
+ * privateForUsersPlugin()
+ * Makes every response to a logged-in user PRIVATE, whether or not the
+ * response cache is on — the Cache-Control header depends on it too.
+ *
+ * It restricts the policy once execution has ended, not any earlier:
+ * Apollo ignores the hints in the schema if the policy has already been
+ * set when execution starts. A cached response gets its scope back from
+ * the cache instead.
+ */
+export function privateForUsersPlugin() {
+    return {
+        async requestDidStart() {
+            return {
+                async executionDidStart({ contextValue, overallCachePolicy }) {
+                    return {
+                        async executionDidEnd() {
+                            if (contextValue.user) overallCachePolicy.restrict({ scope: 'PRIVATE' })
+                        }
+                    }
+                }
+            }
+        }
+    }
+}
+
+function cacheKey(queryHash, operationName, variables, user) {
+    const roles = user ? [...user.roles ?? []].sort() : null
+    return createHash('sha256')
+        .update(JSON.stringify([queryHash, operationName, variables ?? {}, user?.id ?? null, roles]))
+        .digest('hex')
+}
+
+/**
+ * entityTypesListed(schema, type)
+ * The types whose list a field's result depends on — its collection tags.
+ * A field that returns a list or a connection of Games is tagged "Game";
+ * one returning a single Game (or a scalar) gets no collection tag.
+ */
+function entityTypesListed(schema, type) {
+    const named = getNamedType(type)
+    const isList = isListType(getNullableType(type)) || named.name.endsWith('Connection')
+    return isList ? entityTypesIn(schema, named, 2) : []
+}
+
+/**
+ * entityTypesIn(schema, type, depth)
+ * The entity types (Game, Review, Author) a type is or holds: a union or
+ * interface holds each of its members, and a wrapper object (a
+ * connection, its edges, a search hit) holds what its fields do, up to
+ * `depth` levels down — enough for GameConnection → GameEdge → Game.
+ */
+function entityTypesIn(schema, type, depth) {
+    if (NODE_TYPES.includes(type.name)) return [type.name]
+    if (isAbstractType(type)) {
+        return schema.getPossibleTypes(type).map((member) => member.name).filter((name) => NODE_TYPES.includes(name))
+    }
+    if (!isObjectType(type) || depth === 0) return []
+    return [...new Set(Object.values(type.getFields())
+        .flatMap((field) => entityTypesIn(schema, getNamedType(field.type), depth - 1)))]
+}
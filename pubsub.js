@@ -0,0 +1,35 @@
+/**
+ * pubsub.js — In-Process Publish/Subscribe
+ *
+ * Subscriptions work like a radio station:
+ *
+ *   PUBLISH   — a mutation resolver announces "a review was just added"
+ *               on a named channel (an "event"), along with the payload.
+ *   SUBSCRIBE — every client subscribed to that channel receives it,
+ *               over their open WebSocket connection.
+ *
+ * PubSub from graphql-subscriptions keeps the channels in memory, inside
+ * this one Node process. That's fine for a single server; running several
+ * servers behind a load balancer would need a shared broker (Redis, etc.)
+ * implementing the same PubSubEngine interface.
+ *
+ * The pubsub instance travels through the context (context.pubsub), just
+ * like the data source, so tests can give each server its own.
+ */
+
+import { PubSub } from 'graphql-subscriptions'
+
+/**
+ * Channel names. Each payload is an object keyed by the Subscription field
+ * it feeds, e.g. publish(EVENTS.REVIEW_ADDED, { reviewAdded: review }),
+ * so the default resolver picks the value straight out of it.
+ */
+export const EVENTS = {
+    REVIEW_ADDED: 'REVIEW_ADDED',
+    GAME_UPDATED: 'GAME_UPDATED',
+    GAME_DELETED: 'GAME_DELETED'
+}
+
+export function createPubSub() {
+    return new PubSub()
+}
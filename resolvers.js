@@ -0,0 +1,1548 @@
+/**
+ * resolvers.js — Resolvers
+ *
+ * Functions that define HOW to fetch or modify the data for every field
+ * defined in the schema. Think of resolvers as the "handlers" for each
+ * query and mutation.
+ *
+ * The relationship between schema and resolvers:
+ *   Schema  → defines WHAT data looks like and WHAT you can ask for
+ *   Resolver → defines HOW to actually get or change that data
+ *
+ * Every field in your Query and Mutation types MUST have a matching resolver.
+ * If a resolver is missing, Apollo will return null for that field.
+ *
+ * They live in their own module (instead of index.js) so they can be
+ * imported — by tests, for example — without starting the HTTP server.
+ */
+
+// Helpers that turn a filtered, sorted array into a paginated connection
+import { connectionFromArray, sortBy } from './pagination.js'
+
+// Guards that check who is logged in and what they're allowed to do
+import { ROLES, canModerate, forbidden, hasRole, requireModerator, requireRole, requireUser } from './auth.js'
+
+// Channel names for subscriptions, and a helper to filter their events
+import { EVENTS } from './pubsub.js'
+import { withFilter } from 'graphql-subscriptions'
+
+// Input rules shared by every mutation, and the errors they throw
+import {
+    PLATFORMS, authorRules, conflict, gameRules, invalidInput, notFound, reportRules, reviewRules, searchRules,
+    topGamesRules, validate
+} from './validation.js'
+
+// What the data source throws when an update's expectedVersion is stale
+import { VersionConflictError } from './datasources/index.js'
+
+// The audit log every mutation writes to, and soft-delete helpers
+import { isDeleted, live, recordAudit, softDelete, undelete } from './audit.js'
+
+// Review statuses, reports and the moderation queue
+import {
+    STATUS, fileReport, initialStatus, isPublished, moderate, moderationQueue, published, reviewStatus
+} from './moderation.js'
+
+// The follow graph between authors, and the review feed built on it
+import { feed, follow, unfollow } from './social.js'
+
+// Bulk import / export of the catalog as JSON or CSV
+import { exportCatalog, importCatalog, parseCatalog } from './catalog.js'
+
+// Custom scalar implementations
+import { DateTimeScalar, JSONScalar } from './scalars.js'
+
+// Global ids for the Node interface
+import { fromGlobalId, localId, toGlobalId } from './ids.js'
+
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+/**
+ * SearchType enum values → the type names used by the search index,
+ * and which loader fetches each type.
+ */
+const SEARCH_TYPES = { GAME: 'Game', REVIEW: 'Review', AUTHOR: 'Author' }
+const LOADER_FOR = { Game: 'game', Review: 'review', Author: 'author' }
+
+/**
+ * recordType(record)
+ * Which type a stored record is, from the fields it has — for the
+ * SearchResult union and the Node interface.
+ */
+function recordType(record) {
+    if ('title' in record) return 'Game'
+    if ('rating' in record) return 'Review'
+    return 'Author'
+}
+
+/**
+ * loadById(loaders, type, id)
+ * Loads the record of `type` for an id argument, which may be a global id
+ * or a plain one (see localId in ids.js). null when there's no such
+ * record — including for the global id of some other type.
+ */
+function loadById(loaders, type, id) {
+    const local = localId(type, id)
+    return local == null ? null : loaders[LOADER_FOR[type]].load(local)
+}
+
+/**
+ * loadNode(context, id)
+ * The live record a global id points at, of whichever type — or null.
+ * Used by Query.node / Query.nodes. A review the user may not see (see
+ * seesReview() below) is null too.
+ */
+async function loadNode(context, id) {
+    const global = fromGlobalId(id)
+    if (!global) return null
+    const record = await context.loaders[LOADER_FOR[global.type]].load(global.id)
+    if (isDeleted(record)) return null
+    return global.type === 'Review' && !seesReview(context, record) ? null : record
+}
+
+/**
+ * seesReview(context, review)
+ * Whether the current user may see a review: anyone may see a PUBLISHED
+ * one, only moderators the rest (see moderation.js).
+ */
+function seesReview(context, review) {
+    return isPublished(review) || canModerate(context.user)
+}
+
+/**
+ * indexReview(search, review)
+ * Puts a review into the search index if it's PUBLISHED, and takes it
+ * out otherwise — the index only holds what anyone may see.
+ */
+function indexReview(search, review) {
+    if (isPublished(review)) search.add('Review', review)
+    else search.remove('Review', review.id)
+}
+
+/**
+ * authorsAt(loaders, edges, field)
+ * The live authors at one end of some follow edges (see social.js):
+ * field is "follower_id" or "followee_id".
+ */
+async function authorsAt(loaders, edges, field) {
+    const authors = await loaders.author.loadMany(edges.map((edge) => edge[field]))
+    return live(authors.filter(Boolean))
+}
+
+/**
+ * followTarget(context, id)
+ * The two authors a follow or unfollow is between: the logged-in user's
+ * own Author profile, and the author with this id. Users without a live
+ * profile can't follow anyone.
+ */
+async function followTarget(context, id) {
+    const user = requireUser(context)
+    const [follower, followee] = await Promise.all([
+        context.loaders.author.load(user.id),
+        loadById(context.loaders, 'Author', id)
+    ])
+    if (!follower || isDeleted(follower)) throw forbidden('Only authors can follow other authors')
+    if (!followee || isDeleted(followee)) throw notFound('Author', id)
+    return { follower, followee }
+}
+
+/**
+ * averageRating(reviews)
+ * The mean rating of a list of reviews, or null if there are none.
+ */
+function averageRating(reviews) {
+    if (reviews.length === 0) return null
+    return reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length
+}
+
+/**
+ * ratingDistribution(reviews)
+ * How many reviews gave each star rating, from 1 to 5 — always all five
+ * entries, so a chart can be drawn without filling in the gaps:
+ *   [{ rating: 1, count: 0 }, { rating: 2, count: 1 }, ..., { rating: 5, count: 3 }]
+ */
+function ratingDistribution(reviews) {
+    const counts = [1, 2, 3, 4, 5].map((rating) => ({ rating, count: 0 }))
+    for (const review of reviews) counts[review.rating - 1].count++
+    return counts
+}
+
+/**
+ * showDeleted(context, args)
+ * Whether a field should include soft-deleted records (see audit.js).
+ * Only ADMIN users may ask for them with includeDeleted: true.
+ */
+function showDeleted(context, args) {
+    if (!args.includeDeleted) return false
+    requireRole(context, ROLES.ADMIN)
+    return true
+}
+
+/**
+ * visible(context, args, record)
+ * The record for a single-record lookup — or null when it's deleted and
+ * deleted records weren't asked for.
+ */
+function visible(context, args, record) {
+    return isDeleted(record) && !showDeleted(context, args) ? null : record
+}
+
+/**
+ * findOne(context, type, args)
+ * The record a single-record lookup returns: what loadById() finds for
+ * args.id, unless it's deleted (see visible()) or a review the user may
+ * not see (see seesReview()). Query.game / review / author use it, and so
+ * do the Federation __resolveReference resolvers.
+ */
+async function findOne(context, type, args) {
+    const record = visible(context, args, await loadById(context.loaders, type, args.id))
+    return record && type === 'Review' && !seesReview(context, record) ? null : record
+}
+
+/**
+ * gameConnection(context, args)
+ * Filters, sorts and paginates the games list for Query.games.
+ *
+ * args holds the field arguments: paging (first/after/last/before),
+ * filter ({ platform, titleContains }), orderBy ({ field, direction })
+ * and includeDeleted.
+ */
+async function gameConnection(context, args) {
+    const { db, loaders } = context
+    let games = await db.list('games')
+    const { platform, titleContains } = args.filter ?? {}
+
+    if (!showDeleted(context, args)) {
+        games = live(games)
+    }
+
+    if (platform != null) {
+        games = games.filter((game) => game.platform.includes(platform))
+    }
+    if (titleContains != null) {
+        const needle = titleContains.toLowerCase()
+        games = games.filter((game) => game.title.toLowerCase().includes(needle))
+    }
+
+    // Sorting by rating needs every game's average, so only work it out when asked
+    let ratings = new Map()
+    if (args.orderBy?.field === 'RATING') {
+        const reviews = await loaders.reviewsByGame.loadMany(games.map((game) => game.id))
+        ratings = new Map(games.map((game, index) => [game.id, averageRating(published(live(reviews[index])))]))
+    }
+
+    games = sortBy(games, args.orderBy, {
+        ID: (game) => game.id,
+        TITLE: (game) => game.title,
+        RATING: (game) => ratings.get(game.id)
+    })
+    return connectionFromArray(games, args)
+}
+
+/**
+ * reviewConnection(context, reviews, args)
+ * Filters, sorts and paginates a list of reviews. Shared by Query.reviews,
+ * Game.reviews and Author.reviews — they only differ in which reviews
+ * they start from.
+ *
+ * Only moderators get reviews that aren't PUBLISHED (see moderation.js),
+ * and only they can narrow the list down by status.
+ */
+async function reviewConnection(context, reviews, args) {
+    const { loaders } = context
+    const { minRating, maxRating, verifiedAuthor, status } = args.filter ?? {}
+
+    if (!showDeleted(context, args)) {
+        reviews = live(reviews)
+    }
+    if (!canModerate(context.user)) {
+        reviews = published(reviews)
+    }
+    if (status != null) {
+        reviews = reviews.filter((review) => reviewStatus(review) === status)
+    }
+    if (minRating != null) {
+        reviews = reviews.filter((review) => review.rating >= minRating)
+    }
+    if (maxRating != null) {
+        reviews = reviews.filter((review) => review.rating <= maxRating)
+    }
+    if (verifiedAuthor != null) {
+        // Through the loader, so Game.reviews(filter: ...) on a whole page of
+        // games still looks the authors up in one batch
+        const authors = await loaders.author.loadMany(reviews.map((review) => review.author_id))
+        reviews = reviews.filter((review, index) => Boolean(authors[index]?.verified) === verifiedAuthor)
+    }
+
+    reviews = sortBy(reviews, args.orderBy, {
+        ID: (review) => review.id,
+        RATING: (review) => review.rating
+    })
+    return connectionFromArray(reviews, args)
+}
+
+/**
+ * authorConnection(context, args)
+ * Filters, sorts and paginates the authors list for Query.authors.
+ */
+async function authorConnection(context, args) {
+    let authors = await context.db.list('authors')
+    const { verified } = args.filter ?? {}
+
+    if (!showDeleted(context, args)) {
+        authors = live(authors)
+    }
+    if (verified != null) {
+        authors = authors.filter((author) => author.verified === verified)
+    }
+
+    authors = sortBy(authors, args.orderBy, {
+        ID: (author) => author.id,
+        NAME: (author) => author.name
+    })
+    return connectionFromArray(authors, args)
+}
+
+/**
+ * updateVersioned(db, type, collection, id, edits, expectedVersion)
+ * db.update() for the update mutations. The data source checks
+ * expectedVersion (see datasources/memory.js); a stale one becomes a
+ * CONFLICT error carrying the current record, in the shape the client
+ * reads it in (see conflictRecord()).
+ */
+async function updateVersioned(db, type, collection, id, edits, expectedVersion) {
+    try {
+        return await db.update(collection, id, edits, { expectedVersion })
+    } catch (error) {
+        if (error instanceof VersionConflictError) throw conflict(type, conflictRecord(type, error.current), expectedVersion)
+        throw error
+    }
+}
+
+/**
+ * CONFLICT_FIELDS / conflictRecord(type, record)
+ * A stored record as the API would serve it: a global id, camelCase
+ * names, enum values rather than stored strings, and none of the
+ * bookkeeping the client never sees (game_id, deleted_with, ...). It goes
+ * into a CONFLICT error's extensions, which the resolvers don't run on,
+ * so the mapping they'd do is done here. Related records are left out —
+ * the client can query them by the id it already has.
+ */
+const CONFLICT_FIELDS = {
+    Game: (game) => ({
+        title: game.title,
+        platform: game.platform.map((stored) => Object.keys(PLATFORMS).find((value) => PLATFORMS[value] === stored))
+    }),
+    Review: (review) => ({ rating: review.rating, content: review.content, status: reviewStatus(review) }),
+    Author: (author) => ({
+        name: author.name,
+        verified: author.verified,
+        bio: author.bio ?? null,
+        avatarUrl: author.avatar_url ?? null
+    })
+}
+
+function conflictRecord(type, record) {
+    return {
+        id: toGlobalId(type, record.id),
+        ...CONFLICT_FIELDS[type](record),
+        version: record.version,
+        createdAt: record.created_at,
+        updatedAt: record.updated_at
+    }
+}
+
+/**
+ * setReviewStatus(context, operation, id, status)
+ * The shared body of approveReview and rejectReview.
+ */
+async function setReviewStatus(context, operation, id, status) {
+    requireModerator(context)
+    const before = await loadById(context.loaders, 'Review', id)
+    if (!before || isDeleted(before)) throw notFound('Review', id)
+
+    const review = await moderate(context, operation, before, status)
+    context.loaders.clearAll()
+    indexReview(context.search, review)
+    await context.responseCache?.changed('Review', review)
+
+    if (isPublished(review) && !isPublished(before)) {
+        await context.pubsub.publish(EVENTS.REVIEW_ADDED, { reviewAdded: review })
+    }
+    return review
+}
+
+/**
+ * deleteGame / deleteReview / deleteAuthor(context, operation, id)
+ * The shared bodies of the delete mutations, old and new (see
+ * Mutation.deleteGame and Mutation.removeGame). Each checks who's asking,
+ * soft-deletes the record — cascading to its reviews — keeps the search
+ * index and response cache in step, and returns the deleted record.
+ * operation is the mutation's name, for the audit log.
+ */
+async function deleteGame(context, operation, id) {
+    requireRole(context, ROLES.ADMIN)
+    const { loaders } = context
+
+    const game = await loadById(loaders, 'Game', id)
+    if (!game || isDeleted(game)) throw notFound('Game', id)
+    const reviews = live(await loaders.reviewsByGame.load(game.id))
+
+    const deleted = await softDelete(context, operation, 'Game', 'games', game)
+    for (const review of reviews) {
+        await softDelete(context, operation, 'Review', 'reviews', review, `Game:${game.id}`)
+    }
+    loaders.clearAll()
+
+    context.search.remove('Game', game.id)
+    for (const review of reviews) context.search.remove('Review', review.id)
+    await context.responseCache?.changed('Game', game)
+    await context.responseCache?.changed('Review', reviews)
+
+    await context.pubsub.publish(EVENTS.GAME_DELETED, { gameDeleted: deleted })
+    return deleted
+}
+
+async function deleteReview(context, operation, id) {
+    const user = requireUser(context)
+    const { loaders } = context
+
+    const review = await loadById(loaders, 'Review', id)
+    if (!review || isDeleted(review)) throw notFound('Review', id)
+    if (review.author_id !== user.id && !hasRole(user, ROLES.ADMIN)) {
+        throw forbidden('You can only delete your own reviews')
+    }
+
+    const deleted = await softDelete(context, operation, 'Review', 'reviews', review)
+    loaders.clearAll()
+    context.search.remove('Review', review.id)
+    await context.responseCache?.changed('Review', review)
+    return deleted
+}
+
+async function deleteAuthor(context, operation, id) {
+    requireRole(context, ROLES.ADMIN)
+    const { loaders } = context
+
+    const author = await loadById(loaders, 'Author', id)
+    if (!author || isDeleted(author)) throw notFound('Author', id)
+    const reviews = live(await loaders.reviewsByAuthor.load(author.id))
+
+    const deleted = await softDelete(context, operation, 'Author', 'authors', author)
+    for (const review of reviews) {
+        await softDelete(context, operation, 'Review', 'reviews', review, `Author:${author.id}`)
+    }
+    loaders.clearAll()
+
+    context.search.remove('Author', author.id)
+    for (const review of reviews) context.search.remove('Review', review.id)
+    await context.responseCache?.changed('Author', author)
+    await context.responseCache?.changed('Review', reviews)
+    return deleted
+}
+
+/**
+ * asPayload(work)
+ * For the mutations that return a payload type (DeleteGamePayload, ...):
+ * runs work() and returns what it returns, with errors: []. When work()
+ * throws BAD_USER_INPUT or NOT_FOUND — a problem with what was asked
+ * for — the error becomes the payload's errors instead, one UserError
+ * per field of its fieldErrors. Anything else (not logged in, not
+ * allowed, a bug) is still thrown as a GraphQL error.
+ */
+const PAYLOAD_ERROR_CODES = new Set(['BAD_USER_INPUT', 'NOT_FOUND'])
+
+async function asPayload(work) {
+    try {
+        return { ...await work(), errors: [] }
+    } catch (error) {
+        const code = error.extensions?.code
+        if (!PAYLOAD_ERROR_CODES.has(code)) throw error
+
+        const { fieldErrors } = error.extensions
+        return {
+            errors: fieldErrors
+                ? Object.entries(fieldErrors).map(([field, message]) => ({ code, field, message }))
+                : [{ code, field: null, message: error.message }]
+        }
+    }
+}
+
+/**
+ * timestamps
+ * Records store created_at / updated_at / deleted_at; the schema calls
+ * them createdAt / updatedAt / deletedAt. Spread into the Game, Review
+ * and Author resolvers.
+ */
+const timestamps = {
+    createdAt: (parent) => parent.created_at,
+    updatedAt: (parent) => parent.updated_at,
+    deletedAt: (parent) => parent.deleted_at ?? null
+}
+
+/**
+ * auditEntries(db, filter)
+ * The audit log, newest entry first, narrowed down by an AuditFilter.
+ * Every filter field matches exactly. Entries store plain entity ids, so
+ * a global entityId is matched by its plain id AND its type.
+ */
+async function auditEntries(db, filter = {}) {
+    const fields = {
+        entityType: 'entity_type',
+        entityId: 'entity_id',
+        userId: 'user_id',
+        operation: 'operation'
+    }
+
+    const global = filter.entityId != null && fromGlobalId(filter.entityId)
+    if (global) filter = { ...filter, entityId: global.id }
+
+    let entries = [...await db.list('audit')].reverse()
+    if (global) entries = entries.filter((entry) => entry.entity_type === global.type)
+    for (const [name, field] of Object.entries(fields)) {
+        if (filter[name] != null) {
+            entries = entries.filter((entry) => entry[field] === filter[name])
+        }
+    }
+    return entries
+}
+
+
+// =============================================================================
+// RESOLVERS
+// =============================================================================
+/**
+ * The resolvers object mirrors the structure of your schema exactly.
+ * Top-level keys match type names: Query, Mutation, Game, Author, Review.
+ * Inside each, the keys match field names defined in the schema.
+ *
+ * Every resolver function can receive up to 4 arguments:
+ *   (parent, args, context, info)
+ *
+ *   parent  → the resolved value of the PARENT type (used in nested resolvers)
+ *   args    → any arguments passed in the query/mutation, e.g. game(id: "R2FtZTox") → args.id = "R2FtZTox"
+ *   context → shared data across all resolvers (auth tokens, db connections, etc.)
+ *             Here it carries context.db — the data source every resolver reads
+ *             from and writes to (see datasources/). Resolvers never import the
+ *             data directly, so the storage backend can be swapped freely.
+ *             It also carries context.loaders (see loaders.js), which batch
+ *             and cache lookups by id for the duration of one request,
+ *             context.user — the logged-in user, or null (see auth.js),
+ *             context.pubsub — where mutations publish subscription
+ *             events (see pubsub.js), context.search — the full-text
+ *             search index (see search.js), and context.responseCache —
+ *             the cache of whole responses (see plugins/responseCache.js).
+ *   info    → advanced metadata about the query execution — rarely needed
+ *
+ * When we don't need an argument, we use _ as a placeholder by convention.
+ * e.g. (_, args) means "I don't need parent, but I do need args"
+ *
+ * Data-source methods are async, so most resolvers are async too. GraphQL
+ * happily waits for a returned Promise before moving on to nested fields.
+ */
+export const resolvers = {
+
+    // =========================================================================
+    // QUERY RESOLVERS
+    // =========================================================================
+    // These handle all READ operations — fetching data without changing anything.
+    Query: {
+
+        /**
+         * games(_, args)
+         * Handles the query: { games(first: 10, filter: { platform: "PC" }) { edges { node { id title } } } }
+         *
+         * Every argument is optional — with none, every game comes back on a
+         * single page. The filtering, sorting and slicing into a connection
+         * happen in gameConnection() (see HELPERS above).
+         */
+        games(_, args, context) {
+            return gameConnection(context, args)
+        },
+
+        /**
+         * reviews(_, args)
+         * Handles the query: { reviews(filter: { minRating: 4 }) { totalCount edges { node { id rating } } } }
+         */
+        async reviews(_, args, context) {
+            return reviewConnection(context, await context.db.list('reviews'), args)
+        },
+
+        /**
+         * authors(_, args)
+         * Handles the query: { authors(filter: { verified: true }) { edges { node { id name } } } }
+         */
+        authors(_, args, context) {
+            return authorConnection(context, args)
+        },
+
+        /**
+         * review(_, args)
+         * Handles the query: { review(id: "UmV2aWV3OjEwMQ==") { rating content } }
+         *
+         * args.id contains the id the client passed in — a global id, or
+         * the review's plain id ("101"). loadById() works out which, and
+         * the review loader looks up a single record by its plain id
+         * (see findOne() above). Returns a single Review object, or null
+         * if not found.
+         *
+         * A deleted review comes back as null, as if it didn't exist, unless
+         * an ADMIN passes includeDeleted: true (see visible() above). So
+         * does one that isn't PUBLISHED, unless a moderator is asking.
+         */
+        review(_, args, context) {
+            return findOne(context, 'Review', args)
+        },
+
+        /**
+         * game(_, args)
+         * Handles the query: { game(id: "R2FtZTox") { title platform } }
+         */
+        game(_, args, context) {
+            return findOne(context, 'Game', args)
+        },
+
+        /**
+         * author(_, args)
+         * Handles the query: { author(id: "QXV0aG9yOjIwMQ==") { name verified } }
+         */
+        author(_, args, context) {
+            return findOne(context, 'Author', args)
+        },
+
+        /**
+         * node(_, args) / nodes(_, args)
+         * Handles the query: { node(id: "R2FtZTox") { id ... on Game { title } } }
+         *
+         * The global id says which type to load (see ids.js), so one field
+         * can fetch a Game, a Review or an Author. Plain ids, unknown ids,
+         * deleted records and reviews the user may not see all come back as
+         * null. nodes does the same for a list of ids — one loader batch per type.
+         */
+        node(_, args, context) {
+            return loadNode(context, args.id)
+        },
+
+        nodes(_, args, context) {
+            return args.ids.map((id) => loadNode(context, id))
+        },
+
+        /**
+         * me(_, __, context)
+         * Handles the query: { me { id roles author { name } } }
+         *
+         * Returns the user from the bearer token, or null when the request
+         * isn't authenticated — asking "who am I?" is never an error.
+         */
+        me(_, __, { user }) {
+            return user
+        },
+
+        /**
+         * feed(_, args)
+         * Handles the query: { feed(first: 10) { edges { node { content author { name } } } pageInfo { endCursor } } }
+         *
+         * The logged-in user's home page — see social.js for what's on it
+         * and in which order. Users who follow nobody get an empty feed.
+         */
+        async feed(_, args, context) {
+            const user = requireUser(context)
+            return connectionFromArray(await feed(context.loaders, user.id), args)
+        },
+
+        /**
+         * search(_, args)
+         * Handles the query:
+         *   { search(term: "bugs", types: [REVIEW]) { score snippet item { ... on Review { rating } } } }
+         *
+         * The index only knows types and ids; the records themselves are
+         * loaded through the loaders, which batches them per type.
+         * first is checked up front: the index slices its hits with it, and
+         * a negative number would return everything but the last few.
+         */
+        search(_, args, { search, loaders }) {
+            validate(args, searchRules)
+
+            const types = args.types?.map((type) => SEARCH_TYPES[type])
+            return search.search(args.term, { types, limit: args.first }).map((hit) => ({
+                score: hit.score,
+                snippet: hit.snippet,
+                item: loaders[LOADER_FOR[hit.type]].load(hit.id)
+            }))
+        },
+
+        /**
+         * topGames(_, args)
+         * Handles the query: { topGames(limit: 5, platform: PC, minReviews: 2) { title averageRating } }
+         *
+         * Ranks games by their average rating, best first. Ties go to the
+         * game with more reviews. minReviews keeps a single 5-star review
+         * from putting a game at the top; games without any reviews never
+         * make the list.
+         */
+        async topGames(_, args, { db, loaders }) {
+            validate(args, topGamesRules)
+
+            let games = live(await db.list('games'))
+            if (args.platform != null) {
+                games = games.filter((game) => game.platform.includes(args.platform))
+            }
+
+            const reviews = (await loaders.reviewsByGame.loadMany(games.map((game) => game.id)))
+                .map((list) => published(live(list)))
+            return games
+                .map((game, index) => ({
+                    game,
+                    count: reviews[index].length,
+                    average: averageRating(reviews[index])
+                }))
+                .filter(({ count }) => count > 0 && count >= args.minReviews)
+                .sort((a, b) => b.average - a.average || b.count - a.count)
+                .slice(0, args.limit)
+                .map(({ game }) => game)
+        },
+
+        /**
+         * auditLog(_, args)
+         * Handles the query: { auditLog(filter: { operation: "deleteGame" }) { edges { node { at userId before } } } }
+         *
+         * Newest entry first. Only ADMIN users may read the log.
+         */
+        async auditLog(_, args, context) {
+            requireRole(context, ROLES.ADMIN)
+            return connectionFromArray(await auditEntries(context.db, args.filter ?? {}), args)
+        },
+
+        /**
+         * gameHistory(_, args)
+         * Handles the query: { gameHistory(id: "1") { id operation before after } }
+         *
+         * Every change to one game, newest first — pass an entry's id to
+         * restoreGame(toEntry:) to undo it. Deleted games have a history too.
+         */
+        async gameHistory(_, args, context) {
+            requireRole(context, ROLES.ADMIN)
+            return auditEntries(context.db, { entityType: 'Game', entityId: args.id })
+        },
+
+        /**
+         * moderationQueue(_, args)
+         * Handles the query: { moderationQueue(first: 20) { edges { node { id status content reports { reason } } } } }
+         *
+         * What's waiting for a moderator, oldest first (see moderation.js).
+         * Only moderators may read it.
+         */
+        async moderationQueue(_, args, context) {
+            requireModerator(context)
+            return connectionFromArray(await moderationQueue(context.db), args)
+        },
+
+        /**
+         * exportCatalog(_, args)
+         * Handles the query: { exportCatalog(format: CSV, collection: GAMES) }
+         *
+         * Returns the file's contents as one string. The enum values arrive
+         * already mapped to catalog.js's names ('csv', 'games') — see the
+         * CatalogFormat / CatalogCollection resolvers below.
+         */
+        exportCatalog(_, args, context) {
+            requireRole(context, ROLES.ADMIN)
+            return exportCatalog(context.db, args)
+        }
+    },
+
+    /**
+     * CatalogFormat / CatalogCollection enums
+     * Like Platform: clients use CSV and GAMES, catalog.js uses the
+     * lower-case names it shares with the command-line script.
+     */
+    CatalogFormat: { JSON: 'json', CSV: 'csv' },
+    CatalogCollection: { GAMES: 'games', AUTHORS: 'authors', REVIEWS: 'reviews' },
+
+    /**
+     * Custom scalars — see scalars.js
+     */
+    DateTime: DateTimeScalar,
+    JSON: JSONScalar,
+
+    /**
+     * Platform enum
+     * Maps each enum value in the schema to the string we actually store
+     * (PLATFORMS, in validation.js).
+     * Clients send and receive PLAYSTATION; the data keeps "PlayStation".
+     * Apollo converts in both directions, so resolvers only ever see the
+     * stored strings.
+     */
+    Platform: PLATFORMS,
+
+    /**
+     * SearchResult union
+     * A field that returns a UNION can hand back a Game, a Review or an
+     * Author, so GraphQL needs to be told which one each value is.
+     * __resolveType does that by looking at which fields the record has.
+     */
+    SearchResult: {
+        __resolveType: recordType
+    },
+
+    /**
+     * Node interface
+     * An interface field (Query.node) needs the same answer as a union:
+     * which concrete type each value is.
+     */
+    Node: {
+        __resolveType: recordType
+    },
+
+    /**
+     * User resolvers
+     * A user is whoever holds the token; they're linked to the Author with
+     * the same id, if there is one (admins don't have to be authors).
+     */
+    User: {
+        async author(parent, _, { loaders }) {
+            const author = await loaders.author.load(parent.id)
+            return isDeleted(author) ? null : author
+        }
+    },
+
+    /**
+     * AuditEntry resolvers
+     * Entries are stored with snake_case fields like the other records;
+     * these map them onto the camelCase names in the schema.
+     */
+    AuditEntry: {
+        userId: (parent) => parent.user_id,
+        entityType: (parent) => parent.entity_type,
+        entityId: (parent) => toGlobalId(parent.entity_type, parent.entity_id)
+    },
+
+
+    // =========================================================================
+    // NESTED TYPE RESOLVERS
+    // =========================================================================
+    /**
+     * These resolvers handle the RELATIONSHIPS between types.
+     *
+     * Why do we need these? Because our database stores a flat reference
+     * (e.g. game_id: "1") but our schema promises a full Game object.
+     * These resolvers bridge that gap — they receive the parent object
+     * and use it to go fetch the related data.
+     *
+     * GraphQL calls these resolvers automatically when a client asks for
+     * a nested field. For example, if a client queries:
+     *   { game(id: "1") { title reviews { rating } } }
+     * GraphQL first runs the game() Query resolver to get the Game,
+     * then runs Game.reviews() with that Game as the "parent" to get its reviews.
+     *
+     * Each type's id resolver turns the stored plain id into the global
+     * id the schema promises (see ids.js). Everything else — parent.id
+     * below, foreign keys, the loaders — keeps working with plain ids.
+     */
+
+    /**
+     * Game resolvers
+     * These run when a client asks for fields on a Game type.
+     */
+    Game: {
+        id: (parent) => toGlobalId('Game', parent.id),
+
+        /**
+         * __resolveReference(reference)
+         * Subgraph mode only (see the @key directive in schema.js): turns a
+         * reference from another subgraph, { __typename: "Game", id: "R2FtZTox" },
+         * into the game — the same lookup as Query.game, so a deleted game
+         * is null here too. Author and Review have one each as well.
+         */
+        __resolveReference(reference, context) {
+            return findOne(context, 'Game', reference)
+        },
+
+        /**
+         * reviews(parent, args)
+         * Handles: { game(id: "1") { reviews(first: 5) { edges { node { rating content } } } } }
+         *
+         * "parent" here is the Game object that was already resolved.
+         * So parent.id is the id of the game we're currently looking at.
+         *
+         * We ask the reviewsByGame loader for all reviews where
+         * the review's game_id matches this game's id. When a page of
+         * games is resolved, the loader gathers every game's id and
+         * fetches all of their reviews in one batch.
+         *
+         * This is the GraphQL equivalent of a SQL JOIN:
+         *   SELECT * FROM reviews WHERE game_id = parent.id
+         *
+         * Those reviews are then filtered, sorted and paginated exactly
+         * like Query.reviews.
+         */
+        async reviews(parent, args, context) {
+            return reviewConnection(context, await context.loaders.reviewsByGame.load(parent.id), args)
+        },
+
+        /**
+         * averageRating / reviewCount / ratingDistribution
+         * Handles: { game(id: "1") { averageRating reviewCount ratingDistribution { rating count } } }
+         *
+         * COMPUTED fields — they aren't stored anywhere. They're worked out
+         * from the same reviews Game.reviews walks, through the same loader,
+         * so asking for all three (plus reviews) still costs one lookup.
+         * Because nothing is stored, they're always in step with the latest
+         * addReview / updateReview / deleteReview. Deleted reviews don't
+         * count, and neither do ones that aren't PUBLISHED — not even for
+         * moderators, so every user sees the same numbers.
+         */
+        async averageRating(parent, _, { loaders }) {
+            return averageRating(published(live(await loaders.reviewsByGame.load(parent.id))))
+        },
+
+        async reviewCount(parent, _, { loaders }) {
+            return published(live(await loaders.reviewsByGame.load(parent.id))).length
+        },
+
+        async ratingDistribution(parent, _, { loaders }) {
+            return ratingDistribution(published(live(await loaders.reviewsByGame.load(parent.id))))
+        },
+
+        ...timestamps
+    },
+
+    /**
+     * Author resolvers
+     */
+    Author: {
+        id: (parent) => toGlobalId('Author', parent.id),
+
+        __resolveReference(reference, context) {
+            return findOne(context, 'Author', reference)
+        },
+
+        /**
+         * reviews(parent, args)
+         * Handles: { author(id: "201") { reviews { edges { node { rating content } } } } }
+         *
+         * parent is the Author object. We find all reviews written by this author.
+         */
+        async reviews(parent, args, context) {
+            return reviewConnection(context, await context.loaders.reviewsByAuthor.load(parent.id), args)
+        },
+
+        /**
+         * reviewCount / averageGivenRating
+         * Handles: { author(id: "202") { reviewCount averageGivenRating } }
+         * Computed like the Game aggregates — averageGivenRating tells you
+         * whether an author is a tough critic or an easy one.
+         */
+        async reviewCount(parent, _, { loaders }) {
+            return published(live(await loaders.reviewsByAuthor.load(parent.id))).length
+        },
+
+        async averageGivenRating(parent, _, { loaders }) {
+            return averageRating(published(live(await loaders.reviewsByAuthor.load(parent.id))))
+        },
+
+        /**
+         * avatarUrl / joinedAt
+         * The profile fields. bio needs no resolver — it's stored as "bio".
+         */
+        avatarUrl: (parent) => parent.avatar_url ?? null,
+        joinedAt: (parent) => parent.created_at,
+
+        /**
+         * followers / following(parent, args)
+         * Handles: { author(id: "201") { followers { totalCount edges { node { name } } } } }
+         *
+         * Each follow is an edge in the "follows" collection (see
+         * social.js); these walk it one way or the other, through a
+         * loader, and skip authors that have been deleted.
+         */
+        async followers(parent, args, { loaders }) {
+            const edges = await loaders.followsByFollowee.load(parent.id)
+            return connectionFromArray(await authorsAt(loaders, edges, 'follower_id'), args)
+        },
+
+        async following(parent, args, { loaders }) {
+            const edges = await loaders.followsByFollower.load(parent.id)
+            return connectionFromArray(await authorsAt(loaders, edges, 'followee_id'), args)
+        },
+
+        ...timestamps
+    },
+
+    /**
+     * Review resolvers
+     * These run when a client asks for nested fields on a Review.
+     *
+     * They return the game / author even if it's been deleted: a live
+     * review never points at a deleted one (deletes cascade), and a
+     * deleted review seen through includeDeleted still needs its Game!.
+     */
+    Review: {
+        id: (parent) => toGlobalId('Review', parent.id),
+
+        __resolveReference(reference, context) {
+            return findOne(context, 'Review', reference)
+        },
+
+        /**
+         * author(parent)
+         * Handles: { review(id: "101") { author { name verified } } }
+         *
+         * parent is the Review object. It has an author_id field.
+         * We use the author loader to locate the matching author — batched
+         * with every other Review.author resolved in the same tick.
+         */
+        author(parent, _, { loaders }) {
+            return loaders.author.load(parent.author_id)
+        },
+
+        /**
+         * game(parent)
+         * Handles: { review(id: "101") { game { title platform } } }
+         *
+         * parent is the Review object. It has a game_id field.
+         * We use the game loader to locate the matching game.
+         */
+        game(parent, _, { loaders }) {
+            return loaders.game.load(parent.game_id)
+        },
+
+        /**
+         * status / reports(parent)
+         * Handles: { review(id: "102") { status reports { reason outcome } } }
+         *
+         * Reviews stored without a status count as PUBLISHED (see
+         * moderation.js). Reports name who made them, so only moderators
+         * may read them.
+         */
+        status: reviewStatus,
+
+        reports(parent, _, context) {
+            requireModerator(context)
+            return context.loaders.reportsByReview.load(parent.id)
+        },
+
+        ...timestamps
+    },
+
+    /**
+     * Report resolvers
+     * snake_case fields onto the schema's camelCase names, as for AuditEntry.
+     */
+    Report: {
+        reportedBy: (parent) => parent.user_id,
+        createdAt: (parent) => parent.created_at,
+        resolvedAt: (parent) => parent.resolved_at
+    },
+
+
+    // =========================================================================
+    // SUBSCRIPTION RESOLVERS
+    // =========================================================================
+    /**
+     * Subscription fields don't have a plain resolver function. Instead they
+     * have a subscribe() function that returns an ASYNC ITERATOR — a stream
+     * GraphQL pulls events from, one at a time, for as long as the client
+     * stays subscribed.
+     *
+     * pubsub.asyncIterableIterator(EVENT) gives us a stream of everything
+     * published on that channel. withFilter() wraps it so that a client only
+     * receives the events that match its arguments: reviewAdded(gameId: "1")
+     * skips reviews of every other game. Like any id argument, gameId and
+     * id may be global or plain; the payloads hold stored, plain-id records.
+     *
+     * Each event's payload is { <fieldName>: value }, so GraphQL's default
+     * resolver picks the value out by field name — no resolve() needed.
+     */
+    Subscription: {
+        reviewAdded: {
+            subscribe: withFilter(
+                (_, __, { pubsub }) => pubsub.asyncIterableIterator(EVENTS.REVIEW_ADDED),
+                (payload, args) => args.gameId == null || payload.reviewAdded.game_id === localId('Game', args.gameId)
+            )
+        },
+
+        gameUpdated: {
+            subscribe: withFilter(
+                (_, __, { pubsub }) => pubsub.asyncIterableIterator(EVENTS.GAME_UPDATED),
+                (payload, args) => args.id == null || payload.gameUpdated.id === localId('Game', args.id)
+            )
+        },
+
+        gameDeleted: {
+            subscribe: (_, __, { pubsub }) => pubsub.asyncIterableIterator(EVENTS.GAME_DELETED)
+        }
+    },
+
+
+    // =========================================================================
+    // MUTATION RESOLVERS
+    // =========================================================================
+    /**
+     * These handle all WRITE operations — anything that changes data.
+     * Unlike queries, mutations should change state AND return something useful.
+     *
+     * After writing, every mutation calls loaders.clearAll(). Top-level
+     * mutation fields run one after another, so without this a later field
+     * in the same request could be served a cached copy from before the write.
+     *
+     * Every mutation starts with a guard from auth.js:
+     *   games & authors → only ADMIN users may add, update or delete them
+     *   reviews         → any logged-in user may write or report one as
+     *                     themselves; only the review's own author may edit
+     *                     it, the author or an ADMIN may delete it, and only
+     *                     moderators may approve or reject it
+     *   follows         → any logged-in user with an Author profile, as themselves
+     *
+     * Then the input goes through validate() (see validation.js), which
+     * throws BAD_USER_INPUT with a per-field fieldErrors map. Mutations
+     * that target an id which doesn't exist throw NOT_FOUND. Ids are looked
+     * up with loadById(), so they may be global or plain, and from then on
+     * the mutation works with the stored record's own (plain) id.
+     *
+     * Mutations that feed a subscription publish their result last, once
+     * the write has succeeded.
+     *
+     * Every write is mirrored into the search index (context.search) with
+     * add() or remove(), cascaded reviews included, so Query.search never
+     * returns a stale or deleted record.
+     *
+     * The same goes for the response cache: responseCache.changed() evicts
+     * every cached response that showed or listed a changed record (see
+     * plugins/responseCache.js). It's null when caching is switched off.
+     *
+     * Every write to a game, review or author is also recorded in the
+     * audit log with recordAudit() — one entry per record changed,
+     * cascades included (see audit.js).
+     * Deletes are soft: softDelete() stamps the record with deleted_at
+     * rather than removing it, and a deleted record counts as not found
+     * for every other mutation.
+     */
+    Mutation: {
+
+        /**
+         * deleteGame(_, args)
+         * Handles: mutation { deleteGame(id: "R2FtZTox") { id title } }
+         *
+         * args.id is the id of the game to remove.
+         *
+         * softDelete() marks the game as deleted. It stays stored, so
+         * restoreGame can bring it back later.
+         *
+         * Reviews of the deleted game are deleted too (a "cascading delete").
+         * Without this they would be left behind as orphans pointing at a
+         * game nobody can see. They're marked deleted_with "Game:<id>", so
+         * restoring the game restores them as well.
+         *
+         * Returns the updated games list (so the client can see what remains).
+         *
+         * Deprecated in favour of removeGame below — the work itself is
+         * done by deleteGame() in HELPERS, which both share.
+         */
+        async deleteGame(_, args, context) {
+            await deleteGame(context, 'deleteGame', args.id)
+            return live(await context.db.list('games'))
+        },
+
+        /**
+         * removeGame / removeReview / removeAuthor(_, args)
+         * Handles: mutation { removeGame(id: "R2FtZTox") { deletedId game { title deletedAt } errors { code message } } }
+         *
+         * The same deletes as deleteGame / deleteReview / deleteAuthor,
+         * which they replace (see "SCHEMA EVOLUTION" in schema.js). They
+         * return a payload — what was deleted — instead of every record
+         * that's left, and an id that doesn't exist comes back in its
+         * errors rather than as a GraphQL error (see asPayload() above).
+         */
+        removeGame(_, args, context) {
+            return asPayload(async () => {
+                const game = await deleteGame(context, 'removeGame', args.id)
+                return { deletedId: toGlobalId('Game', game.id), game }
+            })
+        },
+
+        removeReview(_, args, context) {
+            return asPayload(async () => {
+                const review = await deleteReview(context, 'removeReview', args.id)
+                return { deletedId: toGlobalId('Review', review.id), review }
+            })
+        },
+
+        removeAuthor(_, args, context) {
+            return asPayload(async () => {
+                const author = await deleteAuthor(context, 'removeAuthor', args.id)
+                return { deletedId: toGlobalId('Author', author.id), author }
+            })
+        },
+
+        /**
+         * addGame(_, args)
+         * Handles: mutation { addGame(game: { title: "...", platform: [...] }) { id title } }
+         *
+         * args.game contains the AddGameInput object: { title, platform }
+         * validate() checks it against gameRules before anything is stored.
+         *
+         * We don't make up an id: the data source hands out the next one
+         * from its sequence for games (see "IDS" in datasources/memory.js),
+         * so two games can never end up with the same id.
+         *
+         * We insert the new game into the data source, then return it.
+         * The client receives the newly created game object — including its new id.
+         */
+        async addGame(_, args, context) {
+            requireRole(context, ROLES.ADMIN)
+            const { db, loaders } = context
+            validate(args.game, gameRules)
+
+            const game = await db.insert('games', args.game)   // store it, getting an id...
+            await recordAudit(context, 'addGame', 'Game', null, game)
+            loaders.clearAll()
+            context.search.add('Game', game)
+            await context.responseCache?.changed('Game', game)
+            return game                             // ...and return the stored game to the client
+        },
+
+        /**
+         * updateGame(_, args)
+         * Handles: mutation { updateGame(id: "1", edits: { title: "New Title" }) { id title } }
+         *
+         * args.id     — id of the game to update
+         * args.edits  — the EditGameInput: partial fields to change (title and/or platform)
+         *
+         * db.update() finds the matching game and stores a new object that
+         * merges the original game { ...game } with the new edits { ...args.edits }.
+         * If edits only has "title", then only title gets overwritten — platform stays.
+         *
+         * It returns the full updated game object, so the client can confirm
+         * the changes. An unknown (or deleted) id is a NOT_FOUND error.
+         *
+         * args.expectedVersion (optional) — the version the client last saw.
+         * If the game has moved on since, updateVersioned() refuses the
+         * write with CONFLICT instead of silently overwriting someone
+         * else's changes. The data source also bumps version and updatedAt.
+         */
+        async updateGame(_, args, context) {
+            requireRole(context, ROLES.ADMIN)
+            const { db, loaders } = context
+            validate(args.edits, gameRules, { partial: true })
+
+            const before = await loadById(loaders, 'Game', args.id)
+            if (!before || isDeleted(before)) throw notFound('Game', args.id)
+
+            const game = await updateVersioned(db, 'Game', 'games', before.id, args.edits, args.expectedVersion)
+            await recordAudit(context, 'updateGame', 'Game', before, game)
+            loaders.clearAll()
+            context.search.add('Game', game)
+            await context.responseCache?.changed('Game', game)
+
+            await context.pubsub.publish(EVENTS.GAME_UPDATED, { gameUpdated: game })
+            return game
+        },
+
+        /**
+         * restoreGame(_, args)
+         * Handles: mutation { restoreGame(id: "1") { id title deletedAt } }
+         *     and: mutation { restoreGame(id: "1", toEntry: "7") { id title } }
+         *
+         * Two ways to undo:
+         *   • no toEntry — undeletes a deleted game. Anything else is an
+         *     error: there's nothing to undelete.
+         *   • toEntry    — the id of an audit entry about this game (see
+         *     Query.gameHistory). The game's fields are set back to the
+         *     entry's "before" snapshot, undoing that change and anything
+         *     after it. Entries without a usable "before" (the game's
+         *     creation, or a snapshot of it deleted) can't be rolled back to.
+         *
+         * Either way, if the game comes back from being deleted, the
+         * reviews that were deleted with it come back too. The restore is
+         * itself recorded in the audit log, so it can be undone in turn.
+         */
+        async restoreGame(_, args, context) {
+            requireRole(context, ROLES.ADMIN)
+            const { db, loaders } = context
+
+            const before = await loadById(loaders, 'Game', args.id)
+            if (!before) throw notFound('Game', args.id)
+
+            let edits
+            if (args.toEntry != null) {
+                const entry = await db.get('audit', args.toEntry)
+                if (entry?.entity_type !== 'Game' || entry.entity_id !== before.id
+                    || !entry.before || isDeleted(entry.before)) {
+                    throw invalidInput({ toEntry: `Audit entry "${args.toEntry}" has no earlier version of Game "${args.id}" to restore` })
+                }
+                edits = { ...entry.before, deleted_at: null }
+            } else if (isDeleted(before)) {
+                edits = { deleted_at: null }
+            } else {
+                throw invalidInput({ id: `Game "${args.id}" is not deleted` })
+            }
+
+            const game = await db.update('games', before.id, edits)
+            await recordAudit(context, 'restoreGame', 'Game', before, game)
+
+            // The reviews deleted with the game come back — except those whose
+            // author has been deleted since. They stay deleted, now as if
+            // with their author, so no live review ever has a deleted author.
+            const restoredReviews = []
+            if (isDeleted(before)) {
+                const reviews = await loaders.reviewsByGame.load(game.id)
+                for (const review of reviews.filter((review) => review.deleted_with === `Game:${game.id}`)) {
+                    const author = await loaders.author.load(review.author_id)
+                    if (isDeleted(author)) {
+                        const retagged = await db.update('reviews', review.id, { deleted_with: `Author:${author.id}` })
+                        await recordAudit(context, 'restoreGame', 'Review', review, retagged)
+                    } else {
+                        restoredReviews.push(await undelete(context, 'restoreGame', 'Review', 'reviews', review))
+                    }
+                }
+            }
+            loaders.clearAll()
+
+            context.search.add('Game', game)
+            for (const review of restoredReviews) indexReview(context.search, review)
+            await context.responseCache?.changed('Game', game)
+            await context.responseCache?.changed('Review', restoredReviews)
+
+            await context.pubsub.publish(EVENTS.GAME_UPDATED, { gameUpdated: game })
+            return game
+        },
+
+        /**
+         * addReview(_, args)
+         * Handles: mutation { addReview(review: { rating: 4, content: "...", game_id: "1", author_id: "201" }) { id } }
+         *
+         * Users write reviews as themselves: author_id must be the logged-in
+         * user's own id (ADMINs may post on anyone's behalf).
+         *
+         * Before saving we check both foreign keys. If either the game or the
+         * author doesn't exist (or has been deleted) we throw, and GraphQL
+         * reports the error to the client instead of storing a review that
+         * points at nothing. They're reported as fieldErrors, like any other
+         * invalid input.
+         *
+         * A review by an unverified author starts out PENDING (see
+         * initialStatus() in moderation.js): it isn't searchable and
+         * reviewAdded subscribers don't hear about it until it's approved.
+         */
+        async addReview(_, args, context) {
+            const user = requireUser(context)
+            const { db, loaders } = context
+            const { game_id, author_id } = args.review
+
+            if (localId('Author', author_id) !== user.id && !hasRole(user, ROLES.ADMIN)) {
+                throw forbidden('You can only post reviews as yourself')
+            }
+            validate(args.review, reviewRules)
+
+            const [game, author] = await Promise.all([
+                loadById(loaders, 'Game', game_id),
+                loadById(loaders, 'Author', author_id)
+            ])
+            const fieldErrors = {}
+            if (!game || isDeleted(game)) fieldErrors.game_id = `Game "${game_id}" does not exist`
+            if (!author || isDeleted(author)) fieldErrors.author_id = `Author "${author_id}" does not exist`
+            if (Object.keys(fieldErrors).length > 0) throw invalidInput(fieldErrors)
+
+            // Stored with the plain ids, whichever kind the client sent
+            const review = await db.insert('reviews', {
+                ...args.review, game_id: game.id, author_id: author.id, status: initialStatus(author, user)
+            })
+            await recordAudit(context, 'addReview', 'Review', null, review)
+            loaders.clearAll()
+            indexReview(context.search, review)
+            await context.responseCache?.changed('Review', review)
+
+            if (isPublished(review)) await context.pubsub.publish(EVENTS.REVIEW_ADDED, { reviewAdded: review })
+            return review
+        },
+
+        /**
+         * deleteReview(_, args)
+         * Handles: mutation { deleteReview(id: "101") { id } }
+         * Same pattern as deleteGame — returns the remaining reviews.
+         * Only the review's author or an ADMIN may delete it.
+         * Deprecated in favour of removeReview.
+         */
+        async deleteReview(_, args, context) {
+            await deleteReview(context, 'deleteReview', args.id)
+            return live(await context.db.list('reviews'))
+        },
+
+        /**
+         * updateReview(_, args)
+         * Handles: mutation { updateReview(id: "101", edits: { rating: 4 }) { id rating } }
+         * Same merge pattern as updateGame, with the same expectedVersion check.
+         * Only the review's own author may edit it — not even an ADMIN
+         * can put words in someone else's mouth.
+         *
+         * An unverified author's edit sends the review back to PENDING, so
+         * a moderator sees the new text before anyone else does.
+         */
+        async updateReview(_, args, context) {
+            const user = requireUser(context)
+            const { db, loaders } = context
+
+            const existing = await loadById(loaders, 'Review', args.id)
+            if (!existing || isDeleted(existing)) throw notFound('Review', args.id)
+            if (existing.author_id !== user.id) {
+                throw forbidden('You can only edit your own reviews')
+            }
+            validate(args.edits, reviewRules, { partial: true })
+
+            const author = await loaders.author.load(existing.author_id)
+            const edits = initialStatus(author, user) === STATUS.PENDING ? { ...args.edits, status: STATUS.PENDING } : args.edits
+
+            const review = await updateVersioned(db, 'Review', 'reviews', existing.id, edits, args.expectedVersion)
+            await recordAudit(context, 'updateReview', 'Review', existing, review)
+            loaders.clearAll()
+            indexReview(context.search, review)
+            await context.responseCache?.changed('Review', review)
+            return review
+        },
+
+        /**
+         * reportReview(_, args)
+         * Handles: mutation { reportReview(id: "102", reason: "Spoilers") { id reason } }
+         *
+         * Any logged-in user can flag a published review; it then shows up
+         * in the moderation queue until a moderator approves or rejects it.
+         * fileReport() (see moderation.js) stores the report and writes the
+         * audit entry. Nothing public changes, so nothing is evicted from
+         * the cache.
+         */
+        async reportReview(_, args, context) {
+            requireUser(context)
+            const review = await loadById(context.loaders, 'Review', args.id)
+            if (!review || isDeleted(review) || !isPublished(review)) throw notFound('Review', args.id)
+            validate(args, reportRules)
+
+            const report = await fileReport(context, review, args.reason)
+            context.loaders.clearAll()
+            return report
+        },
+
+        /**
+         * approveReview(_, args) / rejectReview(_, args)
+         * Handles: mutation { approveReview(id: "102") { id status } }
+         *
+         * Moderators only. moderate() (see moderation.js) sets the status,
+         * resolves the open reports and writes the audit entry. A review
+         * that's just become public is announced to reviewAdded subscribers,
+         * as if it had only now been posted.
+         */
+        async approveReview(_, args, context) {
+            return setReviewStatus(context, 'approveReview', args.id, STATUS.PUBLISHED)
+        },
+
+        async rejectReview(_, args, context) {
+            return setReviewStatus(context, 'rejectReview', args.id, STATUS.REJECTED)
+        },
+
+        /**
+         * addAuthor(_, args)
+         * Handles: mutation { addAuthor(author: { name: "Dana" }) { id name verified } }
+         * "verified" falls back to false via the default value in AddAuthorInput.
+         */
+        async addAuthor(_, args, context) {
+            requireRole(context, ROLES.ADMIN)
+            const { db, loaders } = context
+            validate(args.author, authorRules)
+
+            const author = await db.insert('authors', args.author)
+            await recordAudit(context, 'addAuthor', 'Author', null, author)
+            loaders.clearAll()
+            context.search.add('Author', author)
+            await context.responseCache?.changed('Author', author)
+            return author
+        },
+
+        /**
+         * deleteAuthor(_, args)
+         * Handles: mutation { deleteAuthor(id: "202") { id name } }
+         * Cascades just like deleteGame — the author's reviews go with them.
+         * Deprecated in favour of removeAuthor.
+         */
+        async deleteAuthor(_, args, context) {
+            await deleteAuthor(context, 'deleteAuthor', args.id)
+            return live(await context.db.list('authors'))
+        },
+
+        /**
+         * updateAuthor(_, args)
+         * Handles: mutation { updateAuthor(id: "202", edits: { verified: true }, expectedVersion: 1) { id verified version } }
+         */
+        async updateAuthor(_, args, context) {
+            requireRole(context, ROLES.ADMIN)
+            const { db, loaders } = context
+            validate(args.edits, authorRules, { partial: true })
+
+            const before = await loadById(loaders, 'Author', args.id)
+            if (!before || isDeleted(before)) throw notFound('Author', args.id)
+
+            const author = await updateVersioned(db, 'Author', 'authors', before.id, args.edits, args.expectedVersion)
+            await recordAudit(context, 'updateAuthor', 'Author', before, author)
+            loaders.clearAll()
+            context.search.add('Author', author)
+            await context.responseCache?.changed('Author', author)
+            return author
+        },
+
+        /**
+         * followAuthor(_, args) / unfollowAuthor(_, args)
+         * Handles: mutation { followAuthor(id: "203") { name followers { totalCount } } }
+         *
+         * The logged-in user follows as their own Author profile (see
+         * followTarget() above). Following twice or unfollowing someone you
+         * don't follow changes nothing, and isn't an error; a real change
+         * is audited (see social.js). Both authors' cached responses are
+         * evicted — one has a new follower, the other follows someone new.
+         */
+        async followAuthor(_, args, context) {
+            const { follower, followee } = await followTarget(context, args.id)
+            await follow(context, follower.id, followee.id)
+            context.loaders.clearAll()
+            await context.responseCache?.changed('Author', [follower, followee])
+            return followee
+        },
+
+        async unfollowAuthor(_, args, context) {
+            const { follower, followee } = await followTarget(context, args.id)
+            await unfollow(context, follower.id, followee.id)
+            context.loaders.clearAll()
+            await context.responseCache?.changed('Author', [follower, followee])
+            return followee
+        },
+
+        /**
+         * importCatalog(_, args)
+         * Handles: mutation { importCatalog(data: "...", format: CSV, collection: GAMES, dryRun: true) {
+         *            created updated errors { row field message } } }
+         *
+         * catalog.js does the work: it checks every row, then writes all of
+         * them in one transaction — or nothing, when any row is invalid or
+         * it's a dry run. Row problems come back in the report rather than
+         * as a GraphQL error, so the client sees every one of them; only a
+         * file that can't be parsed at all is a BAD_USER_INPUT error.
+         *
+         * Imported records don't trigger subscriptions — a bulk load would
+         * flood every subscriber — but they are audited and searchable.
+         */
+        async importCatalog(_, args, context) {
+            requireRole(context, ROLES.ADMIN)
+
+            const catalog = parseCatalog(args.data, args)
+            const { report, written } = await importCatalog(context, catalog, { dryRun: args.dryRun })
+
+            if (written.length > 0) context.loaders.clearAll()
+            for (const { type, record } of written) {
+                if (type === 'Review') indexReview(context.search, record)
+                else context.search.add(type, record)
+                await context.responseCache?.changed(type, record)
+            }
+            return report
+        }
+    }
+}
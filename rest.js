@@ -0,0 +1,559 @@
+/**
+ * rest.js — The REST/JSON Gateway
+ *
+ * Some clients can't speak GraphQL. For them, index.js mounts a small
+ * REST API at /rest, beside the GraphQL endpoint:
+ *
+ *   GET    /rest/games          → one page of games
+ *   GET    /rest/games/:id      → one game, with its reviews
+ *   POST   /rest/games          → add a game (the body is an AddGameInput)
+ *   PATCH  /rest/games/:id      → change a game (the body is an EditGameInput)
+ *   DELETE /rest/games/:id      → delete a game
+ *
+ * and the same five for /rest/reviews and /rest/authors (see ROUTES).
+ *
+ * NO SECOND IMPLEMENTATION
+ * Each route is one fixed GraphQL OPERATION, run through Apollo Server
+ * like any other request: the same resolvers, permissions, validation,
+ * rate limits, response cache, logs and metrics. A route only moves
+ * things around — path, query string and body in as variables, the data
+ * out as plain JSON — so the two APIs can't drift apart.
+ *
+ *   GET /rest/games?first=2&platform=PC
+ *     → query RestListGames($first: Int, $platform: Platform, ...) { games(...) { ... } }
+ *       with { first: 2, platform: "PC" }
+ *
+ * The operation decides the inputs too: :id in the path is the $id
+ * variable, the body is the variable the route names, and every other
+ * variable can be given in the query string (?expectedVersion=3 on a
+ * PATCH, say).
+ *
+ * RESPONSES
+ *   GET one   → 200 with the record               (404 when there's none)
+ *   GET list  → 200 with { items, totalCount, nextCursor }; pass
+ *               ?after=<nextCursor> for the next page
+ *   POST      → 201 with the new record and a Location header
+ *   PATCH     → 200 with the changed record
+ *   DELETE    → 204, no body
+ *
+ * Records look like their GraphQL type, with the ids as the API gives
+ * them (global ids, see ids.js). A connection inside a record — a game's
+ * reviews — is just an array.
+ *
+ * ERRORS
+ * A GraphQL error becomes an HTTP status, chosen by its code (see
+ * HTTP_STATUS), and a body with its code, message and details:
+ *
+ *   400 { "error": { "code": "BAD_USER_INPUT", "message": "Invalid input: title",
+ *                    "fieldErrors": { "title": "must not be blank" } } }
+ *
+ * A delete's payload errors (see asPayload() in resolvers.js) are
+ * answered the same way, so DELETE /rest/games/999 is a 404 too.
+ *
+ * OPENAPI
+ * GET /rest/openapi.json describes every route — parameters, bodies and
+ * responses — as an OpenAPI 3.1 document. It's generated from ROUTES and
+ * the schema's types (see openApiDocument()), so it's never out of date
+ * either.
+ */
+
+import { HeaderMap } from '@apollo/server'
+import express from 'express'
+import {
+    GraphQLError, GraphQLNonNull, Kind, OperationTypeNode, getNullableType, isEnumType, isInputObjectType, isListType,
+    isNonNullType, isObjectType, parse, typeFromAST
+} from 'graphql'
+
+import { hashQuery } from './plugins/persistedQueries.js'
+import { notFound } from './validation.js'
+
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+// What a route returns of each record
+const GAME_FIELDS = 'id title platform averageRating reviewCount version createdAt updatedAt'
+const REVIEW_FIELDS = 'id rating content status game { id title } author { id name } version createdAt updatedAt'
+const AUTHOR_FIELDS = 'id name verified bio avatarUrl joinedAt reviewCount version createdAt updatedAt'
+const EMBEDDED_REVIEWS = 'reviews(first: 50) { edges { node { id rating content game { id title } author { id name } createdAt } } }'
+const PAGE = 'totalCount pageInfo { hasNextPage endCursor }'
+
+/**
+ * ROUTES
+ * Every REST route: its method and path (Express syntax), the OpenAPI tag
+ * and summary, the GraphQL operation it runs and — for POST and PATCH —
+ * which of the operation's variables the request body is.
+ *
+ * What a route answers follows from its method (see RESPONSES above):
+ * a GET with an :id returns one record, a GET without one a page.
+ */
+export const ROUTES = [
+    {
+        method: 'GET', path: '/games', tag: 'Games', summary: 'List games',
+        operation: `query RestListGames($first: Int, $after: String, $platform: Platform, $titleContains: String) {
+            games(first: $first, after: $after, filter: { platform: $platform, titleContains: $titleContains }) {
+                ${PAGE} edges { node { ${GAME_FIELDS} } }
+            }
+        }`
+    },
+    {
+        method: 'GET', path: '/games/:id', tag: 'Games', summary: 'Get a game, with its reviews',
+        operation: `query RestGetGame($id: ID!) { game(id: $id) { ${GAME_FIELDS} ${EMBEDDED_REVIEWS} } }`
+    },
+    {
+        method: 'POST', path: '/games', tag: 'Games', summary: 'Add a game', body: 'game',
+        operation: `mutation RestAddGame($game: AddGameInput!) { addGame(game: $game) { ${GAME_FIELDS} } }`
+    },
+    {
+        method: 'PATCH', path: '/games/:id', tag: 'Games', summary: 'Change a game', body: 'edits',
+        operation: `mutation RestUpdateGame($id: ID!, $edits: EditGameInput!, $expectedVersion: Int) {
+            updateGame(id: $id, edits: $edits, expectedVersion: $expectedVersion) { ${GAME_FIELDS} }
+        }`
+    },
+    {
+        method: 'DELETE', path: '/games/:id', tag: 'Games', summary: 'Delete a game and its reviews',
+        operation: 'mutation RestRemoveGame($id: ID!) { removeGame(id: $id) { deletedId errors { code field message } } }'
+    },
+    {
+        method: 'GET', path: '/reviews', tag: 'Reviews', summary: 'List reviews',
+        operation: `query RestListReviews($first: Int, $after: String, $minRating: Int, $maxRating: Int) {
+            reviews(first: $first, after: $after, filter: { minRating: $minRating, maxRating: $maxRating }) {
+                ${PAGE} edges { node { ${REVIEW_FIELDS} } }
+            }
+        }`
+    },
+    {
+        method: 'GET', path: '/reviews/:id', tag: 'Reviews', summary: 'Get a review',
+        operation: `query RestGetReview($id: ID!) { review(id: $id) { ${REVIEW_FIELDS} } }`
+    },
+    {
+        method: 'POST', path: '/reviews', tag: 'Reviews', summary: 'Add a review', body: 'review',
+        operation: `mutation RestAddReview($review: AddReviewInput!) { addReview(review: $review) { ${REVIEW_FIELDS} } }`
+    },
+    {
+        method: 'PATCH', path: '/reviews/:id', tag: 'Reviews', summary: 'Change a review', body: 'edits',
+        operation: `mutation RestUpdateReview($id: ID!, $edits: EditReviewInput!, $expectedVersion: Int) {
+            updateReview(id: $id, edits: $edits, expectedVersion: $expectedVersion) { ${REVIEW_FIELDS} }
+        }`
+    },
+    {
+        method: 'DELETE', path: '/reviews/:id', tag: 'Reviews', summary: 'Delete a review',
+        operation: 'mutation RestRemoveReview($id: ID!) { removeReview(id: $id) { deletedId errors { code field message } } }'
+    },
+    {
+        method: 'GET', path: '/authors', tag: 'Authors', summary: 'List authors',
+        operation: `query RestListAuthors($first: Int, $after: String, $verified: Boolean) {
+            authors(first: $first, after: $after, filter: { verified: $verified }) {
+                ${PAGE} edges { node { ${AUTHOR_FIELDS} } }
+            }
+        }`
+    },
+    {
+        method: 'GET', path: '/authors/:id', tag: 'Authors', summary: 'Get an author, with their reviews',
+        operation: `query RestGetAuthor($id: ID!) { author(id: $id) { ${AUTHOR_FIELDS} ${EMBEDDED_REVIEWS} } }`
+    },
+    {
+        method: 'POST', path: '/authors', tag: 'Authors', summary: 'Add an author', body: 'author',
+        operation: `mutation RestAddAuthor($author: AddAuthorInput!) { addAuthor(author: $author) { ${AUTHOR_FIELDS} } }`
+    },
+    {
+        method: 'PATCH', path: '/authors/:id', tag: 'Authors', summary: 'Change an author', body: 'edits',
+        operation: `mutation RestUpdateAuthor($id: ID!, $edits: EditAuthorInput!, $expectedVersion: Int) {
+            updateAuthor(id: $id, edits: $edits, expectedVersion: $expectedVersion) { ${AUTHOR_FIELDS} }
+        }`
+    },
+    {
+        method: 'DELETE', path: '/authors/:id', tag: 'Authors', summary: 'Delete an author and their reviews',
+        operation: 'mutation RestRemoveAuthor($id: ID!) { removeAuthor(id: $id) { deletedId errors { code field message } } }'
+    }
+]
+
+// Each route's operation, parsed once: its definition and its one root field
+const PARSED = new Map(ROUTES.map((route) => {
+    const [definition] = parse(route.operation).definitions
+    const [field] = definition.selectionSet.selections
+    return [route, { definition, field, type: field.name.value[0].toUpperCase() + field.name.value.slice(1) }]
+}))
+
+/**
+ * allowRoutes(manifest)
+ * Adds the routes' operations to an operation allowlist (see
+ * plugins/persistedQueries.js). They're the server's own operations, so
+ * the REST API keeps working in strict mode.
+ */
+export function allowRoutes(manifest) {
+    for (const route of ROUTES) manifest.set(hashQuery(route.operation), route.operation)
+}
+
+
+// =============================================================================
+// RUNNING A ROUTE
+// =============================================================================
+/**
+ * HTTP_STATUS
+ * The HTTP status for each GraphQL error code. Any other code — a bug, or
+ * an operation the server refused to run — is a 500.
+ */
+export const HTTP_STATUS = {
+    BAD_USER_INPUT: 400,
+    DEPTH_LIMIT_EXCEEDED: 400,
+    COST_LIMIT_EXCEEDED: 400,
+    UNAUTHENTICATED: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    CONFLICT: 409,
+    RATE_LIMITED: 429
+}
+
+/**
+ * runRoute(server, route, request, contextValue)
+ * Runs a route's operation on an Apollo Server and turns the result into
+ * an HTTP response. request is { params, query, body, headers } as
+ * Express parsed them; contextValue is the GraphQL context to run with.
+ *
+ * Returns { status, headers, body, location } — body is undefined for a
+ * 204, and location is set, relative to the gateway, for a 201.
+ */
+export async function runRoute(server, route, { params = {}, query = {}, body, headers = {} }, contextValue) {
+    const { field, type } = PARSED.get(route)
+    const variables = { ...queryVariables(route, query), ...params }
+    if (route.body) variables[route.body] = body ?? {}
+
+    // Passing the HTTP request on lets the plugins see its headers —
+    // X-Request-Id and traceparent, for the logs and traces
+    const http = { method: route.method, headers: new HeaderMap(), search: '', body }
+    for (const [name, value] of Object.entries(headers)) http.headers.set(name, String(value))
+
+    const response = await server.executeOperation({ query: route.operation, variables, http }, { contextValue })
+    const responseHeaders = Object.fromEntries(response.http.headers)
+    delete responseHeaders['content-type']
+
+    const { data, errors } = response.body.singleResult
+    if (errors?.length) return { ...errorResponse(errors[0]), headers: responseHeaders }
+
+    const result = data[field.name.value]
+    const respond = (status, body) => ({ status, headers: responseHeaders, body })
+
+    if (route.method === 'DELETE') {
+        if (result.errors.length > 0) return { ...payloadErrorResponse(result.errors), headers: responseHeaders }
+        return respond(204, undefined)
+    }
+    if (route.method === 'GET' && !route.path.includes(':id')) {
+        return respond(200, {
+            items: result.edges.map((edge) => plain(edge.node)),
+            totalCount: result.totalCount,
+            nextCursor: result.pageInfo.hasNextPage ? result.pageInfo.endCursor : null
+        })
+    }
+    if (result == null) return { ...errorResponse(notFound(type, params.id)), headers: responseHeaders }
+    if (route.method === 'POST') {
+        return { ...respond(201, plain(result)), location: `${route.path}/${encodeURIComponent(result.id)}` }
+    }
+    return respond(200, plain(result))
+}
+
+/**
+ * errorResponse(error)
+ * { status, body } for a GraphQL error (or its JSON form): the status
+ * from HTTP_STATUS, and its code, message and extensions as the body.
+ */
+export function errorResponse(error) {
+    const { code = 'INTERNAL_SERVER_ERROR', http, stacktrace, ...details } = error.extensions ?? {}
+    return {
+        status: HTTP_STATUS[code] ?? 500,
+        body: { error: { code, message: error.message, ...details } }
+    }
+}
+
+// The errors of a delete's payload (see asPayload() in resolvers.js),
+// answered like the GraphQL error they stand for
+function payloadErrorResponse(errors) {
+    const fieldErrors = Object.fromEntries(errors.filter((error) => error.field).map((error) => [error.field, error.message]))
+    const extensions = { code: errors[0].code, ...(Object.keys(fieldErrors).length > 0 && { fieldErrors }) }
+    return errorResponse({ message: errors[0].message, extensions })
+}
+
+// The operation's variables that come from the query string, other than
+// the path's and the body's. Query strings only hold text, so numbers and
+// booleans are converted by the variable's type; anything that doesn't
+// convert is left for GraphQL to reject with BAD_USER_INPUT.
+function queryVariables(route, query) {
+    const { definition } = PARSED.get(route)
+    const variables = {}
+    for (const { variable, type } of definition.variableDefinitions) {
+        const name = variable.name.value
+        if (name === 'id' || name === route.body || typeof query[name] !== 'string') continue
+
+        const value = query[name]
+        const typeName = (type.kind === Kind.NON_NULL_TYPE ? type.type : type).name?.value
+        if (typeName === 'Int' || typeName === 'Float') variables[name] = value.trim() === '' ? value : Number(value)
+        else if (typeName === 'Boolean') variables[name] = value === 'true' ? true : value === 'false' ? false : value
+        else variables[name] = value
+    }
+    return variables
+}
+
+// A record as the REST API shows it: connections inside it become plain
+// arrays of their nodes
+function plain(value) {
+    if (Array.isArray(value)) return value.map(plain)
+    if (value === null || typeof value !== 'object') return value
+    if (Array.isArray(value.edges)) return value.edges.map((edge) => plain(edge.node))
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, plain(field)]))
+}
+
+
+// =============================================================================
+// THE EXPRESS ROUTER
+// =============================================================================
+/**
+ * restRouter({ server, schema, context })
+ * An Express router with every route in ROUTES, plus GET /openapi.json.
+ * index.js mounts it at /rest. context(req) builds the GraphQL context
+ * for a request, as for the GraphQL endpoint; an error it throws (a bad
+ * Authorization header) is answered like the same error from GraphQL.
+ */
+export function restRouter({ server, schema, context }) {
+    const router = express.Router()
+    router.use(express.json())
+
+    router.get('/openapi.json', (req, res) => {
+        res.json(openApiDocument(schema, { serverUrl: req.baseUrl }))
+    })
+
+    for (const route of ROUTES) {
+        router[route.method.toLowerCase()](route.path, async (req, res) => {
+            let result
+            try {
+                result = await runRoute(server, route, req, await context(req))
+            } catch (error) {
+                if (!(error instanceof GraphQLError)) throw error
+                result = errorResponse(error)
+            }
+
+            if (result.headers) res.set(result.headers)
+            if (result.location) res.location(`${req.baseUrl}${result.location}`)
+            res.status(result.status)
+            if (result.body === undefined) res.end()
+            else res.json(result.body)
+        })
+    }
+
+    // Anything else under /rest — and a body that isn't JSON — answers
+    // in the same shape as every other error
+    router.use((req, res) => {
+        res.status(404).json({ error: { code: 'NOT_FOUND', message: `No route for ${req.method} ${req.baseUrl}${req.path}` } })
+    })
+    router.use((error, req, res, next) => {
+        if (error.type !== 'entity.parse.failed') return next(error)
+        res.status(400).json({ error: { code: 'BAD_USER_INPUT', message: 'The request body is not valid JSON' } })
+    })
+
+    return router
+}
+
+
+// =============================================================================
+// OPENAPI
+// =============================================================================
+/**
+ * openApiDocument(schema, { serverUrl })
+ * The OpenAPI 3.1 description of every route, built from ROUTES and the
+ * GraphQL types their operations use:
+ *
+ *   • parameters — :id in the path, and the operation's other variables
+ *     (except the body) in the query string, typed like the variable
+ *   • the request body — the body variable's input type
+ *   • the response — exactly the fields the operation selects, typed
+ *     like the GraphQL fields (a nullable field may be null)
+ *   • the error responses the route can give (see HTTP_STATUS)
+ *
+ * serverUrl is where the routes are mounted (default: /rest).
+ */
+export function openApiDocument(schema, { serverUrl = '/rest' } = {}) {
+    const paths = {}
+    for (const route of ROUTES) {
+        const path = route.path.replace(/:(\w+)/g, '{$1}')
+        paths[path] = { ...paths[path], [route.method.toLowerCase()]: describeRoute(schema, route) }
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Games REST API',
+            version: '1.0.0',
+            description: 'A REST/JSON gateway over the Games GraphQL API: every route runs a fixed GraphQL operation.'
+        },
+        servers: [{ url: serverUrl }],
+        tags: [...new Set(ROUTES.map((route) => route.tag))].map((name) => ({ name })),
+        paths,
+        components: {
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['error'],
+                    properties: {
+                        error: {
+                            type: 'object',
+                            required: ['code', 'message'],
+                            properties: {
+                                code: { type: 'string' },
+                                message: { type: 'string' },
+                                fieldErrors: { type: 'object', additionalProperties: { type: 'string' } }
+                            }
+                        }
+                    }
+                }
+            },
+            securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } }
+        }
+    }
+}
+
+// What each error status means, for the error responses a route lists
+const ERROR_RESPONSES = {
+    400: 'Invalid input',
+    401: 'Not logged in, or an invalid token',
+    403: 'Not allowed',
+    404: 'No such record',
+    409: 'Changed since expectedVersion',
+    429: 'Too many requests — see the Retry-After header'
+}
+
+function describeRoute(schema, route) {
+    const { definition, field } = PARSED.get(route)
+    const isMutation = definition.operation === OperationTypeNode.MUTATION
+    const rootType = isMutation ? schema.getMutationType() : schema.getQueryType()
+    const fieldType = rootType.getFields()[field.name.value].type
+
+    const parameters = []
+    let requestBody
+    for (const { variable, type, defaultValue } of definition.variableDefinitions) {
+        const name = variable.name.value
+        const variableType = typeFromAST(schema, type)
+        if (name === route.body) {
+            requestBody = { required: true, content: { 'application/json': { schema: inputSchema(variableType) } } }
+        } else if (route.path.includes(`:${name}`)) {
+            parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } })
+        } else {
+            // A query string can leave a parameter out, but can't make it null
+            const schema = inputSchema(new GraphQLNonNull(getNullableType(variableType)))
+            parameters.push({ name, in: 'query', required: isNonNullType(variableType) && !defaultValue, schema })
+        }
+    }
+
+    // A record route never answers 200 with null — that's a 404
+    const hasId = route.path.includes(':id')
+    const record = () => outputSchema(new GraphQLNonNull(getNullableType(fieldType)), field.selectionSet)
+    const json = (schema) => ({ 'application/json': { schema } })
+    const success = {
+        GET: () => ({ 200: { description: 'OK', content: json(hasId ? record() : pageSchema(fieldType, field.selectionSet)) } }),
+        POST: () => ({
+            201: {
+                description: 'Created',
+                headers: { Location: { description: 'Where the new record is', schema: { type: 'string' } } },
+                content: json(record())
+            }
+        }),
+        PATCH: () => ({ 200: { description: 'OK', content: json(record()) } }),
+        DELETE: () => ({ 204: { description: 'Deleted' } })
+    }[route.method]()
+
+    const statuses = [400, ...(isMutation ? [401, 403] : []), ...(hasId ? [404] : []), ...(parameters.some((p) => p.name === 'expectedVersion') ? [409] : []), 429]
+    const errors = Object.fromEntries(statuses.map((status) => [status, {
+        description: ERROR_RESPONSES[status],
+        content: json({ $ref: '#/components/schemas/Error' })
+    }]))
+
+    return {
+        operationId: definition.name.value,
+        summary: route.summary,
+        tags: [route.tag],
+        ...(isMutation && { security: [{ bearerAuth: [] }] }),
+        parameters,
+        ...(requestBody && { requestBody }),
+        responses: { ...success, ...errors }
+    }
+}
+
+// A list route's { items, totalCount, nextCursor }
+function pageSchema(connectionType, selectionSet) {
+    return {
+        type: 'object',
+        required: ['items', 'totalCount', 'nextCursor'],
+        properties: {
+            items: outputSchema(connectionType, selectionSet),
+            totalCount: { type: 'integer' },
+            nextCursor: { type: ['string', 'null'] }
+        }
+    }
+}
+
+// The JSON Schema of a field's value: its type, narrowed to the fields
+// selected from it. Connections are arrays of their nodes (see plain()).
+function outputSchema(type, selectionSet) {
+    if (!isNonNullType(type)) return orNull(outputSchema(new GraphQLNonNull(type), selectionSet))
+    type = type.ofType
+
+    if (isListType(type)) return { type: 'array', items: outputSchema(type.ofType, selectionSet) }
+    if (!isObjectType(type)) return leafSchema(type)
+
+    const fields = type.getFields()
+    const selections = selectionSet.selections.filter((selection) => selection.kind === Kind.FIELD)
+
+    if (type.name.endsWith('Connection')) {
+        const edges = selections.find((selection) => selection.name.value === 'edges')
+        const node = edges.selectionSet.selections.find((selection) => selection.name.value === 'node')
+        const edgeType = getNullableType(getNullableType(fields.edges.type).ofType)
+        return { type: 'array', items: outputSchema(edgeType.getFields().node.type, node.selectionSet) }
+    }
+
+    const properties = {}
+    const required = []
+    for (const selection of selections) {
+        const name = selection.alias?.value ?? selection.name.value
+        const field = fields[selection.name.value]
+        properties[name] = outputSchema(field.type, selection.selectionSet)
+        if (isNonNullType(field.type)) required.push(name)
+    }
+    return { type: 'object', required, properties }
+}
+
+// The JSON Schema of a variable or input field
+function inputSchema(type) {
+    if (!isNonNullType(type)) return orNull(inputSchema(new GraphQLNonNull(type)))
+    type = type.ofType
+
+    if (isListType(type)) return { type: 'array', items: inputSchema(type.ofType) }
+    if (!isInputObjectType(type)) return leafSchema(type)
+
+    const properties = {}
+    const required = []
+    for (const [name, field] of Object.entries(type.getFields())) {
+        properties[name] = inputSchema(field.type)
+        if (field.defaultValue !== undefined) properties[name].default = field.defaultValue
+        else if (isNonNullType(field.type)) required.push(name)
+    }
+    return { type: 'object', required, properties, additionalProperties: false }
+}
+
+const SCALARS = {
+    ID: { type: 'string' },
+    String: { type: 'string' },
+    Int: { type: 'integer' },
+    Float: { type: 'number' },
+    Boolean: { type: 'boolean' },
+    DateTime: { type: 'string', format: 'date-time' },
+    JSON: {}
+}
+
+function leafSchema(type) {
+    if (isEnumType(type)) return { type: 'string', enum: type.getValues().map((value) => value.name) }
+    return { ...(SCALARS[type.name] ?? { type: 'string' }) }
+}
+
+function orNull(schema) {
+    if (!schema.type) return schema
+    return { ...schema, type: [schema.type, 'null'], ...(schema.enum && { enum: [...schema.enum, null] }) }
+}
+
@@ -0,0 +1,73 @@
+/**
+ * scalars.js — Custom Scalar Types
+ *
+ * A SCALAR is a leaf value: it has no fields of its own. GraphQL ships
+ * with five (String, Int, Float, Boolean, ID); anything else has to be
+ * declared in the schema (`scalar JSON`) and implemented here.
+ *
+ * Each implementation tells GraphQL how to convert the value in three
+ * situations:
+ *
+ *   serialize     — resolver result → the value sent to the client
+ *   parseValue    — a value from the request's variables → resolver args
+ *   parseLiteral  — a value written inline in the query text → resolver args
+ */
+
+import { GraphQLError, GraphQLScalarType, Kind, valueFromASTUntyped } from 'graphql'
+
+/**
+ * DateTime
+ * A point in time, sent as an ISO 8601 string in UTC:
+ *
+ *   "2026-01-31T12:00:00.000Z"
+ *
+ * Records store their timestamps as those same strings; serialize() also
+ * accepts Date objects. Incoming values must be full ISO 8601 date-times
+ * with a time zone ("Z" or an offset like "+02:00") and are handed to
+ * resolvers as Date objects — "2026-01-31" alone is rejected, because
+ * without a time and zone it doesn't name a single moment.
+ */
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/
+
+function toDate(value) {
+    const date = value instanceof Date ? value : new Date(value)
+    if ((typeof value !== 'string' && !(value instanceof Date)) || Number.isNaN(date.getTime())) {
+        throw new GraphQLError(`DateTime cannot represent ${JSON.stringify(value)}`)
+    }
+    return date
+}
+
+function parseDateTime(value) {
+    if (typeof value !== 'string' || !ISO_DATE_TIME.test(value)) {
+        throw new GraphQLError(`DateTime must be an ISO 8601 date-time string, got ${JSON.stringify(value)}`)
+    }
+    return toDate(value)
+}
+
+export const DateTimeScalar = new GraphQLScalarType({
+    name: 'DateTime',
+    description: 'A date and time, as an ISO 8601 string in UTC',
+    serialize: (value) => toDate(value).toISOString(),
+    parseValue: parseDateTime,
+    parseLiteral(ast) {
+        if (ast.kind !== Kind.STRING) {
+            throw new GraphQLError('DateTime must be a string', { nodes: ast })
+        }
+        return parseDateTime(ast.value)
+    }
+})
+
+/**
+ * JSON
+ * Any JSON value at all — object, array, string, number, boolean or null —
+ * passed through untouched. It gives up type checking, so it's only used
+ * where the shape really varies: the audit log's before / after snapshots
+ * can be a Game, a Review or an Author.
+ */
+export const JSONScalar = new GraphQLScalarType({
+    name: 'JSON',
+    description: 'Any JSON value, passed through as-is',
+    serialize: (value) => value,
+    parseValue: (value) => value,
+    parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables)
+})
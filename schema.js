@@ -14,8 +14,23 @@
  * We write the schema as a template literal string (backticks) with the
  * special `#graphql` comment at the top. This is just a hint to code editors
  * so they can apply GraphQL syntax highlighting inside the string.
+ *
+ * The same typeDefs serve both ways the server can run (see server.js):
+ * on their own, or as an Apollo Federation 2 SUBGRAPH — one part of a
+ * company-wide "supergraph" that a router stitches together from many
+ * services. subgraphLink below is the one extra line a subgraph needs.
  */
 
+/**
+ * subgraphLink
+ * Tells the router which version of the Federation spec this subgraph is
+ * written against, and which of its directives we use. Put in front of
+ * typeDefs in subgraph mode only — outside a supergraph it means nothing.
+ */
+export const subgraphLink = `#graphql
+    extend schema @link(url: "https://specs.apollo.dev/federation/v2.7", import: ["@key"])
+`
+
 export const typeDefs = `#graphql
 
     # =========================================================
@@ -30,28 +45,172 @@ export const typeDefs = `#graphql
     #   ID       — a unique identifier, treated as a string internally
     #              but signals "this is an identifier, not just any string"
     #
+    # On top of those we define our own (see scalars.js):
+    #
+    #   DateTime — a moment in time as an ISO 8601 string in UTC,
+    #              e.g. "2026-01-31T12:00:00.000Z"
+    #   JSON     — any JSON value, passed through as-is. Used for the
+    #              record snapshots in the audit log.
+    #
     # The ! after a type means NON-NULLABLE — the field MUST have a value,
     # it can never return null. Without !, the field is allowed to be null.
     # Example:
     #   name: String!   ← always returns a string, never null
     #   name: String    ← might return a string, might return null
+    scalar DateTime
+    scalar JSON
+
+    # VERSIONS & TIMESTAMPS
+    # Games, reviews and authors all carry the same three bookkeeping
+    # fields, kept up to date by the server on every write:
+    #
+    #   version   — 1 when created, +1 with every change. Pass it back as
+    #               expectedVersion when updating (see Mutation below).
+    #   createdAt / updatedAt — when the record was first stored and last changed
 
 
+    # =========================================================
+    # DIRECTIVE: @rateLimit
+    # =========================================================
+    # A DIRECTIVE is an annotation, written with @. This one is read by
+    # the rate-limit plugin (see plugins/rateLimit.js): every client may
+    # use a field marked with it at most max times per window ("30s",
+    # "1m", "2h", "1d") — on top of the limits every query and mutation
+    # has. Going over fails the operation with RATE_LIMITED.
+    #
+    #   search(...): [SearchHit!]! @rateLimit(max: 30, window: "1m")
+    directive @rateLimit(max: Int!, window: String!) on FIELD_DEFINITION
+
+
+    # =========================================================
+    # DIRECTIVE: @cacheControl
+    # =========================================================
+    # How long a response may be cached, in seconds (maxAge), and whether
+    # only the user's own browser may keep it (scope: PRIVATE). Apollo
+    # Server reads these hints: a response may be cached for the SMALLEST
+    # maxAge of everything in it, and it says so in the Cache-Control
+    # header. Our own response cache uses the same hints
+    # (see plugins/responseCache.js).
+    #
+    #   type Game @cacheControl(maxAge: 60)            ← any Game, wherever it appears
+    #   games(...): GameConnection! @cacheControl(maxAge: 30)
+    #   type PageInfo @cacheControl(inheritMaxAge: true)  ← whatever its parent field allows
+    #
+    # Top-level fields, and fields returning an object type, WITHOUT a
+    # hint count as maxAge 0 — "don't cache". That's what keeps the audit
+    # log and exports out of every cache.
+    enum CacheControlScope {
+        PUBLIC
+        PRIVATE
+    }
+
+    directive @cacheControl(
+        maxAge: Int
+        scope: CacheControlScope
+        inheritMaxAge: Boolean
+    ) on FIELD_DEFINITION | OBJECT | INTERFACE | UNION
+
+
+    # =========================================================
+    # DIRECTIVE: @key (Apollo Federation)
+    # =========================================================
+    # Marks an ENTITY: a type other subgraphs of the supergraph can point
+    # at and extend, knowing only its key. This service owns Game, Review
+    # and Author, keyed by their global id. When the router needs one of
+    # them — say a "Wishlist" service returns { __typename: "Game", id: "R2FtZTox" }
+    # and the client asked for its title — it asks us through the
+    # _entities query Federation adds in subgraph mode, and the type's
+    # __resolveReference resolver looks it up (see resolvers.js).
+    #
+    #   type Game implements Node @key(fields: "id")
+    #
+    # Outside a supergraph it does nothing; it's declared here so the
+    # same typeDefs work in both modes.
+    directive @key(fields: String!, resolvable: Boolean = true) repeatable on OBJECT | INTERFACE
+
+
+    # =========================================================
+    # INTERFACE: Node
+    # =========================================================
+    # An INTERFACE is a set of fields that several types promise to have.
+    # Game, Review and Author all "implement Node", so each one has an id
+    # that is GLOBALLY unique — not just among games, but across the whole
+    # API. It's the type name and the record's id, base64-encoded
+    # (see ids.js):
+    #
+    #   Game "1"  →  id: "R2FtZTox"
+    #
+    # Treat ids as opaque strings: pass them back, never take them apart.
+    # Query.node(id) can fetch any Node from its id alone, which is how
+    # client caches like Relay refetch an object they already have:
+    #
+    #   node(id: "R2FtZTox") {
+    #     id
+    #     ... on Game { title }
+    #   }
+    #
+    # Arguments that take the id of one type (game(id:), updateReview(id:),
+    # AddReviewInput.game_id, ...) also still accept the record's plain id
+    # ("1"), so clients written before global ids keep working.
+    interface Node @cacheControl(maxAge: 60) {
+        id: ID!
+    }
+
     # =========================================================
     # TYPE: Game
     # =========================================================
     # This defines the shape of a Game object in our API.
     # When a client queries for a game, they'll receive an object
     # with exactly these fields (they choose which ones they want).
-    type Game {
-        id: ID!                  # Every game has a unique ID — never null
+    type Game implements Node @key(fields: "id") @cacheControl(maxAge: 60) {
+        id: ID!                  # Every game has a globally unique ID — never null
         title: String!           # Every game has a title — never null
-        platform: [String!]!     # An array of strings — never null, and no null items inside
-                                 # [String!]! means: the array itself is non-null,
+        platform: [Platform!]!   # An array of platforms — never null, and no null items inside
+                                 # [Platform!]! means: the array itself is non-null,
                                  # AND every item inside the array is non-null.
-                                 # Compare: [String] could be null, and could contain null items
-        reviews: [Review!]       # A game can have many reviews (or none, hence no ! at the end)
-                                 # This field is RESOLVED dynamically — see Game resolver in index.js
+                                 # Compare: [Platform] could be null, and could contain null items
+        # A game can have many reviews. This field is RESOLVED dynamically —
+        # see the Game resolver in resolvers.js. It takes the same paging,
+        # filtering and sorting arguments as Query.reviews.
+        reviews(
+            first: Int, after: String, last: Int, before: String,
+            filter: ReviewFilter, orderBy: ReviewOrder, includeDeleted: Boolean = false
+        ): ReviewConnection!
+
+        # COMPUTED fields — worked out from the game's reviews every time
+        # they're asked for (see the Game resolver in resolvers.js).
+        # Deleted reviews never count.
+        averageRating: Float     # Float because averages have decimals — null if there are no reviews
+        reviewCount: Int!
+        ratingDistribution: [RatingCount!]!  # How many reviews gave 1, 2, 3, 4 and 5 stars
+
+        version: Int!
+        createdAt: DateTime!
+        updatedAt: DateTime!
+        deletedAt: DateTime      # When the game was deleted — null while it's live
+    }
+
+    # One bar of the rating histogram: "count reviews gave this many stars"
+    type RatingCount @cacheControl(inheritMaxAge: true) {
+        rating: Int!             # 1 to 5
+        count: Int!
+    }
+
+
+    # =========================================================
+    # ENUM: Platform
+    # =========================================================
+    # An ENUM only allows a fixed set of values, so a client can't
+    # send "Playstaton" or "my toaster" as a platform — GraphQL
+    # rejects the request before any resolver runs.
+    # The Platform resolver in resolvers.js maps each value to the
+    # string that's stored (PLAYSTATION ↔ "PlayStation").
+    enum Platform {
+        PC
+        PLAYSTATION
+        XBOX
+        SWITCH
+        MOBILE
     }
 
 
@@ -68,23 +227,318 @@ export const typeDefs = `#graphql
     #   GET /authors/201
     #
     # In GraphQL, one single query can ask for all of that at once.
-    type Review {
+    #
+    # MODERATION: only PUBLISHED reviews are public. A review by an
+    # unverified author waits as PENDING until a moderator approves it
+    # (see moderation.js). Everyone else sees the others as if they didn't
+    # exist — in lists, lookups, search and ratings alike.
+    enum ReviewStatus {
+        PENDING                  # Waiting for a moderator
+        PUBLISHED                # Public
+        REJECTED                 # Turned down by a moderator
+    }
+
+    type Review implements Node @key(fields: "id") @cacheControl(maxAge: 60) {
         id: ID!
         rating: Int!             # A whole number — we chose Int, not Float, because ratings are 1,2,3,4,5
+                                 # The 1–5 range is enforced by validation.js
         content: String!         # The written review text
         game: Game!              # The full Game object this review belongs to — never null
         author: Author!          # The full Author object who wrote this — never null
+        status: ReviewStatus!
+        reports: [Report!]!      # What users have reported about it, oldest first. Moderators only.
+        version: Int!
+        createdAt: DateTime!
+        updatedAt: DateTime!
+        deletedAt: DateTime      # When the review was deleted — null while it's live
+    }
+
+    # A user's complaint about a review (Mutation.reportReview). It stays
+    # open — outcome null — until a moderator approves or rejects the review.
+    type Report {
+        id: ID!
+        reason: String!
+        reportedBy: ID!          # The id of the user who reported it
+        createdAt: DateTime!
+        outcome: ReviewStatus    # PUBLISHED (kept up) or REJECTED (taken down) — null while open
+        resolvedAt: DateTime
     }
 
 
     # =========================================================
     # TYPE: Author
     # =========================================================
-    type Author {
+    type Author implements Node @key(fields: "id") @cacheControl(maxAge: 60) {
         id: ID!
         name: String!
         verified: Boolean!       # Is this author a verified reviewer? true or false — never null
-        reviews: [Review!]       # All reviews this author has written (could be empty array, not null)
+        bio: String              # A few words about themselves — null if they haven't written any
+        avatarUrl: String        # An http(s) URL of their picture — null for none
+        joinedAt: DateTime!      # When they joined — the same moment as createdAt
+        reviews(                 # All reviews this author has written, one page at a time
+            first: Int, after: String, last: Int, before: String,
+            filter: ReviewFilter, orderBy: ReviewOrder, includeDeleted: Boolean = false
+        ): ReviewConnection!
+        reviewCount: Int!        # Computed: how many reviews they've written
+        averageGivenRating: Float  # Computed: the average rating they give — null if no reviews
+        # The follow graph (see social.js), in the order the follows happened
+        followers(first: Int, after: String, last: Int, before: String): AuthorConnection!   # Who follows them
+        following(first: Int, after: String, last: Int, before: String): AuthorConnection!   # Who they follow
+        version: Int!
+        createdAt: DateTime!
+        updatedAt: DateTime!
+        deletedAt: DateTime      # When the author was deleted — null while they're live
+    }
+
+
+    # =========================================================
+    # TYPE: User
+    # =========================================================
+    # The person making the request, identified by the bearer token
+    # in the Authorization header (see auth.js). PRIVATE: what me returns
+    # depends on who asks, so no shared cache may keep it.
+    enum Role {
+        ADMIN                    # May add, update, delete and restore games and authors,
+                                 # see deleted records and read the audit log — and moderate
+        MODERATOR                # May see reviews of every status and approve or reject them
+    }
+
+    type User @cacheControl(maxAge: 60, scope: PRIVATE) {
+        id: ID!
+        roles: [Role!]!
+        author: Author           # The Author profile with the same id — null for non-authors
+    }
+
+
+    # =========================================================
+    # SEARCH
+    # =========================================================
+    # A UNION says "this field returns ONE OF these types". To read
+    # fields from it, a query uses INLINE FRAGMENTS that pick fields per type:
+    #
+    #   search(term: "code") {
+    #     snippet
+    #     item {
+    #       __typename
+    #       ... on Game   { title }
+    #       ... on Review { rating }
+    #       ... on Author { name }
+    #     }
+    #   }
+    union SearchResult @cacheControl(inheritMaxAge: true) = Game | Review | Author
+
+    enum SearchType {
+        GAME
+        REVIEW
+        AUTHOR
+    }
+
+    type SearchHit @cacheControl(inheritMaxAge: true) {
+        item: SearchResult!
+        score: Float!            # Relevance — higher is better; hits come sorted by it
+        snippet: String!         # The matched text as HTML: escaped, with matches wrapped in <mark></mark>
+    }
+
+
+    # =========================================================
+    # AUDIT LOG
+    # =========================================================
+    # Every mutation writes one entry per record it changes: who did it,
+    # when, and the record as it was before and after (see audit.js).
+    # Entries are never changed or removed.
+    type AuditEntry {
+        id: ID!
+        at: DateTime!            # When it happened
+        userId: ID!              # Who did it — the id from their bearer token
+        operation: String!       # The mutation that made the change, e.g. "updateGame"
+        entityType: String!      # "Game", "Review", "Author", "Follow" or "Report"
+        entityId: ID!            # The changed record's global id (the snapshots keep its plain id)
+        before: JSON             # The stored record before the change — null when it was created
+        after: JSON              # ...and after it — null when it was removed (an unfollow)
+    }
+
+
+    # =========================================================
+    # CATALOG IMPORT & EXPORT
+    # =========================================================
+    # Games, authors and reviews in bulk, as JSON or CSV text (see catalog.js).
+    enum CatalogFormat {
+        JSON                     # { "games": [...], "authors": [...], "reviews": [...] }
+        CSV                      # One collection per file, with a header line
+    }
+
+    enum CatalogCollection {
+        GAMES
+        AUTHORS
+        REVIEWS
+    }
+
+    enum ImportAction {
+        CREATE
+        UPDATE
+        UNCHANGED
+    }
+
+    # What an import did — or, for a dry run, would do.
+    # If there are any errors, nothing at all was written.
+    type ImportReport {
+        dryRun: Boolean!
+        applied: Boolean!        # true only when the rows were actually written
+        created: Int!
+        updated: Int!
+        unchanged: Int!
+        changes: [ImportChange!]!
+        errors: [ImportError!]!
+    }
+
+    type ImportChange {
+        collection: CatalogCollection!
+        row: Int!                # Position in its collection, counting from 1
+        id: ID                   # The record's plain id, as in the catalog — null for a new
+                                 # record in a dry run, whose id isn't generated yet
+        action: ImportAction!
+    }
+
+    type ImportError {
+        collection: CatalogCollection!
+        row: Int!
+        field: String            # null when the problem is the row as a whole
+        message: String!
+    }
+
+
+    # =========================================================
+    # CONNECTIONS (cursor-based pagination)
+    # =========================================================
+    # Lists are returned as "connections" instead of plain arrays, so a
+    # client can fetch a big list one page at a time. See pagination.js.
+    #
+    #   games(first: 2) {
+    #     totalCount                         ← matches across all pages
+    #     edges { cursor node { title } }    ← this page's items
+    #     pageInfo { hasNextPage endCursor } ← pass endCursor as "after" for the next page
+    #   }
+    #
+    # Every connection field accepts the same four paging arguments:
+    #   first / after  — the first N items after a cursor (paging forwards)
+    #   last / before  — the last N items before a cursor (paging backwards)
+    type PageInfo @cacheControl(inheritMaxAge: true) {
+        hasNextPage: Boolean!
+        hasPreviousPage: Boolean!
+        startCursor: String      # null when the page is empty
+        endCursor: String
+    }
+
+    type GameConnection @cacheControl(inheritMaxAge: true) {
+        edges: [GameEdge!]!
+        pageInfo: PageInfo!
+        totalCount: Int!
+    }
+
+    type GameEdge @cacheControl(inheritMaxAge: true) {
+        cursor: String!
+        node: Game!
+    }
+
+    type ReviewConnection @cacheControl(inheritMaxAge: true) {
+        edges: [ReviewEdge!]!
+        pageInfo: PageInfo!
+        totalCount: Int!
+    }
+
+    type ReviewEdge @cacheControl(inheritMaxAge: true) {
+        cursor: String!
+        node: Review!
+    }
+
+    type AuthorConnection @cacheControl(inheritMaxAge: true) {
+        edges: [AuthorEdge!]!
+        pageInfo: PageInfo!
+        totalCount: Int!
+    }
+
+    type AuthorEdge @cacheControl(inheritMaxAge: true) {
+        cursor: String!
+        node: Author!
+    }
+
+    type AuditEntryConnection {
+        edges: [AuditEntryEdge!]!
+        pageInfo: PageInfo!
+        totalCount: Int!
+    }
+
+    type AuditEntryEdge {
+        cursor: String!
+        node: AuditEntry!
+    }
+
+
+    # =========================================================
+    # FILTERING & SORTING
+    # =========================================================
+    # Filters narrow a list down BEFORE it's paginated, so totalCount
+    # reflects the filtered list. Every filter field is optional;
+    # fields you leave out don't filter anything.
+    input GameFilter {
+        platform: Platform       # Only games released on this platform
+        titleContains: String    # Case-insensitive substring match on the title
+    }
+
+    input ReviewFilter {
+        minRating: Int           # Inclusive
+        maxRating: Int           # Inclusive
+        verifiedAuthor: Boolean  # Only reviews by verified (true) / unverified (false) authors
+        status: ReviewStatus     # Only matters to moderators — everyone else only gets PUBLISHED ones
+    }
+
+    input AuthorFilter {
+        verified: Boolean
+    }
+
+    input AuditFilter {
+        entityType: String       # "Game", "Review", "Author", "Follow" or "Report"
+        entityId: ID             # A global id, or a plain one together with entityType
+        userId: ID
+        operation: String        # e.g. "deleteGame"
+    }
+
+    # An ENUM is a type that only allows a fixed set of values.
+    enum SortDirection {
+        ASC
+        DESC
+    }
+
+    enum GameSortField {
+        ID
+        TITLE
+        RATING                   # Average rating of the game's reviews — unreviewed games go last
+    }
+
+    enum ReviewSortField {
+        ID
+        RATING
+    }
+
+    enum AuthorSortField {
+        ID
+        NAME
+    }
+
+    # Without an orderBy, lists come back in the order they were stored.
+    input GameOrder {
+        field: GameSortField!
+        direction: SortDirection = ASC
+    }
+
+    input ReviewOrder {
+        field: ReviewSortField!
+        direction: SortDirection = ASC
+    }
+
+    input AuthorOrder {
+        field: AuthorSortField!
+        direction: SortDirection = ASC
     }
 
 
@@ -94,21 +548,134 @@ export const typeDefs = `#graphql
     # This is one of three special "root" types in GraphQL:
     #   Query    — for READ operations (fetching data)
     #   Mutation — for WRITE operations (creating, updating, deleting)
-    #   Subscription — for real-time data (we're not using this here)
+    #   Subscription — for real-time data (see TYPE: Subscription below)
     #
     # Every field defined here becomes an "entry point" — a question
     # a client is allowed to ask your API.
     #
     # Think of Query fields as the endpoints in a REST API:
-    #   REST:    GET /games        →  GraphQL: games: [Game]
+    #   REST:    GET /games        →  GraphQL: games: GameConnection!
     #   REST:    GET /games/:id    →  GraphQL: game(id: ID!): Game
+    #
+    # The list fields take paging, filter and orderBy arguments, all optional.
+    #
+    # Deleted records are hidden unless includeDeleted: true is passed —
+    # which only ADMIN users may do. See Mutation below.
+    #
+    # Lists may be cached for 30 seconds and single records for 60 (the
+    # hint on their type); the audit log and exports aren't cached at all.
     type Query {
-        reviews: [Review]        # "Give me all reviews" — returns an array
-        review(id: ID!): Review  # "Give me one review by id" — (id: ID!) means id is a required argument
-        games: [Game]            # "Give me all games"
-        game(id: ID!): Game      # "Give me one game by id"
-        authors: [Author]        # "Give me all authors"
-        author(id: ID!): Author  # "Give me one author by id"
+        reviews(                 # "Give me the reviews" — one page of a connection
+            first: Int, after: String, last: Int, before: String,
+            filter: ReviewFilter, orderBy: ReviewOrder, includeDeleted: Boolean = false
+        ): ReviewConnection! @cacheControl(maxAge: 30)
+        review(id: ID!, includeDeleted: Boolean = false): Review  # "Give me one review by id" — (id: ID!) means id is a required argument
+        games(                   # "Give me the games"
+            first: Int, after: String, last: Int, before: String,
+            filter: GameFilter, orderBy: GameOrder, includeDeleted: Boolean = false
+        ): GameConnection! @cacheControl(maxAge: 30)
+        game(id: ID!, includeDeleted: Boolean = false): Game      # "Give me one game by id"
+        authors(                 # "Give me the authors"
+            first: Int, after: String, last: Int, before: String,
+            filter: AuthorFilter, orderBy: AuthorOrder, includeDeleted: Boolean = false
+        ): AuthorConnection! @cacheControl(maxAge: 30)
+        author(id: ID!, includeDeleted: Boolean = false): Author  # "Give me one author by id"
+
+        # "Give me whatever this id belongs to" — any Game, Review or Author
+        # from its global id. null when nothing (live) has that id.
+        node(id: ID!): Node
+        nodes(ids: [ID!]!): [Node]!   # Several at once, in the same order as ids
+        me: User                 # "Who am I?" — the user from the bearer token, null if not logged in
+
+        # "What's new from the authors I follow?" — their published reviews,
+        # newest first, with verified authors' reviews ranked higher (see
+        # social.js). Needs a logged-in user; empty for users who aren't authors.
+        feed(first: Int = 20, after: String): ReviewConnection!
+
+        # "Give me the best-rated games" — highest average rating first.
+        # limit: 1 to 100. minReviews: games with fewer reviews are left out.
+        # Arguments with = have DEFAULT VALUES used when the client omits them.
+        topGames(limit: Int = 10, platform: Platform, minReviews: Int = 1): [Game!]! @cacheControl(maxAge: 30)
+
+        # "Find anything mentioning this" — searches game titles, review text
+        # and author names, best match first (see search.js).
+        # types narrows it down, e.g. types: [REVIEW]. Leave it out to search everything.
+        search(term: String!, types: [SearchType!], first: Int = 20): [SearchHit!]! @rateLimit(max: 30, window: "1m") @cacheControl(maxAge: 30)
+
+        # "What happened?" — the audit log, newest entry first. ADMIN only.
+        auditLog(
+            first: Int, after: String, last: Int, before: String,
+            filter: AuditFilter
+        ): AuditEntryConnection!
+        gameHistory(id: ID!): [AuditEntry!]!   # Every change to one game, newest first. ADMIN only.
+
+        # "What needs a moderator?" — PENDING reviews and reported PUBLISHED
+        # ones, oldest first. Moderators only.
+        moderationQueue(first: Int, after: String, last: Int, before: String): ReviewConnection!
+
+        # "Give me everything as a file" — every live record as JSON or CSV
+        # text. CSV needs a collection. ADMIN only.
+        exportCatalog(format: CatalogFormat = JSON, collection: CatalogCollection): String! @rateLimit(max: 10, window: "1h")
+    }
+
+
+    # =========================================================
+    # SCHEMA EVOLUTION
+    # =========================================================
+    # Clients we don't control are built against this schema, so it only
+    # ever changes in ways they can survive. Adding is safe: a new type,
+    # a new field, a new optional argument. Removing or retyping a field
+    # is BREAKING — a query that used it stops working.
+    #
+    # So a field that has to change goes through the @deprecated workflow:
+    #
+    #   1. add its replacement next to it   — removeGame: DeleteGamePayload!
+    #   2. mark the old one @deprecated, saying what to use instead. It
+    #      keeps working, but Sandbox and code generators warn about it,
+    #      and every use is counted in graphql_deprecated_field_usage_total
+    #      (see plugins/observability.js)
+    #   3. once that count has been 0 for long enough, remove it — an
+    #      approved breaking change (see scripts/schema.js)
+    #
+    # schema.graphql holds the schema as it was last released, and
+    # npm run schema -- check compares this one against it: every change
+    # is classified as BREAKING, DANGEROUS or SAFE, and breaking changes
+    # that aren't listed in schema-approvals.json fail the check.
+
+
+    # =========================================================
+    # MUTATION PAYLOADS
+    # =========================================================
+    # A PAYLOAD type is what a mutation returns: the records it touched,
+    # plus the problems with the request as data. A client can show
+    # errors[].message next to the form field named in errors[].field,
+    # without digging through the response's top-level "errors".
+    #
+    # Only problems with the input (BAD_USER_INPUT) or a missing record
+    # (NOT_FOUND) go there. Not being logged in or allowed is still a
+    # top-level UNAUTHENTICATED / FORBIDDEN error, like everywhere else.
+    type UserError {
+        code: String!            # BAD_USER_INPUT or NOT_FOUND
+        field: String            # The argument or input field it's about — null for the whole request
+        message: String!
+    }
+
+    type DeleteGamePayload {
+        deletedId: ID            # The deleted game's id — null when nothing was deleted
+        game: Game               # The game as it is now, deletedAt set
+        errors: [UserError!]!    # Empty when it worked
+    }
+
+    type DeleteReviewPayload {
+        deletedId: ID
+        review: Review
+        errors: [UserError!]!
+    }
+
+    type DeleteAuthorPayload {
+        deletedId: ID
+        author: Author
+        errors: [UserError!]!
     }
 
 
@@ -123,10 +690,93 @@ export const typeDefs = `#graphql
     # After a mutation runs, you specify what it RETURNS.
     # This is powerful — after adding a game, the API immediately
     # hands back the newly created game object. No second request needed.
+    #
+    # Deletes are SOFT: the record stays stored, marked with deletedAt, and
+    # disappears from every query unless an ADMIN asks for includeDeleted.
+    # Deleting a game or an author CASCADES: every live review that points
+    # at the deleted record is deleted with it, so no visible Review is
+    # ever left with a game or author that's gone.
+    #
+    # Every change is written to the audit log (Query.auditLog), and
+    # restoreGame can bring a game back or roll it back to an earlier version.
+    #
+    # OPTIMISTIC CONCURRENCY: the update mutations take an optional
+    # expectedVersion — the version the client last read. If the record
+    # has changed since (someone else updated it first), nothing is written
+    # and the mutation fails with CONFLICT, carrying the current record in
+    # extensions.current. Without expectedVersion, the update always applies.
+    #
+    # Mutations need a bearer token. Games and authors are ADMIN-only;
+    # reviews can be written by their own author (see auth.js). Calls
+    # without a token fail with UNAUTHENTICATED, calls without the
+    # right permissions with FORBIDDEN.
+    #
+    # Each client gets fewer mutations than queries per minute, and
+    # addReview has a tighter @rateLimit of its own, so a script can't
+    # flood a game with reviews. reportReview has one too.
+    #
+    # The remove* mutations return a PAYLOAD (see "MUTATION PAYLOADS"
+    # below); the delete* ones they replace are deprecated.
     type Mutation {
         addGame(game: AddGameInput!): Game    # Creates a new game, returns the created Game
-        deleteGame(id: ID!): [Game]           # Deletes a game by id, returns the remaining games list
-        updateGame(id: ID!, edits: EditGameInput!): Game  # Updates a game, returns the updated Game
+        deleteGame(id: ID!): [Game] @deprecated(reason: "Use removeGame, which returns a DeleteGamePayload.")
+        removeGame(id: ID!): DeleteGamePayload!   # Deletes a game (and its reviews)
+        updateGame(id: ID!, edits: EditGameInput!, expectedVersion: Int): Game  # Updates a game, returns the updated Game
+        # Without toEntry: undeletes a deleted game, and the reviews deleted with it.
+        # With toEntry (an AuditEntry id for this game): puts the game back
+        # the way it was BEFORE that change.
+        restoreGame(id: ID!, toEntry: ID): Game!
+
+        addReview(review: AddReviewInput!): Review @rateLimit(max: 5, window: "1m")  # game_id and author_id must already exist
+        deleteReview(id: ID!): [Review] @deprecated(reason: "Use removeReview, which returns a DeleteReviewPayload.")
+        removeReview(id: ID!): DeleteReviewPayload!
+        updateReview(id: ID!, edits: EditReviewInput!, expectedVersion: Int): Review
+
+        # Flags a published review for the moderators. Any logged-in user,
+        # once per review until a moderator has looked at it.
+        reportReview(id: ID!, reason: String!): Report! @rateLimit(max: 10, window: "1h")
+        # Moderators only. Both resolve the review's open reports.
+        approveReview(id: ID!): Review!                           # → PUBLISHED
+        rejectReview(id: ID!): Review!                            # → REJECTED
+
+        addAuthor(author: AddAuthorInput!): Author
+        deleteAuthor(id: ID!): [Author] @deprecated(reason: "Use removeAuthor, which returns a DeleteAuthorPayload.")
+        removeAuthor(id: ID!): DeleteAuthorPayload!               # Deletes an author (and their reviews)
+        updateAuthor(id: ID!, edits: EditAuthorInput!, expectedVersion: Int): Author
+        # The logged-in user's Author profile follows / stops following
+        # another author. Both are safe to repeat. Return the other author.
+        followAuthor(id: ID!): Author!
+        unfollowAuthor(id: ID!): Author!
+
+        # Creates and updates games, authors and reviews in bulk from JSON or
+        # CSV text. All rows are written or none are: any invalid row or
+        # broken foreign key fails the whole import, and the report lists
+        # every problem. dryRun checks everything but writes nothing.
+        # CSV needs a collection. ADMIN only.
+        importCatalog(
+            data: String!, format: CatalogFormat = JSON, collection: CatalogCollection,
+            dryRun: Boolean = false
+        ): ImportReport! @rateLimit(max: 10, window: "1h")
+    }
+
+
+    # =========================================================
+    # TYPE: Subscription  (special built-in type)
+    # =========================================================
+    # Queries and mutations are request → response. A SUBSCRIPTION is
+    # request → a stream of responses: the client opens a WebSocket
+    # (graphql-ws protocol, same URL and port as HTTP), subscribes once,
+    # and the server pushes an event every time the matching mutation runs.
+    #
+    #   subscription {
+    #     reviewAdded(gameId: "1") { rating content author { name } }
+    #   }
+    #
+    # The events are published by the mutation resolvers (see pubsub.js).
+    type Subscription {
+        reviewAdded(gameId: ID): Review!   # Every newly PUBLISHED review — or only those for one game
+        gameUpdated(id: ID): Game!         # Every updateGame — or only those for one game
+        gameDeleted: Game!                 # The game that was just deleted, deletedAt set
     }
 
 
@@ -144,9 +794,14 @@ export const typeDefs = `#graphql
     # Used when creating a new game.
     # Notice: NO "id" field — the server generates the id automatically.
     # The client shouldn't be deciding what the id is.
+    #
+    # The schema can only check types. Everything else — a blank title, an
+    # empty or repeated platform list, a rating outside 1–5 — is checked
+    # by validation.js, which answers with BAD_USER_INPUT and a
+    # per-field extensions.fieldErrors map.
     input AddGameInput {
-        title: String!
-        platform: [String!]!
+        title: String!           # Must not be blank, at most 200 characters
+        platform: [Platform!]!   # At least one platform, no duplicates
     }
 
     # Used when updating an existing game.
@@ -155,7 +810,42 @@ export const typeDefs = `#graphql
     # e.g. just update the title without touching the platform, or vice versa.
     input EditGameInput {
         title: String           # Optional — client can omit this if they don't want to change it
-        platform: [String!]     # Optional — client can omit this too
+        platform: [Platform!]   # Optional — client can omit this too
+    }
+
+    # Used when creating a new review.
+    # game_id and author_id are FOREIGN KEYS — the resolver rejects the
+    # review if either one doesn't point at an existing game/author.
+    input AddReviewInput {
+        rating: Int!             # 1 to 5
+        content: String!         # Must not be blank
+        game_id: ID!
+        author_id: ID!
+    }
+
+    # Used when updating a review. A review can't be moved to another
+    # game or author — only its rating and text can change.
+    input EditReviewInput {
+        rating: Int
+        content: String
+    }
+
+    # Used when creating a new author.
+    # = false is a DEFAULT VALUE — if the client omits "verified",
+    # the author starts out unverified.
+    input AddAuthorInput {
+        name: String!
+        verified: Boolean = false
+        bio: String              # At most 1000 characters
+        avatar_url: String       # Must be an http:// or https:// URL
+    }
+
+    # Used when updating an author. Same partial-update idea as EditGameInput.
+    input EditAuthorInput {
+        name: String
+        verified: Boolean
+        bio: String              # null clears it
+        avatar_url: String       # null clears it
     }
 
 `
@@ -0,0 +1,95 @@
+/**
+ * schemaChanges.js — What Changed Between Two Versions of the Schema
+ *
+ * Used by scripts/schema.js to compare the schema in schema.js with the
+ * snapshot of the last release in schema.graphql (see "SCHEMA EVOLUTION"
+ * in schema.js). Every change falls into one of three groups:
+ *
+ *   BREAKING  — existing operations can stop working: a field or type
+ *               removed, a field's type changed, a required argument added
+ *   DANGEROUS — existing operations keep working, but may get answers
+ *               clients don't expect: a new enum value, a new union member,
+ *               an argument's default changed
+ *   SAFE      — nothing an existing client can notice: a new type or
+ *               field, a field deprecated
+ *
+ * graphql-js knows the first two (findBreakingChanges and
+ * findDangerousChanges); the safe ones are worked out here.
+ *
+ * Each change is { type, description }, e.g.
+ *   { type: "FIELD_REMOVED", description: "Mutation.deleteGame was removed." }
+ *
+ * APPROVALS
+ * Some breaking changes are made on purpose — removing a deprecated field
+ * nobody uses any more. They're approved by listing their description in
+ * schema-approvals.json, with the reason, where a reviewer can see it:
+ *
+ *   [{ "description": "Mutation.deleteGame was removed.", "reason": "Unused since March" }]
+ */
+
+import {
+    buildSchema, findBreakingChanges, findDangerousChanges, isEnumType, isInterfaceType, isObjectType
+} from 'graphql'
+
+/**
+ * diffSchemas(before, after)
+ * Both are GraphQLSchema objects — or SDL text. Returns
+ * { breaking, dangerous, safe }, each a list of changes.
+ */
+export function diffSchemas(before, after) {
+    if (typeof before === 'string') before = buildSchema(before)
+    if (typeof after === 'string') after = buildSchema(after)
+
+    return {
+        breaking: findBreakingChanges(before, after),
+        dangerous: findDangerousChanges(before, after),
+        safe: findSafeChanges(before, after)
+    }
+}
+
+/**
+ * unapprovedChanges(breaking, approvals)
+ * The breaking changes that schema-approvals.json doesn't list.
+ */
+export function unapprovedChanges(breaking, approvals) {
+    const approved = new Set(approvals.map((approval) => approval.description))
+    return breaking.filter((change) => !approved.has(change.description))
+}
+
+// New types, new fields, and newly deprecated fields and enum values
+function findSafeChanges(before, after) {
+    const changes = []
+    const oldTypes = before.getTypeMap()
+
+    for (const [name, type] of Object.entries(after.getTypeMap())) {
+        if (name.startsWith('__')) continue
+
+        const oldType = oldTypes[name]
+        if (!oldType) {
+            changes.push({ type: 'TYPE_ADDED', description: `${name} was added.` })
+            continue
+        }
+
+        if ((isObjectType(type) || isInterfaceType(type)) && (isObjectType(oldType) || isInterfaceType(oldType))) {
+            const oldFields = oldType.getFields()
+            for (const [fieldName, field] of Object.entries(type.getFields())) {
+                const oldField = oldFields[fieldName]
+                if (!oldField) {
+                    changes.push({ type: 'FIELD_ADDED', description: `${name}.${fieldName} was added.` })
+                } else if (field.deprecationReason != null && oldField.deprecationReason == null) {
+                    changes.push({ type: 'FIELD_DEPRECATED', description: `${name}.${fieldName} was deprecated: ${field.deprecationReason}` })
+                }
+            }
+        }
+
+        if (isEnumType(type) && isEnumType(oldType)) {
+            for (const value of type.getValues()) {
+                const oldValue = oldType.getValue(value.name)
+                if (oldValue && value.deprecationReason != null && oldValue.deprecationReason == null) {
+                    changes.push({ type: 'ENUM_VALUE_DEPRECATED', description: `${name}.${value.name} was deprecated: ${value.deprecationReason}` })
+                }
+            }
+        }
+    }
+    return changes
+}
@@ -0,0 +1,105 @@
+/**
+ * scripts/catalog.js — Import & export the catalog from the command line
+ *
+ * Usage:
+ *   npm run catalog -- export [file] [--format json|csv] [--collection games|authors|reviews]
+ *   npm run catalog -- import <file> [--format json|csv] [--collection ...] [--dry-run]
+ *
+ * Examples:
+ *   npm run catalog -- export backup.json         ← everything, as JSON
+ *   npm run catalog -- export games.csv           ← the games, as CSV
+ *   npm run catalog -- import games.csv --dry-run ← what would change?
+ *   npm run catalog -- import games.csv
+ *
+ * The format comes from the file extension and a CSV file's collection
+ * from its name (games.csv → games) unless --format / --collection say
+ * otherwise. export without a file prints to stdout.
+ *
+ * It works on the same data source as the server, but defaults to the
+ * JSON file store (DATA_STORE=file) — importing into memory would be
+ * forgotten as soon as the script exits. Stop the server first: both
+ * would be writing the same file. Imports are audited as user "cli".
+ *
+ * Exits with status 1 if the import had errors (nothing is written then).
+ */
+
+import { readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+
+import { COLLECTION_NAMES, FORMATS, exportCatalog, importCatalog, parseCatalog } from '../catalog.js'
+import { createStore } from '../datasources/index.js'
+
+const USAGE = `Usage:
+  npm run catalog -- export [file] [--format json|csv] [--collection games|authors|reviews]
+  npm run catalog -- import <file> [--format json|csv] [--collection games|authors|reviews] [--dry-run]`
+
+const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        format: { type: 'string' },
+        collection: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false }
+    }
+})
+
+const [command, file] = positionals
+if (!['import', 'export'].includes(command) || (command === 'import' && !file) || positionals.length > 2) {
+    fail(USAGE)
+}
+
+const baseName = file ? path.basename(file, path.extname(file)) : undefined
+const format = values.format ?? (file && path.extname(file) === '.csv' ? 'csv' : 'json')
+const collection = values.collection ?? (COLLECTION_NAMES.includes(baseName) ? baseName : undefined)
+
+if (!FORMATS.includes(format)) fail(`Unknown format "${format}" — expected ${FORMATS.join(' or ')}`)
+if (collection && !COLLECTION_NAMES.includes(collection)) {
+    fail(`Unknown collection "${collection}" — expected ${COLLECTION_NAMES.join(', ')}`)
+}
+
+try {
+    const db = await createStore({ DATA_STORE: 'file', ...process.env })
+
+    if (command === 'export') {
+        const text = await exportCatalog(db, { format, collection })
+        if (file) await writeFile(file, text)
+        else process.stdout.write(text)
+    } else {
+        const catalog = parseCatalog(await readFile(file, 'utf8'), { format, collection })
+        const context = { db, user: { id: 'cli', roles: ['ADMIN'] } }
+        const { report } = await importCatalog(context, catalog, { dryRun: values['dry-run'] })
+        printReport(report)
+        if (report.errors.length > 0) process.exitCode = 1
+    }
+} catch (error) {
+    // BAD_USER_INPUT errors from catalog.js carry the details in fieldErrors
+    const details = error.extensions?.fieldErrors
+    fail(details ? `${error.message}\n${formatFieldErrors(details)}` : error.message)
+}
+
+function printReport(report) {
+    const verb = report.applied ? 'Imported' : 'Would import'
+    console.log(`${verb}: ${report.created} created, ${report.updated} updated, ${report.unchanged} unchanged`)
+
+    for (const { collection, row, id, action } of report.changes) {
+        if (action !== 'UNCHANGED') console.log(`  ${action.padEnd(6)} ${collection} row ${row}${id ? ` (id ${id})` : ''}`)
+    }
+
+    if (report.errors.length > 0) {
+        console.log(`\n${report.errors.length} error(s) — nothing was written:`)
+        for (const { collection, row, field, message } of report.errors) {
+            console.log(`  ${collection} row ${row}${field ? `, ${field}` : ''}: ${message}`)
+        }
+    } else if (report.dryRun) {
+        console.log('\nDry run — nothing was written.')
+    }
+}
+
+function formatFieldErrors(fieldErrors) {
+    return Object.entries(fieldErrors).map(([field, message]) => `  ${field} ${message}`).join('\n')
+}
+
+function fail(message) {
+    console.error(message)
+    process.exit(1)
+}
@@ -0,0 +1,71 @@
+/**
+ * scripts/schema.js — Check the schema for breaking changes
+ *
+ * Usage:
+ *   npm run schema -- check    ← what changed since schema.graphql?
+ *   npm run schema -- update   ← make the current schema the new schema.graphql
+ *
+ * schema.graphql is a snapshot of the schema as last released. check
+ * prints every change since then as BREAKING, DANGEROUS or SAFE (see
+ * schemaChanges.js) and exits with status 1 if there's a breaking change
+ * that schema-approvals.json doesn't approve — run it in CI.
+ *
+ * update is for releasing: it writes the schema to schema.graphql and
+ * empties schema-approvals.json, whose approvals were for changes that
+ * are now in the snapshot. Commit both.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises'
+import { parseArgs } from 'node:util'
+
+import { printSchema } from 'graphql'
+
+import { diffSchemas, unapprovedChanges } from '../schemaChanges.js'
+import { schema } from '../server.js'
+
+const SNAPSHOT = new URL('../schema.graphql', import.meta.url)
+const APPROVALS = new URL('../schema-approvals.json', import.meta.url)
+
+const USAGE = 'Usage: npm run schema -- check | update'
+
+const { positionals } = parseArgs({ allowPositionals: true })
+const [command] = positionals
+if (!['check', 'update'].includes(command) || positionals.length > 1) fail(USAGE)
+
+const current = printSchema(schema)
+
+if (command === 'update') {
+    await writeFile(SNAPSHOT, `${current}\n`)
+    await writeFile(APPROVALS, '[]\n')
+    console.log('Wrote schema.graphql and emptied schema-approvals.json.')
+} else {
+    const snapshot = await readFile(SNAPSHOT, 'utf8').catch(() => fail('No schema.graphql yet — run: npm run schema -- update'))
+    const approvals = JSON.parse(await readFile(APPROVALS, 'utf8').catch(() => '[]'))
+
+    const { breaking, dangerous, safe } = diffSchemas(snapshot, current)
+    const unapproved = unapprovedChanges(breaking, approvals)
+    const reasons = new Map(approvals.map(({ description, reason }) => [description, reason]))
+
+    printChanges('BREAKING', breaking, (change) =>
+        (unapproved.includes(change) ? '  ✗ ' : `  ✓ (approved: ${reasons.get(change.description)}) `))
+    printChanges('DANGEROUS', dangerous, () => '  ! ')
+    printChanges('SAFE', safe, () => '  + ')
+
+    if (unapproved.length > 0) {
+        console.log(`\n${unapproved.length} unapproved breaking change(s). Keep the old field and deprecate it,`)
+        console.log('or approve the change in schema-approvals.json.')
+        process.exitCode = 1
+    } else {
+        console.log('\nNo unapproved breaking changes.')
+    }
+}
+
+function printChanges(title, changes, marker) {
+    console.log(`${title} (${changes.length})`)
+    for (const change of changes) console.log(`${marker(change)}${change.type}: ${change.description}`)
+}
+
+function fail(message) {
+    console.error(message)
+    process.exit(1)
+}
@@ -0,0 +1,32 @@
+/**
+ * scripts/token.js — Mint a bearer token for local testing
+ *
+ * Usage:
+ *   npm run token -- <user id> [--role ADMIN] [--expires-in 3600]
+ *
+ * Examples:
+ *   npm run token -- 201                 ← Alice Devlin, can write her own reviews
+ *   npm run token -- admin --role ADMIN  ← may manage games and authors
+ *
+ * The token is signed with JWT_SECRET (or the development fallback), so
+ * run this with the same JWT_SECRET as the server.
+ */
+
+import { parseArgs } from 'node:util'
+import { signToken } from '../auth.js'
+
+const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        role: { type: 'string', multiple: true, default: [] },
+        'expires-in': { type: 'string' }
+    }
+})
+
+if (positionals.length !== 1) {
+    console.error('Usage: npm run token -- <user id> [--role ADMIN] [--expires-in <seconds>]')
+    process.exit(1)
+}
+
+const expiresIn = values['expires-in'] != null ? Number(values['expires-in']) : undefined
+console.log(signToken({ sub: positionals[0], roles: values.role }, { expiresIn }))
@@ -0,0 +1,207 @@
+/**
+ * search.js — In-Process Full-Text Search
+ *
+ * Powers Query.search. Instead of scanning every game, review and author
+ * on each search, we keep an INVERTED INDEX: a map from each word to the
+ * records that contain it — like the index at the back of a book.
+ *
+ *   "bugs"    → { Review:104 (1×) }
+ *   "legend"  → { Game:1 (1×) }
+ *   "code"    → { Game:1 (1×) }
+ *
+ * TOKENIZING
+ * Text is lower-cased and split into words ("tokens") on anything that
+ * isn't a letter or digit, so "Bug-Hunter 3000!" becomes
+ * ["bug", "hunter", "3000"]. Searches are tokenized the same way, which
+ * makes matching case-insensitive.
+ *
+ * MATCHING & RANKING
+ * Every word of the search term has to match a word in the record, either
+ * exactly or as the start of one ("hunt" matches "hunter"), so partial
+ * titles work. Each matching word adds to the record's score:
+ *
+ *   exact match → 1 per occurrence,  prefix match → 0.5 per occurrence
+ *   × how RARE the word is across the index (inverse document frequency),
+ *     so matching "terminal" counts for more than matching "the"
+ *
+ * Results come back best score first.
+ *
+ * KEEPING IT UP TO DATE
+ * The index is built from the data source at startup (SearchIndex.build)
+ * and the add / update / delete mutations call add() and remove() as they
+ * write, so searches always see the latest data.
+ *
+ * It only holds what anyone may see: no deleted records, and no reviews
+ * that aren't PUBLISHED (see moderation.js). The mutations keep it that
+ * way — a review leaves the index when it's rejected or goes back to
+ * waiting for a moderator.
+ */
+
+import { live } from './audit.js'
+import { published } from './moderation.js'
+
+/**
+ * Which field of each entity type is searchable.
+ */
+const SEARCHABLE = {
+    Game: { collection: 'games', field: 'title' },
+    Review: { collection: 'reviews', field: 'content' },
+    Author: { collection: 'authors', field: 'name' }
+}
+
+const SNIPPET_LENGTH = 80
+
+export function tokenize(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []
+}
+
+export class SearchIndex {
+    constructor() {
+        this.documents = new Map()   // "Game:1" → { type, id, text, counts: Map(token → occurrences) }
+        this.postings = new Map()    // token → Set of document keys containing it
+    }
+
+    /**
+     * SearchIndex.build(db)
+     * Creates an index holding every searchable record in the data source
+     * that the public can see.
+     */
+    static async build(db) {
+        const index = new SearchIndex()
+        for (const [type, { collection }] of Object.entries(SEARCHABLE)) {
+            let records = live(await db.list(collection))
+            if (type === 'Review') records = published(records)
+            for (const record of records) index.add(type, record)
+        }
+        return index
+    }
+
+    /**
+     * add(type, record)
+     * Indexes a record, replacing whatever was indexed for it before — so
+     * the same call handles both new and updated records.
+     */
+    add(type, record) {
+        this.remove(type, record.id)
+
+        const key = `${type}:${record.id}`
+        const text = record[SEARCHABLE[type].field]
+        const counts = new Map()
+        for (const token of tokenize(text)) {
+            counts.set(token, (counts.get(token) ?? 0) + 1)
+        }
+
+        this.documents.set(key, { type, id: record.id, text, counts })
+        for (const token of counts.keys()) {
+            if (!this.postings.has(token)) this.postings.set(token, new Set())
+            this.postings.get(token).add(key)
+        }
+    }
+
+    /**
+     * remove(type, id)
+     * Drops a record from the index. Unknown records are ignored.
+     */
+    remove(type, id) {
+        const key = `${type}:${id}`
+        const document = this.documents.get(key)
+        if (!document) return
+
+        for (const token of document.counts.keys()) {
+            const keys = this.postings.get(token)
+            keys.delete(key)
+            if (keys.size === 0) this.postings.delete(token)
+        }
+        this.documents.delete(key)
+    }
+
+    /**
+     * search(term, { types, limit })
+     * Returns up to `limit` hits, best first:
+     *   { type, id, score, snippet }
+     * types limits the search to some entity types (e.g. ['Game']).
+     */
+    search(term, { types = Object.keys(SEARCHABLE), limit = 20 } = {}) {
+        const queryTokens = [...new Set(tokenize(term))]
+        if (queryTokens.length === 0) return []
+
+        const scores = new Map()    // document key → score so far
+        const matched = new Map()   // document key → Set of its tokens that matched
+
+        for (const [position, queryToken] of queryTokens.entries()) {
+            const found = new Map()
+            for (const [token, keys] of this.postings) {
+                if (!token.startsWith(queryToken)) continue
+
+                const weight = (token === queryToken ? 1 : 0.5) * this.idf(keys.size)
+                for (const key of keys) {
+                    const document = this.documents.get(key)
+                    if (!types.includes(document.type)) continue
+                    found.set(key, (found.get(key) ?? 0) + weight * document.counts.get(token))
+                    if (!matched.has(key)) matched.set(key, new Set())
+                    matched.get(key).add(token)
+                }
+            }
+
+            // Every query word must match: keep only documents that matched
+            // all previous words AND this one
+            for (const key of position === 0 ? found.keys() : [...scores.keys()]) {
+                if (!found.has(key)) scores.delete(key)
+                else scores.set(key, (scores.get(key) ?? 0) + found.get(key))
+            }
+        }
+
+        return [...scores]
+            .sort(([keyA, a], [keyB, b]) => b - a || keyA.localeCompare(keyB, undefined, { numeric: true }))
+            .slice(0, limit)
+            .map(([key, score]) => {
+                const { type, id, text } = this.documents.get(key)
+                return { type, id, score, snippet: highlight(text, matched.get(key)) }
+            })
+    }
+
+    idf(documentCount) {
+        return Math.log(1 + this.documents.size / documentCount)
+    }
+}
+
+/**
+ * highlight(text, tokens)
+ * Wraps every matched word in <mark></mark> and, for long texts, cuts a
+ * window of about SNIPPET_LENGTH characters around the first match:
+ *
+ *   "…too many <mark>bugs</mark>, felt unfinished."
+ *
+ * The snippet is HTML, and the text is whatever a user typed into a
+ * review or a name — so the text is escaped, and only the <mark> tags
+ * are markup. Otherwise a review containing <img onerror=...> would run
+ * in every client that shows the snippet as HTML.
+ */
+export function highlight(text, tokens) {
+    const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)]
+        .filter((match) => tokens.has(match[0].toLowerCase()))
+
+    let start = 0
+    let end = text.length
+    if (text.length > SNIPPET_LENGTH && words.length > 0) {
+        start = Math.max(0, words[0].index - SNIPPET_LENGTH / 4)
+        end = Math.min(text.length, start + SNIPPET_LENGTH)
+    }
+
+    let snippet = ''
+    let cursor = start
+    for (const match of words) {
+        if (match.index < start || match.index + match[0].length > end) continue
+        snippet += escapeHtml(text.slice(cursor, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`
+        cursor = match.index + match[0].length
+    }
+    snippet += escapeHtml(text.slice(cursor, end))
+
+    return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '')
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"]/g, (char) => HTML_ESCAPES[char])
+}
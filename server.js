@@ -0,0 +1,192 @@
+/**
+ * server.js — Building the GraphQL Server
+ *
+ * Everything needed to answer GraphQL requests, WITHOUT the HTTP part:
+ * the schema, the Apollo Server instance, the shared services (data source,
+ * pub/sub, search index) and a function that builds each request's context.
+ *
+ * index.js uses it to run the real server on a port. Tests use it to get
+ * a fresh, isolated server per test and call server.executeOperation()
+ * directly — no port, no HTTP, no state shared between tests.
+ */
+
+import { ApolloServer } from '@apollo/server';
+import { ApolloServerPluginLandingPageDisabled } from '@apollo/server/plugin/disabled';
+import { ApolloServerPluginInlineTrace } from '@apollo/server/plugin/inlineTrace';
+import { makeExecutableSchema } from '@graphql-tools/schema';
+import { buildSubgraphSchema } from '@apollo/subgraph';
+import { parse } from 'graphql';
+
+import { MemoryStore } from './datasources/memory.js'
+import { createLoaders } from './loaders.js'
+import { createPubSub } from './pubsub.js'
+import { SearchIndex } from './search.js'
+import { limitsFromEnv, queryLimitsPlugin } from './plugins/queryLimits.js'
+import { MemoryBucketStore, rateLimitPlugin, rateLimitsFromEnv } from './plugins/rateLimit.js'
+import { allowlistPlugin } from './plugins/persistedQueries.js'
+import { observabilityPlugin } from './plugins/observability.js'
+import { privateForUsersPlugin, responseCacheFromEnv, responseCachePlugin } from './plugins/responseCache.js'
+import { subgraphLink, typeDefs } from './schema.js';
+import { resolvers } from './resolvers.js'
+
+/**
+ * makeExecutableSchema takes our typeDefs and resolvers and wires them
+ * together into one schema object.
+ *
+ *   typeDefs  → the schema (the API contract — what's possible)
+ *   resolvers → the implementation (the logic — how to fulfill requests)
+ *
+ * Together they form a complete, functional GraphQL API. We build the
+ * schema ourselves (instead of handing typeDefs/resolvers to ApolloServer)
+ * because two servers share it: Apollo for HTTP, graphql-ws for WebSockets.
+ */
+export const schema = makeExecutableSchema({ typeDefs, resolvers })
+
+/**
+ * subgraphSchema — the same API as an Apollo Federation 2 subgraph.
+ * buildSubgraphSchema() (from @apollo/subgraph) reads the @link and
+ * @key directives in schema.js and adds what a router needs on top:
+ *
+ *   _service { sdl }                 — this subgraph's schema, for composing the supergraph
+ *   _entities(representations: ...)  — Game / Review / Author from their keys, through
+ *                                      each type's __resolveReference (see resolvers.js)
+ */
+export const subgraphSchema = buildSubgraphSchema([{ typeDefs: parse(subgraphLink + typeDefs), resolvers }])
+
+const SCHEMAS = { standalone: schema, subgraph: subgraphSchema }
+
+/**
+ * schemaModeFromEnv(env)
+ * SCHEMA_MODE=standalone (default) serves the API on its own;
+ * SCHEMA_MODE=subgraph serves it as a subgraph, for a Federation router
+ * to put in front.
+ */
+export function schemaModeFromEnv(env = process.env) {
+    const mode = env.SCHEMA_MODE ?? 'standalone'
+    if (!(mode in SCHEMAS)) {
+        throw new Error(`Unknown SCHEMA_MODE "${mode}" — expected "standalone" or "subgraph"`)
+    }
+    return mode
+}
+
+// "Query.games", "Game.reviews", ... — every field resolvers.js has a
+// resolver for. The observability plugin traces just these.
+const resolvedFields = new Set(Object.entries(resolvers)
+    .flatMap(([type, fields]) => Object.keys(fields).map((field) => `${type}.${field}`)))
+
+/**
+ * createGraphQLServer(options)
+ *
+ *   db      — the data source. Defaults to a new MemoryStore, which is a
+ *             fresh copy of the _db.js seed data.
+ *   limits  — query depth / cost limits (default: from the environment)
+ *   rateLimits     — operations per client per window, for queries and
+ *                    mutations (default: from the environment)
+ *   rateLimitStore — where the rate limit buckets are kept (default: a
+ *                    new MemoryBucketStore)
+ *   persistedQueries — { apq, ttl, manifest }: automatic persisted queries
+ *                    on or off, and the operation allowlist for strict
+ *                    mode (default: APQ on, no allowlist). index.js reads
+ *                    it from the environment with persistedQueriesFromEnv()
+ *                    (see plugins/persistedQueries.js).
+ *   responseCache  — where whole responses are cached, a ResponseCache,
+ *                    or null for no caching (default: from the environment)
+ *   observability  — { logger, metrics, exporter }: where operation logs,
+ *                    metrics and trace spans go (default: nowhere). index.js
+ *                    reads it from the environment with observabilityFromEnv()
+ *                    (see plugins/observability.js).
+ *   mode    — 'standalone' or 'subgraph': which schema to serve, schema
+ *             or subgraphSchema above (default: standalone). index.js
+ *             reads it from the environment with schemaModeFromEnv().
+ *   plugins — extra Apollo plugins, added after the built-in ones
+ *
+ * Returns { server, schema, db, pubsub, search, responseCache, createContext }.
+ * The server isn't started — executeOperation() starts it on first use,
+ * and index.js calls server.start() itself.
+ *
+ * PLUGINS hook into each stage of a request's life. Built in:
+ *   observabilityPlugin — logs, times and counts every operation
+ *                       (see plugins/observability.js). First, so its
+ *                       clock covers everything the others do.
+ *   allowlistPlugin   — in strict mode only: rejects operations that
+ *                       aren't in the manifest (see plugins/persistedQueries.js).
+ *                       Ahead of the limits: Apollo starts every plugin's
+ *                       didResolveOperation together, so this doesn't stop
+ *                       them from running, but an operation that isn't
+ *                       allowed is refused with this error rather than theirs.
+ *   rateLimitPlugin   — rejects clients that send too many operations
+ *                       (see plugins/rateLimit.js)
+ *   queryLimitsPlugin — rejects operations over the depth / cost limits
+ *                       (see plugins/queryLimits.js)
+ *   responseCachePlugin — answers repeated queries from the response
+ *                       cache (see plugins/responseCache.js). Last, so a
+ *                       cached answer still counts against the limits.
+ *   privateForUsersPlugin — marks responses to logged-in users as
+ *                       private, so no shared cache keeps them
+ *   ApolloServerPluginInlineTrace — in subgraph mode only: sends the
+ *                       router per-field timings with each response, for
+ *                       its usage reports. (Apollo would add it by itself
+ *                       for a subgraph, with a log line to say so.)
+ *
+ * Apollo adds its own cache control plugin too, which reads the
+ * @cacheControl hints in schema.js and sets the Cache-Control header.
+ *
+ * Strict mode also switches off introspection and the Sandbox landing
+ * page, and keeps schema hints ("Did you mean ...?") out of errors.
+ */
+export async function createGraphQLServer({
+    db = new MemoryStore(),
+    limits = limitsFromEnv(),
+    rateLimits = rateLimitsFromEnv(),
+    rateLimitStore = new MemoryBucketStore(),
+    persistedQueries = { apq: true, manifest: null },
+    responseCache = responseCacheFromEnv(),
+    observability = {},
+    mode = 'standalone',
+    plugins = []
+} = {}) {
+    const schema = SCHEMAS[mode]
+    const pubsub = createPubSub()
+    const search = await SearchIndex.build(db)
+    const { apq, ttl, manifest } = persistedQueries
+    const strict = manifest != null
+
+    const server = new ApolloServer({
+        schema,
+        persistedQueries: apq ? { ttl } : false,
+        introspection: strict ? false : undefined,   // undefined: Apollo's default, on outside production
+        hideSchemaDetailsFromClientErrors: strict,
+        plugins: [
+            observabilityPlugin({ ...observability, tracedFields: resolvedFields }),
+            ...(strict ? [allowlistPlugin(manifest), ApolloServerPluginLandingPageDisabled()] : []),
+            rateLimitPlugin({ limits: rateLimits, store: rateLimitStore }),
+            queryLimitsPlugin(limits),
+            ...(responseCache ? [responseCachePlugin(responseCache)] : []),
+            privateForUsersPlugin(),
+            ...(mode === 'subgraph' ? [ApolloServerPluginInlineTrace()] : []),
+            ...plugins
+        ]
+    })
+
+    /**
+     * createContext({ user, ip, cache })
+     * Builds the context for one request (or one subscription). The
+     * services are shared; the loaders are new every time, so their cache
+     * never outlives the request that filled it. cache: false is for
+     * subscriptions (see loaders.js). ip is where the request came from —
+     * what anonymous clients are rate-limited by.
+     */
+    function createContext({ user = null, ip = null, cache = true } = {}) {
+        return {
+            db,
+            pubsub,
+            search,
+            responseCache,
+            loaders: createLoaders(db, { cache }),
+            user,
+            ip
+        }
+    }
+
+    return { server, schema, db, pubsub, search, responseCache, createContext }
+}
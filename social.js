@@ -0,0 +1,94 @@
+/**
+ * social.js — Follows and the Review Feed
+ *
+ * FOLLOWS
+ * Authors can follow each other (Mutation.followAuthor / unfollowAuthor).
+ * The logged-in user follows as their own Author profile — the one with
+ * the same id (see User.author) — so only authors can follow. Each follow
+ * is one EDGE in the "follows" collection:
+ *
+ *   { id: "1", follower_id: "201", followee_id: "203" }   ← Alice follows Charlie
+ *
+ * Following someone twice still makes one edge, and unfollowing removes
+ * it for good — unlike games, reviews and authors, an edge isn't
+ * soft-deleted. Like every other change, though, making or removing one
+ * is recorded in the audit log (entity type "Follow"; an unfollow's
+ * "after" is null). Following twice or unfollowing someone you don't
+ * follow changes nothing, so it isn't recorded. The edges of a deleted
+ * author stay stored but don't show anywhere; restoring the author brings
+ * them back.
+ *
+ * THE FEED
+ * feed() is a user's home page: the published reviews of every live
+ * author they follow, newest first. Verified authors' reviews get a
+ * head start — they're ranked as if they had been posted VERIFIED_BOOST
+ * later than they were — so a verified review from this morning still
+ * beats an unverified one from an hour ago, but not one from tomorrow.
+ * Reviews that rank the same go newest id first.
+ */
+
+import { live, recordAudit } from './audit.js'
+import { published } from './moderation.js'
+import { invalidInput } from './validation.js'
+
+/**
+ * How much newer a verified author's review counts as, in milliseconds.
+ */
+export const VERIFIED_BOOST = 6 * 60 * 60 * 1000
+
+/**
+ * follow(context, followerId, followeeId)
+ * Makes followerId follow followeeId, and returns the edge — the
+ * existing one, if they already did. A new edge is audited.
+ */
+export async function follow(context, followerId, followeeId) {
+    if (followerId === followeeId) throw invalidInput({ id: 'You cannot follow yourself' })
+
+    const { db } = context
+    const edges = await db.findBy('follows', 'follower_id', followerId)
+    const existing = edges.find((edge) => edge.followee_id === followeeId)
+    if (existing) return existing
+
+    const edge = await db.insert('follows', { follower_id: followerId, followee_id: followeeId })
+    await recordAudit(context, 'followAuthor', 'Follow', null, edge)
+    return edge
+}
+
+/**
+ * unfollow(context, followerId, followeeId)
+ * Removes the edge, if there is one, and audits that. Returns whether
+ * there was one.
+ */
+export async function unfollow(context, followerId, followeeId) {
+    const { db } = context
+    const edges = await db.findBy('follows', 'follower_id', followerId)
+    const edge = edges.find((edge) => edge.followee_id === followeeId)
+    if (edge) {
+        await db.remove('follows', edge.id)
+        await recordAudit(context, 'unfollowAuthor', 'Follow', edge, null)
+    }
+    return Boolean(edge)
+}
+
+/**
+ * feed(loaders, authorId)
+ * The reviews on authorId's feed, best first (see THE FEED above).
+ */
+export async function feed(loaders, authorId) {
+    const edges = await loaders.followsByFollower.load(authorId)
+    const authors = live((await loaders.author.loadMany(edges.map((edge) => edge.followee_id))).filter(Boolean))
+    const reviews = await loaders.reviewsByAuthor.loadMany(authors.map((author) => author.id))
+
+    return authors
+        .flatMap((author, index) => published(live(reviews[index])).map((review) => ({ review, rank: feedRank(review, author) })))
+        .sort((a, b) => b.rank - a.rank || b.review.id.localeCompare(a.review.id, undefined, { numeric: true }))
+        .map(({ review }) => review)
+}
+
+/**
+ * feedRank(review, author)
+ * Where a review goes in the feed — higher is nearer the top.
+ */
+export function feedRank(review, author) {
+    return Date.parse(review.created_at) + (author.verified ? VERIFIED_BOOST : 0)
+}
@@ -0,0 +1,69 @@
+/**
+ * test/aggregates.test.js — Computed rating fields and topGames
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { plainId, setup as setupServer, users } from './helpers.js'
+
+/**
+ * Every operation in a test runs against the same server, as an admin.
+ */
+async function setup() {
+    const { run } = await setupServer()
+    return (query) => run(query, { user: users.admin })
+}
+
+test('games expose their average, count and rating distribution', async () => {
+    const run = await setup()
+    const { data } = await run('{ game(id: "1") { averageRating reviewCount ratingDistribution { rating count } } }')
+
+    // Reviews 101 (5 stars) and 104 (2 stars)
+    assert.deepEqual(data.game, {
+        averageRating: 3.5,
+        reviewCount: 2,
+        ratingDistribution: [
+            { rating: 1, count: 0 },
+            { rating: 2, count: 1 },
+            { rating: 3, count: 0 },
+            { rating: 4, count: 0 },
+            { rating: 5, count: 1 }
+        ]
+    })
+})
+
+test('authors expose how many reviews they wrote and their average rating', async () => {
+    const run = await setup()
+    const { data } = await run('{ bob: author(id: "202") { reviewCount averageGivenRating } }')
+
+    assert.deepEqual(data.bob, { reviewCount: 2, averageGivenRating: 2.5 })
+})
+
+test('topGames ranks by average rating and honours platform and minReviews', async () => {
+    const run = await setup()
+
+    const all = await run('{ topGames { id } }')
+    assert.deepEqual(all.data.topGames.map((game) => plainId(game.id)), ['3', '1', '2'])
+
+    const pc = await run('{ topGames(platform: PC, limit: 1) { id } }')
+    assert.deepEqual(pc.data.topGames.map((game) => plainId(game.id)), ['3'])
+
+    const popular = await run('{ topGames(minReviews: 2) { id } }')
+    assert.deepEqual(popular.data.topGames.map((game) => plainId(game.id)), ['1'])
+})
+
+test('aggregates follow review mutations', async () => {
+    const run = await setup()
+    await run('mutation { addReview(review: { rating: 5, content: "Grew on me", game_id: "2", author_id: "202" }) { id } }')
+    await run('mutation { deleteReview(id: "104") { id } }')
+
+    const { data } = await run(`{
+        two: game(id: "2") { averageRating reviewCount }
+        one: game(id: "1") { averageRating reviewCount }
+        topGames { id }
+    }`)
+    assert.deepEqual(data.two, { averageRating: 4, reviewCount: 2 })
+    assert.deepEqual(data.one, { averageRating: 5, reviewCount: 1 })
+    assert.deepEqual(data.topGames.map((game) => plainId(game.id)), ['1', '2', '3'])
+})
@@ -0,0 +1,160 @@
+/**
+ * test/audit.test.js — Soft delete, the audit log and restoreGame
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { toGlobalId } from '../ids.js'
+import { errorCode, plainId, setup, users } from './helpers.js'
+
+const { admin, alice, bob } = users
+
+const ids = (connection) => connection.edges.map((edge) => plainId(edge.node.id))
+
+test('deleted records are hidden unless an ADMIN asks for includeDeleted', async () => {
+    const { run } = await setup()
+    await run('mutation { deleteGame(id: "1") { id } }', { user: admin })
+
+    const hidden = await run('{ game(id: "1") { id } games { edges { node { id } } } reviews { totalCount } }')
+    assert.equal(hidden.data.game, null)
+    assert.deepEqual(ids(hidden.data.games), ['2', '3'])
+    assert.equal(hidden.data.reviews.totalCount, 2)
+
+    const shown = await run(`{
+        game(id: "1", includeDeleted: true) { id deletedAt reviews(includeDeleted: true) { edges { node { id deletedAt } } } }
+        games(includeDeleted: true) { edges { node { id } } }
+    }`, { user: admin })
+    assert.ok(shown.data.game.deletedAt)
+    assert.deepEqual(ids(shown.data.game.reviews), ['101', '104'])
+    assert.ok(shown.data.game.reviews.edges.every((edge) => edge.node.deletedAt))
+    assert.deepEqual(ids(shown.data.games), ['1', '2', '3'])
+
+    const forbidden = await run('{ games(includeDeleted: true) { totalCount } }', { user: alice })
+    assert.equal(errorCode(forbidden), 'FORBIDDEN')
+})
+
+test('deleted reviews drop out of aggregates and leave the search index', async () => {
+    const { run } = await setup()
+    await run('mutation { deleteReview(id: "104") { id } }', { user: bob })
+
+    const result = await run(`{
+        game(id: "1") { averageRating reviewCount }
+        author(id: "202") { reviewCount }
+        search(term: "bugs") { score }
+    }`)
+    assert.deepEqual(result.data.game, { averageRating: 5, reviewCount: 1 })
+    assert.equal(result.data.author.reviewCount, 1)
+    assert.deepEqual(result.data.search, [])
+})
+
+test('a deleted record counts as not found for further mutations', async () => {
+    const { run } = await setup()
+    await run('mutation { deleteGame(id: "2") { id } }', { user: admin })
+
+    const again = await run('mutation { deleteGame(id: "2") { id } }', { user: admin })
+    assert.equal(errorCode(again), 'NOT_FOUND')
+
+    const update = await run('mutation { updateGame(id: "2", edits: { title: "X" }) { id } }', { user: admin })
+    assert.equal(errorCode(update), 'NOT_FOUND')
+
+    const review = await run(`mutation {
+        addReview(review: { rating: 3, content: "Hmm", game_id: "2", author_id: "201" }) { id }
+    }`, { user: alice })
+    assert.deepEqual(review.errors[0].extensions.fieldErrors, { game_id: 'Game "2" does not exist' })
+})
+
+test('every change is logged with who, what, and before / after snapshots', async () => {
+    const { run } = await setup()
+    await run('mutation { updateGame(id: "1", edits: { title: "Legend of Code II" }) { id } }', { user: admin })
+    await run('mutation { updateReview(id: "101", edits: { rating: 4 }) { id } }', { user: alice })
+
+    const result = await run(`{ auditLog { totalCount edges { node {
+        id userId operation entityType entityId before after
+    } } } }`, { user: admin })
+    const [review, game] = result.data.auditLog.edges.map((edge) => edge.node)
+
+    assert.equal(result.data.auditLog.totalCount, 2)
+    assert.deepEqual(
+        { id: review.id, userId: review.userId, operation: review.operation, entityType: review.entityType, entityId: review.entityId },
+        { id: '2', userId: '201', operation: 'updateReview', entityType: 'Review', entityId: toGlobalId('Review', '101') }
+    )
+    assert.equal(review.before.rating, 5)
+    assert.equal(review.after.rating, 4)
+    assert.equal(game.before.title, 'Legend of Code')
+    assert.equal(game.after.title, 'Legend of Code II')
+})
+
+test('deleting a game logs the game and every review deleted with it', async () => {
+    const { run } = await setup()
+    await run('mutation { deleteGame(id: "1") { id } }', { user: admin })
+
+    const result = await run(`{
+        auditLog(filter: { operation: "deleteGame" }) { edges { node { entityType entityId } } }
+    }`, { user: admin })
+    assert.deepEqual(result.data.auditLog.edges.map((edge) => edge.node), [
+        { entityType: 'Review', entityId: toGlobalId('Review', '104') },
+        { entityType: 'Review', entityId: toGlobalId('Review', '101') },
+        { entityType: 'Game', entityId: toGlobalId('Game', '1') }
+    ])
+})
+
+test('the audit log and game history are ADMIN-only', async () => {
+    const { run } = await setup()
+    assert.equal(errorCode(await run('{ auditLog { totalCount } }')), 'UNAUTHENTICATED')
+    assert.equal(errorCode(await run('{ gameHistory(id: "1") { id } }', { user: alice })), 'FORBIDDEN')
+})
+
+test('restoreGame brings back a game and only the reviews deleted with it', async () => {
+    const { run } = await setup()
+    await run('mutation { deleteReview(id: "104") { id } }', { user: bob })
+    await run('mutation { deleteGame(id: "1") { id } }', { user: admin })
+
+    const restored = await run('mutation { restoreGame(id: "1") { id deletedAt reviews { edges { node { id } } } } }', { user: admin })
+    assert.equal(restored.errors, undefined)
+    assert.equal(restored.data.restoreGame.deletedAt, null)
+    assert.deepEqual(ids(restored.data.restoreGame.reviews), ['101'])
+
+    const search = await run('{ search(term: "legend") { item { ... on Game { id } } } }')
+    assert.deepEqual(search.data.search, [{ item: { id: toGlobalId('Game', '1') } }])
+
+    const live = await run('mutation { restoreGame(id: "1") { id } }', { user: admin })
+    assert.deepEqual(live.errors[0].extensions.fieldErrors, { id: 'Game "1" is not deleted' })
+})
+
+test('restoreGame leaves deleted the reviews whose author was deleted after the game', async () => {
+    const { run } = await setup()
+    await run('mutation { deleteGame(id: "1") { id } }', { user: admin })
+    await run('mutation { deleteAuthor(id: "201") { id } }', { user: admin })
+
+    // Review 101 is Alice's, 104 Bob's — both went with game 1
+    const restored = await run('mutation { restoreGame(id: "1") { reviews { edges { node { id } } } } }', { user: admin })
+    assert.deepEqual(ids(restored.data.restoreGame.reviews), ['104'])
+
+    const reviews = await run('{ reviews { edges { node { id } } } review(id: "101") { id } }')
+    assert.equal(reviews.errors, undefined)
+    assert.ok(!ids(reviews.data.reviews).includes('101'))
+    assert.equal(reviews.data.review, null)
+})
+
+test('restoreGame(toEntry:) rolls a game back to before that change', async () => {
+    const { run } = await setup()
+    await run('mutation { updateGame(id: "1", edits: { title: "Oops" }) { id } }', { user: admin })
+    await run('mutation { updateGame(id: "1", edits: { platform: [MOBILE] }) { id } }', { user: admin })
+
+    const history = await run('{ gameHistory(id: "1") { id operation } }', { user: admin })
+    assert.deepEqual(history.data.gameHistory, [
+        { id: '2', operation: 'updateGame' },
+        { id: '1', operation: 'updateGame' }
+    ])
+
+    const rolledBack = await run('mutation { restoreGame(id: "1", toEntry: "1") { title platform } }', { user: admin })
+    assert.deepEqual(rolledBack.data.restoreGame, { title: 'Legend of Code', platform: ['PC', 'SWITCH'] })
+
+    const after = await run('{ gameHistory(id: "1") { operation before after } }', { user: admin })
+    assert.equal(after.data.gameHistory[0].operation, 'restoreGame')
+    assert.equal(after.data.gameHistory[0].before.title, 'Oops')
+
+    const wrongGame = await run('mutation { restoreGame(id: "2", toEntry: "1") { id } }', { user: admin })
+    assert.equal(errorCode(wrongGame), 'BAD_USER_INPUT')
+})
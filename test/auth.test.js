@@ -0,0 +1,92 @@
+/**
+ * test/auth.test.js — Bearer tokens and mutation permissions
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { DEFAULT_SECRET, getUser, jwtSecretFromEnv, signToken, verifyToken } from '../auth.js'
+import { errorCode, setup, users } from './helpers.js'
+
+const secret = 'test-secret'
+const { admin, alice, bob } = users
+
+async function run(query, user = null) {
+    const { run } = await setup()
+    return run(query, { user })
+}
+
+test('a signed token verifies and yields its claims', () => {
+    const token = signToken({ sub: '201', roles: ['ADMIN'] }, { secret })
+    assert.deepEqual(getUser({ headers: { authorization: `Bearer ${token}` } }, { secret }), {
+        id: '201',
+        roles: ['ADMIN']
+    })
+})
+
+test('tampered, foreign and expired tokens are rejected', () => {
+    const token = signToken({ sub: '202', roles: [] }, { secret })
+    const [header, , signature] = token.split('.')
+    const forged = `${header}.${Buffer.from(JSON.stringify({ sub: '202', roles: ['ADMIN'] })).toString('base64url')}.${signature}`
+
+    for (const bad of [forged, signToken({ sub: '202' }, { secret: 'other' }), signToken({ sub: '202' }, { secret, expiresIn: -1 })]) {
+        assert.throws(() => verifyToken(bad, { secret }), (error) => error.extensions.code === 'UNAUTHENTICATED')
+    }
+})
+
+test('tokens whose parts are valid JSON but not objects are rejected, not a crash', () => {
+    const part = (value) => Buffer.from(JSON.stringify(value)).toString('base64url')
+    const header = part({ alg: 'HS256', typ: 'JWT' })
+    const signed = (payload) => `${header}.${payload}.${signToken({}, { secret }).split('.')[2]}`
+
+    for (const bad of [`${part(null)}.${part({})}.sig`, `${header}.${part(null)}.sig`, signed(part([]))]) {
+        assert.throws(() => verifyToken(bad, { secret }), (error) => error.extensions.code === 'UNAUTHENTICATED')
+    }
+    const stringExpiry = signToken({ sub: '202', exp: 'never' }, { secret })
+    assert.throws(() => verifyToken(stringExpiry, { secret }), /Malformed token/)
+})
+
+test('the development secret is only used in development', () => {
+    assert.equal(jwtSecretFromEnv({ JWT_SECRET: 's3cret', NODE_ENV: 'production' }), 's3cret')
+    assert.equal(jwtSecretFromEnv({}), DEFAULT_SECRET)
+    assert.equal(jwtSecretFromEnv({ NODE_ENV: 'test' }), DEFAULT_SECRET)
+    assert.throws(() => jwtSecretFromEnv({ NODE_ENV: 'production' }), /JWT_SECRET must be set/)
+    assert.throws(() => jwtSecretFromEnv({ NODE_ENV: 'staging' }), /JWT_SECRET must be set/)
+})
+
+test('requests without an Authorization header are anonymous', () => {
+    assert.equal(getUser({ headers: {} }), null)
+})
+
+test('me returns the current user and their author profile', async () => {
+    const result = await run('{ me { id roles author { name } } }', alice)
+    assert.deepEqual(result.data.me, { id: '201', roles: [], author: { name: 'Alice Devlin' } })
+
+    const anonymous = await run('{ me { id } }')
+    assert.equal(anonymous.data.me, null)
+})
+
+test('game mutations require a logged-in ADMIN', async () => {
+    const mutation = 'mutation { updateGame(id: "1", edits: { title: "Renamed" }) { title } }'
+
+    assert.equal(errorCode(await run(mutation)), 'UNAUTHENTICATED')
+    assert.equal(errorCode(await run(mutation, alice)), 'FORBIDDEN')
+    assert.equal((await run(mutation, admin)).data.updateGame.title, 'Renamed')
+})
+
+test('only the owning author can edit a review', async () => {
+    const mutation = 'mutation { updateReview(id: "101", edits: { rating: 1 }) { rating } }'
+
+    assert.equal(errorCode(await run(mutation, bob)), 'FORBIDDEN')
+    assert.equal(errorCode(await run(mutation, admin)), 'FORBIDDEN')
+    assert.equal((await run(mutation, alice)).data.updateReview.rating, 1)
+})
+
+test('reviews can only be posted as yourself', async () => {
+    const mutation = `mutation {
+        addReview(review: { rating: 4, content: "Nice", game_id: "2", author_id: "201" }) { author { name } }
+    }`
+
+    assert.equal(errorCode(await run(mutation, bob)), 'FORBIDDEN')
+    assert.equal((await run(mutation, alice)).data.addReview.author.name, 'Alice Devlin')
+})
@@ -0,0 +1,170 @@
+/**
+ * test/catalog.test.js — Bulk import / export, CSV and transactions
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { formatCsv, parseCsv } from '../csv.js'
+import { MemoryStore } from '../datasources/memory.js'
+import { errorCode, plainId, setup, users } from './helpers.js'
+
+const { admin, alice } = users
+
+const IMPORT = `mutation Import($data: String!, $format: CatalogFormat, $collection: CatalogCollection, $dryRun: Boolean) {
+    importCatalog(data: $data, format: $format, collection: $collection, dryRun: $dryRun) {
+        dryRun applied created updated unchanged
+        changes { collection row id action }
+        errors { collection row field message }
+    }
+}`
+
+test('CSV handles quotes, commas and line breaks in values', () => {
+    const text = 'id,content\n1,"Fun, but ""buggy""\nstill good"\r\n\n2,Plain\n'
+    assert.deepEqual(parseCsv(text), [
+        { id: '1', content: 'Fun, but "buggy"\nstill good' },
+        { id: '2', content: 'Plain' }
+    ])
+    assert.equal(formatCsv(['id', 'content'], parseCsv(text)), text.replace('\r\n\n', '\n'))
+    assert.throws(() => parseCsv('id\n"never closed'), /quoted value/)
+})
+
+test('exportCatalog writes every live record as JSON or CSV', async () => {
+    const { run } = await setup()
+
+    const json = await run('{ exportCatalog }', { user: admin })
+    const catalog = JSON.parse(json.data.exportCatalog)
+    assert.deepEqual(Object.keys(catalog), ['games', 'authors', 'reviews'])
+    assert.deepEqual(catalog.games[0], { id: '1', title: 'Legend of Code', platform: ['PC', 'Switch'] })
+    assert.equal(catalog.reviews.length, 4)
+
+    const csv = await run('{ exportCatalog(format: CSV, collection: GAMES) }', { user: admin })
+    assert.equal(csv.data.exportCatalog, 'id,title,platform\n1,Legend of Code,PC;Switch\n2,Bug Hunter 3000,Xbox;PlayStation\n3,Terminal Quest,PC\n')
+
+    const noCollection = await run('{ exportCatalog(format: CSV) }', { user: admin })
+    assert.equal(errorCode(noCollection), 'BAD_USER_INPUT')
+})
+
+test('an import creates, updates and skips rows, and can be exported again', async () => {
+    const { run } = await setup()
+    const data = 'id,title,platform\n1,Legend of Code,PC;Switch\n2,Bug Hunter 4000,xbox\n10,Pixel Farm,MOBILE;Switch\n'
+
+    const result = await run(IMPORT, { user: admin, variables: { data, format: 'CSV', collection: 'GAMES' } })
+    const report = result.data.importCatalog
+    assert.deepEqual(
+        { applied: report.applied, created: report.created, updated: report.updated, unchanged: report.unchanged },
+        { applied: true, created: 1, updated: 1, unchanged: 1 }
+    )
+    assert.deepEqual(report.changes.map((change) => change.action), ['UNCHANGED', 'UPDATE', 'CREATE'])
+
+    const games = await run('{ game(id: "2") { title platform version } search(term: "pixel") { item { ... on Game { id } } } }')
+    assert.deepEqual(games.data.game, { title: 'Bug Hunter 4000', platform: ['XBOX'], version: 2 })
+    assert.deepEqual(games.data.search.map((hit) => plainId(hit.item.id)), ['10'])
+
+    const log = await run('{ auditLog(filter: { operation: "importCatalog" }) { totalCount } }', { user: admin })
+    assert.equal(log.data.auditLog.totalCount, 2)
+})
+
+test('an export imports back unchanged, author profiles included', async () => {
+    const { run } = await setup()
+    const data = 'id,name,verified,bio,avatar_url\n210,Dana Debug,false,Plays roguelikes.,https://example.com/dana.png\n'
+    await run(IMPORT, { user: admin, variables: { data, format: 'CSV', collection: 'AUTHORS' } })
+
+    const exported = (await run('{ exportCatalog }', { user: admin })).data.exportCatalog
+    assert.deepEqual(JSON.parse(exported).authors.at(-1), {
+        id: '210', name: 'Dana Debug', verified: false, bio: 'Plays roguelikes.', avatar_url: 'https://example.com/dana.png'
+    })
+
+    const result = await run(IMPORT, { user: admin, variables: { data: exported } })
+    const { created, updated, unchanged, errors } = result.data.importCatalog
+    assert.deepEqual({ created, updated, unchanged, errors }, { created: 0, updated: 0, unchanged: 11, errors: [] })
+
+    const csv = (await run('{ exportCatalog(format: CSV, collection: AUTHORS) }', { user: admin })).data.exportCatalog
+    const again = await run(IMPORT, { user: admin, variables: { data: csv, format: 'CSV', collection: 'AUTHORS' } })
+    assert.equal(again.data.importCatalog.unchanged, 4)
+
+    const author = await run('{ author(id: "210") { bio avatarUrl } }')
+    assert.deepEqual(author.data.author, { bio: 'Plays roguelikes.', avatarUrl: 'https://example.com/dana.png' })
+})
+
+test('reviews may point at games and authors created by the same import', async () => {
+    const { run } = await setup()
+    const data = JSON.stringify({
+        games: [{ id: '10', title: 'Pixel Farm', platform: ['MOBILE'] }],
+        authors: [{ id: '210', name: 'Dana Debug' }],
+        reviews: [{ id: '110', rating: 4, content: 'Relaxing', game_id: '10', author_id: '210' }]
+    })
+
+    const result = await run(IMPORT, { user: admin, variables: { data } })
+    assert.deepEqual(result.data.importCatalog.errors, [])
+    assert.equal(result.data.importCatalog.created, 3)
+
+    const review = await run('{ review(id: "110") { game { title } author { name verified } } }')
+    assert.deepEqual(review.data.review, { game: { title: 'Pixel Farm' }, author: { name: 'Dana Debug', verified: false } })
+})
+
+test('one bad row fails the whole import, with every problem reported', async () => {
+    const { run } = await setup()
+    const data = JSON.stringify({
+        games: [
+            { id: '10', title: 'Pixel Farm', platform: ['MOBILE'] },
+            { id: '10', title: '  ', platform: 'Toaster' }
+        ],
+        reviews: [{ rating: 9, content: 'Hmm', game_id: '99', author_id: '201', stars: 5 }]
+    })
+
+    const result = await run(IMPORT, { user: admin, variables: { data } })
+    const report = result.data.importCatalog
+    assert.equal(report.applied, false)
+    assert.deepEqual(report.errors, [
+        { collection: 'GAMES', row: 2, field: 'platform', message: '"Toaster" is not a platform' },
+        { collection: 'GAMES', row: 2, field: 'title', message: 'must not be blank' },
+        { collection: 'GAMES', row: 2, field: 'id', message: 'appears more than once in this import' },
+        { collection: 'REVIEWS', row: 1, field: 'stars', message: 'is not a known field' },
+        { collection: 'REVIEWS', row: 1, field: 'rating', message: 'must be a whole number from 1 to 5' },
+        { collection: 'REVIEWS', row: 1, field: 'game_id', message: 'Game "99" does not exist' }
+    ])
+
+    const games = await run('{ games { totalCount } }')
+    assert.equal(games.data.games.totalCount, 3)
+})
+
+test('a dry run reports what would change without writing anything', async () => {
+    const { run } = await setup()
+    const data = JSON.stringify([{ title: 'Pixel Farm', platform: ['MOBILE'] }])
+
+    const result = await run(IMPORT, { user: admin, variables: { data, collection: 'GAMES', dryRun: true } })
+    const report = result.data.importCatalog
+    assert.deepEqual(
+        { dryRun: report.dryRun, applied: report.applied, created: report.created },
+        { dryRun: true, applied: false, created: 1 }
+    )
+    assert.deepEqual(report.changes, [{ collection: 'GAMES', row: 1, id: null, action: 'CREATE' }])
+
+    const games = await run('{ games { totalCount } }')
+    assert.equal(games.data.games.totalCount, 3)
+})
+
+test('import and export are ADMIN-only, and unreadable data is BAD_USER_INPUT', async () => {
+    const { run } = await setup()
+
+    assert.equal(errorCode(await run('{ exportCatalog }', { user: alice })), 'FORBIDDEN')
+    assert.equal(errorCode(await run(IMPORT, { user: alice, variables: { data: '{}' } })), 'FORBIDDEN')
+
+    const broken = await run(IMPORT, { user: admin, variables: { data: 'not json' } })
+    assert.equal(errorCode(broken), 'BAD_USER_INPUT')
+    assert.match(broken.errors[0].extensions.fieldErrors.data, /not valid JSON/)
+})
+
+test('a failed transaction undoes every write it made', async () => {
+    const db = new MemoryStore()
+
+    await assert.rejects(db.transaction(async () => {
+        await db.insert('games', { id: '10', title: 'Pixel Farm', platform: ['Mobile'] })
+        await db.update('games', '1', { title: 'Changed' })
+        throw new Error('disk full')
+    }), /disk full/)
+
+    assert.equal(await db.get('games', '10'), null)
+    assert.equal((await db.get('games', '1')).title, 'Legend of Code')
+})
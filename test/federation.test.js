@@ -0,0 +1,62 @@
+/**
+ * test/federation.test.js — Serving the schema as a Federation 2 subgraph
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { toGlobalId } from '../ids.js'
+import { errorCode, setup, users } from './helpers.js'
+
+const { admin, bob, moderator } = users
+
+const ENTITIES = `query Entities($representations: [_Any!]!) {
+    _entities(representations: $representations) {
+        __typename
+        ... on Game { id title platform createdAt }
+        ... on Author { name }
+        ... on Review { rating }
+    }
+}`
+
+const reference = (type, id) => ({ __typename: type, id: toGlobalId(type, id) })
+
+test('subgraph mode publishes its SDL with the entity keys; standalone mode has no federation fields', async () => {
+    const { run } = await setup({ mode: 'subgraph' })
+
+    const { data } = await run('{ _service { sdl } }')
+    assert.match(data._service.sdl, /@link\(url: "https:\/\/specs\.apollo\.dev\/federation\/v2\.7"/)
+    for (const type of ['Game', 'Review', 'Author']) {
+        assert.match(data._service.sdl, new RegExp(`type ${type} implements Node @key\\(fields: "id"\\)`))
+    }
+
+    const standalone = await setup()
+    assert.equal(errorCode(await standalone.run('{ _service { sdl } }')), 'GRAPHQL_VALIDATION_FAILED')
+})
+
+test('_entities resolves representations through the same lookups as the single-record queries', async () => {
+    const { run } = await setup({ mode: 'subgraph' })
+
+    const { data } = await run(ENTITIES, {
+        variables: { representations: [reference('Game', '1'), reference('Author', '202'), reference('Review', '103'), reference('Game', '999')] }
+    })
+    assert.deepEqual(data._entities, [
+        { __typename: 'Game', id: toGlobalId('Game', '1'), title: 'Legend of Code', platform: ['PC', 'SWITCH'], createdAt: data._entities[0].createdAt },
+        { __typename: 'Author', name: 'Bob Coder' },
+        { __typename: 'Review', rating: 4 },
+        null
+    ])
+    assert.ok(!Number.isNaN(Date.parse(data._entities[0].createdAt)))
+})
+
+test('deleted records and unpublished reviews resolve to null, as they do for Query.game and Query.review', async () => {
+    const { run } = await setup({ mode: 'subgraph' })
+
+    await run(`mutation { deleteGame(id: "${toGlobalId('Game', '3')}") { id } }`, { user: admin })
+    const added = await run('mutation { addReview(review: { rating: 2, content: "Meh", game_id: "2", author_id: "202" }) { id } }', { user: bob })
+    const pending = { __typename: 'Review', id: added.data.addReview.id }
+    const variables = { representations: [reference('Game', '3'), pending] }
+
+    assert.deepEqual((await run(ENTITIES, { variables })).data._entities, [null, null])
+    assert.deepEqual((await run(ENTITIES, { variables, user: moderator })).data._entities, [null, { __typename: 'Review', rating: 2 }])
+})
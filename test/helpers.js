@@ -0,0 +1,68 @@
+/**
+ * test/helpers.js — Shared test setup
+ *
+ * setup() builds a brand-new GraphQL server around a fresh copy of the
+ * _db.js seed data, so every test starts from the same known state and
+ * nothing one test changes can leak into another.
+ */
+
+import { fromGlobalId } from '../ids.js'
+import { createGraphQLServer } from '../server.js'
+
+// Users to run operations as. Their ids match the seed data in _db.js.
+export const users = {
+    admin: { id: 'admin', roles: ['ADMIN'] },
+    moderator: { id: 'mod', roles: ['MODERATOR'] },
+    alice: { id: '201', roles: [] },     // Alice Devlin — wrote review 101
+    bob: { id: '202', roles: [] },       // Bob Coder — wrote reviews 102 and 104
+    charlie: { id: '203', roles: [] }    // Charlie Script — wrote review 103
+}
+
+/**
+ * setup(options)
+ * Takes the same options as createGraphQLServer() ({ db, limits, plugins })
+ * and returns everything it returns, plus:
+ *
+ *   run(query, { user, variables }) — executes one operation and returns
+ *     its { data, errors } as plain objects (GraphQL builds results with
+ *     null prototypes; a JSON round trip lets deepEqual compare them).
+ *
+ *   execute(query, { user, variables, extensions }) — the same, but
+ *     returns Apollo's raw response, for tests that need the HTTP status
+ *     or headers. extensions is sent as the request's extensions (e.g. a
+ *     persisted query hash); query may be undefined then.
+ */
+export async function setup(options) {
+    const graphql = await createGraphQLServer(options)
+
+    function execute(query, { user = null, variables, extensions } = {}) {
+        return graphql.server.executeOperation(
+            { query, variables, extensions },
+            { contextValue: graphql.createContext({ user }) }
+        )
+    }
+
+    async function run(query, options) {
+        const response = await execute(query, options)
+        return JSON.parse(JSON.stringify(response.body.singleResult))
+    }
+
+    return { ...graphql, execute, run }
+}
+
+/**
+ * errorCode(result)
+ * The extensions.code of the first error in a result.
+ */
+export function errorCode(result) {
+    return result.errors?.[0].extensions.code
+}
+
+/**
+ * plainId(globalId)
+ * The record id inside a global id (see ids.js), so expectations can use
+ * the ids from _db.js: plainId("R2FtZTox") → "1".
+ */
+export function plainId(globalId) {
+    return fromGlobalId(globalId).id
+}
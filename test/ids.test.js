@@ -0,0 +1,115 @@
+/**
+ * test/ids.test.js — Id sequences and global Node ids
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+
+import { FileStore } from '../datasources/file.js'
+import { MemoryStore } from '../datasources/memory.js'
+import { fromGlobalId, localId, toGlobalId } from '../ids.js'
+import { errorCode, plainId, setup, users } from './helpers.js'
+
+const { admin, alice } = users
+
+test('global ids round-trip, and anything else is left as a plain id', () => {
+    assert.equal(toGlobalId('Game', '1'), 'R2FtZTox')
+    assert.deepEqual(fromGlobalId('R2FtZTox'), { type: 'Game', id: '1' })
+
+    assert.equal(fromGlobalId('1'), null)
+    assert.equal(fromGlobalId(toGlobalId('User', '201')), null)
+    assert.equal(localId('Game', '1'), '1')
+    assert.equal(localId('Game', toGlobalId('Review', '101')), null)
+})
+
+test('the store hands out ids from a sequence and never reuses one', async () => {
+    const db = new MemoryStore()
+
+    const [first, second] = await Promise.all([
+        db.insert('games', { title: 'Pixel Farm', platform: ['Mobile'] }),
+        db.insert('games', { title: 'Star Miner', platform: ['PC'] })
+    ])
+    assert.deepEqual([first.id, second.id], ['4', '5'])
+
+    await db.insert('games', { id: '10', title: 'Imported', platform: ['PC'] })
+    await db.remove('games', '10')
+    assert.equal((await db.insert('games', { title: 'Next', platform: ['PC'] })).id, '11')
+
+    await assert.rejects(db.insert('games', { id: '1', title: 'Copy', platform: ['PC'] }), /already exists/)
+})
+
+test('the file store keeps its sequences across restarts', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'ids-test-'))
+    const filePath = path.join(dir, 'data.json')
+    try {
+        const before = await FileStore.open(filePath)
+        const { id } = await before.insert('authors', { name: 'Dana Debug', verified: false })
+        await before.remove('authors', id)
+
+        const after = await FileStore.open(filePath)
+        assert.equal((await after.insert('authors', { name: 'Eve Ops', verified: false })).id, String(Number(id) + 1))
+    } finally {
+        await rm(dir, { recursive: true, force: true })
+    }
+})
+
+test('node and nodes refetch any object from its global id', async () => {
+    const { run } = await setup()
+    const added = await run('mutation { addGame(game: { title: "Pixel Farm", platform: [MOBILE] }) { id } }', { user: admin })
+    const gameId = added.data.addGame.id
+    assert.equal(plainId(gameId), '4')
+
+    const result = await run(`query Refetch($id: ID!, $ids: [ID!]!) {
+        node(id: $id) { id ... on Game { title } }
+        nodes(ids: $ids) { __typename id }
+    }`, {
+        variables: {
+            id: gameId,
+            ids: [toGlobalId('Review', '101'), toGlobalId('Author', '202'), '1', toGlobalId('Game', '999')]
+        }
+    })
+    assert.equal(result.errors, undefined)
+    assert.deepEqual(result.data.node, { id: gameId, title: 'Pixel Farm' })
+    assert.deepEqual(result.data.nodes, [
+        { __typename: 'Review', id: toGlobalId('Review', '101') },
+        { __typename: 'Author', id: toGlobalId('Author', '202') },
+        null,
+        null
+    ])
+
+    await run(`mutation { deleteGame(id: "${gameId}") { id } }`, { user: admin })
+    const deleted = await run(`{ node(id: "${gameId}") { id } }`)
+    assert.deepEqual(deleted.data, { node: null })
+})
+
+test('id arguments take global or plain ids, but not the id of another type', async () => {
+    const { run } = await setup()
+    const gameId = toGlobalId('Game', '2')
+    const reviewId = toGlobalId('Review', '101')
+
+    const result = await run(`{
+        global: game(id: "${gameId}") { title }
+        plain: game(id: "2") { title }
+        wrongType: game(id: "${reviewId}") { title }
+        history: gameHistory(id: "${reviewId}") { id }
+    }`, { user: admin })
+    assert.deepEqual(result.data, {
+        global: { title: 'Bug Hunter 3000' },
+        plain: { title: 'Bug Hunter 3000' },
+        wrongType: null,
+        history: []
+    })
+
+    const review = await run(`mutation {
+        addReview(review: { rating: 4, content: "Great fun", game_id: "${gameId}", author_id: "${toGlobalId('Author', '201')}" }) {
+            game { id }
+        }
+    }`, { user: alice })
+    assert.deepEqual(review.data.addReview, { game: { id: gameId } })
+
+    const wrongType = await run(`mutation { updateGame(id: "${reviewId}", edits: { title: "X" }) { id } }`, { user: admin })
+    assert.equal(errorCode(wrongType), 'NOT_FOUND')
+})
@@ -0,0 +1,93 @@
+/**
+ * test/loaders.test.js — Batching of nested relationship resolvers
+ *
+ * Runs a deeply nested query and counts how many times each data-source
+ * method is called. With the loaders in place, every level of nesting
+ * should cost ONE batch call, no matter how many parents it has.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { MemoryStore } from '../datasources/memory.js'
+import { setup } from './helpers.js'
+
+/**
+ * A MemoryStore that records every call made to it, as "method collection".
+ */
+class CountingStore extends MemoryStore {
+    calls = []
+
+    async list(collection) {
+        this.calls.push(`list ${collection}`)
+        return super.list(collection)
+    }
+
+    async get(collection, id) {
+        this.calls.push(`get ${collection}`)
+        return super.get(collection, id)
+    }
+
+    async getMany(collection, ids) {
+        this.calls.push(`getMany ${collection}`)
+        return super.getMany(collection, ids)
+    }
+
+    async findBy(collection, field, value) {
+        this.calls.push(`findBy ${collection}.${field}`)
+        return super.findBy(collection, field, value)
+    }
+
+    async findByMany(collection, field, values) {
+        this.calls.push(`findByMany ${collection}.${field}`)
+        return super.findByMany(collection, field, values)
+    }
+}
+
+async function run(query) {
+    const db = new CountingStore()
+    const { run } = await setup({ db })
+    db.calls = []   // forget the reads made while building the search index
+
+    const result = await run(query)
+    assert.equal(result.errors, undefined)
+    return { data: result.data, calls: db.calls }
+}
+
+test('a deeply nested query makes one data-source call per entity type and level', async () => {
+    const { data, calls } = await run(`{
+        reviews {
+            edges { node {
+                game {
+                    reviews {
+                        edges { node {
+                            author { name }
+                        } }
+                    }
+                }
+            } }
+        }
+    }`)
+
+    assert.equal(data.reviews.edges.length, 4)
+    assert.deepEqual(
+        data.reviews.edges[0].node.game.reviews.edges.map((edge) => edge.node.author.name),
+        ['Alice Devlin', 'Bob Coder']
+    )
+    assert.deepEqual(calls, [
+        'list reviews',                 // Query.reviews
+        'getMany games',                // Review.game, for all 4 reviews at once
+        'findByMany reviews.game_id',   // Game.reviews, for every game at once
+        'getMany authors'               // Review.author, for every nested review at once
+    ])
+})
+
+test('the same record requested twice in one request is fetched once', async () => {
+    const { calls } = await run(`{
+        a: game(id: "1") { title }
+        b: game(id: "1") { title }
+        c: game(id: "2") { title }
+    }`)
+
+    assert.deepEqual(calls, ['getMany games'])
+})
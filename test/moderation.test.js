@@ -0,0 +1,119 @@
+/**
+ * test/moderation.test.js — Review statuses, reports and the moderation queue
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { errorCode, plainId, setup, users } from './helpers.js'
+
+const { admin, alice, bob, charlie, moderator } = users
+
+const BOB_REVIEW = 'mutation { addReview(review: { rating: 1, content: "Pending opinion", game_id: "2", author_id: "202" }) { id status } }'
+
+test('reviews by unverified authors wait as PENDING, hidden from everyone but moderators', async () => {
+    const { run } = await setup()
+
+    const added = await run(BOB_REVIEW, { user: bob })
+    assert.equal(added.data.addReview.status, 'PENDING')
+    const id = plainId(added.data.addReview.id)
+
+    const query = `{
+        review(id: "${id}") { id }
+        game(id: "2") { reviewCount averageRating reviews { totalCount } }
+        search(term: "pending") { snippet }
+    }`
+    for (const user of [null, alice, bob]) {
+        const { data } = await run(query, { user })
+        assert.equal(data.review, null)
+        assert.deepEqual(data.game, { reviewCount: 1, averageRating: 3, reviews: { totalCount: 1 } })
+        assert.deepEqual(data.search, [])
+    }
+
+    // Moderators see it, but the ratings still only count published reviews
+    const { data } = await run(`{
+        review(id: "${id}") { status }
+        game(id: "2") { reviewCount reviews(filter: { status: PENDING }) { totalCount } }
+    }`, { user: moderator })
+    assert.equal(data.review.status, 'PENDING')
+    assert.deepEqual(data.game, { reviewCount: 1, reviews: { totalCount: 1 } })
+
+    const verified = await run('mutation { addReview(review: { rating: 5, content: "Great", game_id: "2", author_id: "201" }) { status } }', { user: alice })
+    assert.equal(verified.data.addReview.status, 'PUBLISHED')
+})
+
+test('approveReview publishes a review and rejectReview takes it down — moderators only', async () => {
+    const { run } = await setup()
+    const id = plainId((await run(BOB_REVIEW, { user: bob })).data.addReview.id)
+
+    const refused = await run(`mutation { approveReview(id: "${id}") { id } }`, { user: alice })
+    assert.equal(errorCode(refused), 'FORBIDDEN')
+
+    const approved = await run(`mutation { approveReview(id: "${id}") { status } }`, { user: moderator })
+    assert.equal(approved.data.approveReview.status, 'PUBLISHED')
+    const after = await run(`{ game(id: "2") { reviewCount } search(term: "pending") { snippet } }`)
+    assert.equal(after.data.game.reviewCount, 2)
+    assert.equal(after.data.search.length, 1)
+
+    await run(`mutation { rejectReview(id: "${id}") { status } }`, { user: admin })
+    const rejected = await run(`{ review(id: "${id}") { id } game(id: "2") { reviewCount } search(term: "pending") { snippet } }`)
+    assert.deepEqual(rejected.data, { review: null, game: { reviewCount: 1 }, search: [] })
+
+    const audit = await run(`{ auditLog(filter: { entityType: "Review", entityId: "${id}" }) { edges { node { operation userId } } } }`, { user: admin })
+    assert.deepEqual(audit.data.auditLog.edges.map(({ node }) => node), [
+        { operation: 'rejectReview', userId: 'admin' },
+        { operation: 'approveReview', userId: 'mod' },
+        { operation: 'addReview', userId: '202' }
+    ])
+})
+
+test('reported reviews join the moderation queue until a moderator resolves them', async () => {
+    const { run } = await setup()
+    const queue = '{ moderationQueue { edges { node { id status reports { reason reportedBy outcome } } } } }'
+
+    const report = await run('mutation { reportReview(id: "103", reason: "Spoilers") { reason reportedBy outcome } }', { user: alice })
+    assert.deepEqual(report.data.reportReview, { reason: 'Spoilers', reportedBy: '201', outcome: null })
+
+    const again = await run('mutation { reportReview(id: "103", reason: "Still spoilers") { id } }', { user: alice })
+    assert.equal(errorCode(again), 'BAD_USER_INPUT')
+    const blank = await run('mutation { reportReview(id: "101", reason: " ") { id } }', { user: bob })
+    assert.equal(errorCode(blank), 'BAD_USER_INPUT')
+
+    await run(BOB_REVIEW, { user: bob })
+    const { data } = await run(queue, { user: moderator })
+    assert.deepEqual(data.moderationQueue.edges.map(({ node }) => [plainId(node.id), node.status]), [['103', 'PUBLISHED'], ['105', 'PENDING']])
+    assert.deepEqual(data.moderationQueue.edges[0].node.reports, [{ reason: 'Spoilers', reportedBy: '201', outcome: null }])
+
+    // Approving keeps the review up and closes its reports
+    await run('mutation { approveReview(id: "103") { id } }', { user: moderator })
+    const review = await run('{ review(id: "103") { reports { outcome } } }', { user: moderator })
+    assert.deepEqual(review.data.review.reports, [{ outcome: 'PUBLISHED' }])
+    assert.equal((await run(queue, { user: moderator })).data.moderationQueue.edges.length, 1)
+
+    assert.equal(errorCode(await run(queue, { user: charlie })), 'FORBIDDEN')
+    assert.equal(errorCode(await run('{ review(id: "103") { reports { reason } } }', { user: charlie })), 'FORBIDDEN')
+    assert.equal(errorCode(await run('mutation { reportReview(id: "105", reason: "Rude") { id } }', { user: charlie })), 'NOT_FOUND')
+})
+
+test('reporting a review is recorded in the audit log', async () => {
+    const { run } = await setup()
+    await run('mutation { reportReview(id: "103", reason: "Spoilers") { id } }', { user: alice })
+    await run('mutation { reportReview(id: "103", reason: "Still spoilers") { id } }', { user: alice })   // refused
+
+    const audit = await run('{ auditLog(filter: { operation: "reportReview" }) { edges { node { entityType userId before after } } } }', { user: admin })
+    const entries = audit.data.auditLog.edges.map(({ node }) => node)
+    assert.equal(entries.length, 1)
+    assert.deepEqual([entries[0].entityType, entries[0].userId, entries[0].before], ['Report', '201', null])
+    assert.deepEqual([entries[0].after.review_id, entries[0].after.reason], ['103', 'Spoilers'])
+})
+
+test("an unverified author's edit sends their review back for moderation", async () => {
+    const { run } = await setup()
+
+    const edited = await run('mutation { updateReview(id: "102", edits: { content: "Changed my mind" }) { status } }', { user: bob })
+    assert.equal(edited.data.updateReview.status, 'PENDING')
+    assert.equal((await run('{ review(id: "102") { id } }')).data.review, null)
+
+    const verified = await run('mutation { updateReview(id: "101", edits: { rating: 4 }) { status } }', { user: alice })
+    assert.equal(verified.data.updateReview.status, 'PUBLISHED')
+})
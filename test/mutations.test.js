@@ -0,0 +1,162 @@
+/**
+ * test/mutations.test.js — Every Mutation, success and error paths
+ *
+ * Permissions and field-level validation have their own files
+ * (auth.test.js, validation.test.js); this one checks that each mutation
+ * does what it says to the data, and what it does with ids that don't exist.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { toGlobalId } from '../ids.js'
+import { errorCode, plainId, setup, users } from './helpers.js'
+
+const { admin, alice, bob } = users
+
+// { id } as the API returns it for a record from _db.js
+const gameRef = (id) => ({ id: toGlobalId('Game', id) })
+const reviewRef = (id) => ({ id: toGlobalId('Review', id) })
+const authorRef = (id) => ({ id: toGlobalId('Author', id) })
+
+test('addGame stores a new game with a generated id', async () => {
+    const { run } = await setup()
+
+    const added = await run('mutation { addGame(game: { title: "Pixel Farm", platform: [MOBILE, SWITCH] }) { id title platform } }', { user: admin })
+    const { id, ...game } = added.data.addGame
+    assert.ok(id)
+    assert.deepEqual(game, { title: 'Pixel Farm', platform: ['MOBILE', 'SWITCH'] })
+
+    const fetched = await run(`{ game(id: "${id}") { title } games { totalCount } }`)
+    assert.equal(fetched.data.game.title, 'Pixel Farm')
+    assert.equal(fetched.data.games.totalCount, 4)
+})
+
+test('updateGame changes only the fields it is given', async () => {
+    const { run } = await setup()
+
+    const result = await run('mutation { updateGame(id: "1", edits: { title: "Legend of Code II" }) { id title platform } }', { user: admin })
+    assert.deepEqual(result.data.updateGame, { ...gameRef('1'), title: 'Legend of Code II', platform: ['PC', 'SWITCH'] })
+})
+
+test('deleteGame returns the remaining games and removes their reviews', async () => {
+    const { run } = await setup()
+
+    const result = await run('mutation { deleteGame(id: "1") { id } }', { user: admin })
+    assert.deepEqual(result.data.deleteGame, [gameRef('2'), gameRef('3')])
+
+    // Reviews 101 and 104 were of game 1. Nothing is left pointing at it,
+    // so Review.game (a non-null Game!) never has to resolve to null.
+    const reviews = await run('{ reviews { edges { node { id game { id } } } } review(id: "101") { id } }')
+    assert.equal(reviews.errors, undefined)
+    assert.deepEqual(reviews.data.reviews.edges.map((edge) => edge.node), [
+        { ...reviewRef('102'), game: gameRef('2') },
+        { ...reviewRef('103'), game: gameRef('3') }
+    ])
+    assert.equal(reviews.data.review, null)
+})
+
+test('addReview stores a review linked to its game and author', async () => {
+    const { run } = await setup()
+
+    const result = await run(`mutation {
+        addReview(review: { rating: 4, content: "Great fun", game_id: "2", author_id: "201" }) {
+            rating content game { id } author { id }
+        }
+    }`, { user: alice })
+    assert.deepEqual(result.data.addReview, { rating: 4, content: 'Great fun', game: gameRef('2'), author: authorRef('201') })
+
+    const game = await run('{ game(id: "2") { reviews { totalCount } } }')
+    assert.equal(game.data.game.reviews.totalCount, 2)
+})
+
+test('updateReview and deleteReview act on the caller\'s own review', async () => {
+    const { run } = await setup()
+
+    const updated = await run('mutation { updateReview(id: "104", edits: { rating: 3 }) { id rating content } }', { user: bob })
+    assert.deepEqual(updated.data.updateReview, { ...reviewRef('104'), rating: 3, content: 'Too many bugs, felt unfinished.' })
+
+    const deleted = await run('mutation { deleteReview(id: "104") { id } }', { user: bob })
+    assert.deepEqual(deleted.data.deleteReview, [reviewRef('101'), reviewRef('102'), reviewRef('103')])
+})
+
+test('addAuthor defaults verified to false', async () => {
+    const { run } = await setup()
+
+    const result = await run('mutation { addAuthor(author: { name: "Dana Debug" }) { id name verified } }', { user: admin })
+    assert.ok(result.data.addAuthor.id)
+    assert.equal(result.data.addAuthor.name, 'Dana Debug')
+    assert.equal(result.data.addAuthor.verified, false)
+})
+
+test('updateAuthor and deleteAuthor, which removes the author\'s reviews', async () => {
+    const { run } = await setup()
+
+    const updated = await run('mutation { updateAuthor(id: "202", edits: { verified: true }) { id name verified } }', { user: admin })
+    assert.deepEqual(updated.data.updateAuthor, { ...authorRef('202'), name: 'Bob Coder', verified: true })
+
+    const deleted = await run('mutation { deleteAuthor(id: "202") { id } }', { user: admin })
+    assert.deepEqual(deleted.data.deleteAuthor, [authorRef('201'), authorRef('203')])
+
+    const reviews = await run('{ reviews { edges { node { id } } } }')
+    assert.deepEqual(reviews.data.reviews.edges.map((edge) => plainId(edge.node.id)), ['101', '103'])
+})
+
+test('removeGame, removeReview and removeAuthor return what they deleted, and problems as errors', async () => {
+    const { run } = await setup()
+
+    const removed = await run('mutation { removeGame(id: "1") { deletedId game { title deletedAt } errors { code } } }', { user: admin })
+    const { deletedId, game, errors } = removed.data.removeGame
+    assert.equal(deletedId, gameRef('1').id)
+    assert.equal(game.title, 'Legend of Code')
+    assert.ok(game.deletedAt)
+    assert.deepEqual(errors, [])
+
+    // An id that doesn't exist (any more) is the caller's problem: it's in the payload
+    const again = await run('mutation { removeReview(id: "101") { deletedId review { id } errors { code field message } } }', { user: admin })
+    assert.equal(again.errors, undefined)
+    assert.deepEqual(again.data.removeReview, {
+        deletedId: null,
+        review: null,
+        errors: [{ code: 'NOT_FOUND', field: null, message: again.data.removeReview.errors[0].message }]
+    })
+
+    // Not being allowed is still a GraphQL error
+    assert.equal(errorCode(await run('mutation { removeAuthor(id: "202") { deletedId } }', { user: alice })), 'FORBIDDEN')
+    const author = await run('mutation { removeAuthor(id: "202") { deletedId author { name } } }', { user: admin })
+    assert.deepEqual(author.data.removeAuthor, { deletedId: authorRef('202').id, author: { name: 'Bob Coder' } })
+})
+
+test('every mutation that targets an id fails with NOT_FOUND when it is unknown', async () => {
+    const { run } = await setup()
+    const mutations = [
+        'updateGame(id: "999", edits: { title: "X" }) { id }',
+        'deleteGame(id: "999") { id }',
+        'updateReview(id: "999", edits: { rating: 1 }) { id }',
+        'deleteReview(id: "999") { id }',
+        'updateAuthor(id: "999", edits: { name: "X" }) { id }',
+        'deleteAuthor(id: "999") { id }'
+    ]
+
+    for (const mutation of mutations) {
+        const result = await run(`mutation { ${mutation} }`, { user: admin })
+        assert.equal(errorCode(result), 'NOT_FOUND', mutation)
+        assert.equal(result.errors[0].extensions.id, '999')
+    }
+
+    const games = await run('{ games { totalCount } }')
+    assert.equal(games.data.games.totalCount, 3)
+})
+
+test('later fields in the same request see earlier writes', async () => {
+    const { run } = await setup()
+
+    const result = await run(`mutation {
+        before: updateReview(id: "101", edits: { rating: 2 }) { game { averageRating } }
+        after: updateReview(id: "101", edits: { rating: 5 }) { game { averageRating } }
+    }`, { user: alice })
+    assert.deepEqual(result.data, {
+        before: { game: { averageRating: 2 } },
+        after: { game: { averageRating: 3.5 } }
+    })
+})
@@ -0,0 +1,122 @@
+/**
+ * test/observability.test.js — Operation logs, resolver spans and metrics
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { MemorySpanExporter, Metrics, createLogger, redact } from '../plugins/observability.js'
+import { setup as setupServer, users } from './helpers.js'
+
+const { admin } = users
+
+/**
+ * A server whose log lines, spans and metrics the test can read.
+ */
+async function setup() {
+    const lines = []
+    const logger = createLogger({ write: (line) => lines.push(JSON.parse(line)) })
+    const metrics = new Metrics()
+    const exporter = new MemorySpanExporter()
+    const graphql = await setupServer({ responseCache: null, observability: { logger, metrics, exporter } })
+    return { ...graphql, lines, metrics, exporter }
+}
+
+test('every operation is logged as JSON with its request id, and secrets are redacted', async () => {
+    const { execute, lines } = await setup()
+
+    const response = await execute('query Games($first: Int) { games(first: $first) { totalCount } }', {
+        variables: { first: 2, token: 'hunter2' }
+    })
+    const [entry] = lines
+    assert.equal(entry.level, 'info')
+    assert.equal(entry.msg, 'operation')
+    assert.equal(entry.operation, 'Games')
+    assert.equal(entry.type, 'query')
+    assert.deepEqual(entry.variables, { first: 2, token: '[REDACTED]' })
+    assert.equal(typeof entry.durationMs, 'number')
+    assert.deepEqual(entry.errors, [])
+    assert.equal(response.http.headers.get('x-request-id'), entry.requestId)
+
+    await execute('mutation Add { addGame(game: { title: "", platform: [PC] }) { id } }', { user: admin })
+    assert.equal(lines[1].level, 'warn')
+    assert.equal(lines[1].errors[0].code, 'BAD_USER_INPUT')
+    assert.deepEqual(lines[1].errors[0].path, ['addGame'])
+})
+
+test('resolvers are recorded as spans nested under the operation', async () => {
+    const { run, exporter } = await setup()
+
+    await run('query Top { topGames(limit: 1) { title reviews(first: 1) { totalCount } } }')
+    const byName = Object.fromEntries(exporter.spans.map((span) => [span.name, span]))
+
+    const root = byName['query Top']
+    assert.equal(root.kind, 'SERVER')
+    assert.equal(root.parentSpanId, undefined)
+    assert.equal(root.attributes['graphql.operation.name'], 'Top')
+    assert.equal(byName['Query.topGames'].parentSpanId, root.spanId)
+    assert.equal(byName['Game.reviews'].parentSpanId, byName['Query.topGames'].spanId)
+    assert.equal(byName['Game.reviews'].attributes['graphql.field.path'], 'topGames.0.reviews')
+    assert.equal(byName['Game.title'], undefined)   // no resolver of its own, so no span
+
+    assert.ok(exporter.spans.every((span) => span.traceId === root.traceId))
+    assert.ok(BigInt(root.endTimeUnixNano) >= BigInt(root.startTimeUnixNano))
+})
+
+test('metrics count operations and errors and time them, in the Prometheus format', async () => {
+    const { run, metrics } = await setup()
+
+    await run('query Top { topGames { title } }')
+    await run('query Top { topGames { title } }')
+    await run('query Top { topGames(limit: 0) { title } }')
+
+    const text = metrics.render()
+    assert.match(text, /^# TYPE graphql_requests_total counter$/m)
+    assert.match(text, /^graphql_requests_total\{operation="Top",type="query"\} 3$/m)
+    assert.match(text, /^graphql_request_errors_total\{operation="Top",type="query"\} 1$/m)
+    assert.match(text, /^graphql_request_duration_seconds_bucket\{operation="Top",type="query",le="\+Inf"\} 3$/m)
+    assert.match(text, /^graphql_request_duration_seconds_count\{operation="Top",type="query"\} 3$/m)
+})
+
+test('operation names past the cap are counted as "other", so clients cannot add series at will', () => {
+    const metrics = new Metrics({ maxOperations: 2 })
+    for (const operation of ['A', 'B', 'C', 'D', 'A']) metrics.observe({ operation, type: 'query' }, { durationMs: 1, failed: false })
+
+    const text = metrics.render()
+    assert.match(text, /^graphql_requests_total\{operation="A",type="query"\} 2$/m)
+    assert.match(text, /^graphql_requests_total\{operation="B",type="query"\} 1$/m)
+    assert.match(text, /^graphql_requests_total\{operation="other",type="query"\} 2$/m)
+    assert.doesNotMatch(text, /operation="C"/)
+})
+
+test('deprecated fields are logged with the operation that used them, and counted', async () => {
+    const { run, lines, metrics } = await setup()
+
+    await run('query Top { topGames { title } }')
+    await run('mutation Delete { deleteGame(id: "3") { id } }', { user: admin })
+
+    assert.equal(lines[0].deprecatedFields, undefined)
+    assert.deepEqual(lines[1].deprecatedFields, ['Mutation.deleteGame'])
+    assert.match(metrics.render(), /^graphql_deprecated_field_usage_total\{operation="Delete",type="mutation",field="Mutation.deleteGame"\} 1$/m)
+
+    // Found in fragments too — and even when the field fails before resolving anything
+    await run('mutation Spread { ...Remove } fragment Remove on Mutation { deleteReview(id: "999") { id } }', { user: admin })
+    assert.deepEqual(lines[2].deprecatedFields, ['Mutation.deleteReview'])
+})
+
+test('deprecated field usage is capped by operation name like the other metrics', () => {
+    const metrics = new Metrics({ maxOperations: 1 })
+    metrics.useDeprecated({ operation: 'A', type: 'mutation' }, 'Mutation.deleteGame')
+    metrics.useDeprecated({ operation: 'B', type: 'mutation' }, 'Mutation.deleteGame')
+
+    assert.match(metrics.render(), /^graphql_deprecated_field_usage_total\{operation="other",type="mutation",field="Mutation.deleteGame"\} 1$/m)
+})
+
+test('redact() hides secret-looking values and shortens long strings', () => {
+    assert.deepEqual(
+        redact({ user: { name: 'Dana', password: 'x' }, apiKey: 'y', list: [{ authToken: 'z' }] }),
+        { user: { name: 'Dana', password: '[REDACTED]' }, apiKey: '[REDACTED]', list: [{ authToken: '[REDACTED]' }] }
+    )
+    assert.equal(redact('a'.repeat(250)), `${'a'.repeat(200)}… (250 chars)`)
+    assert.throws(() => createLogger({ level: 'loud' }), /Invalid LOG_LEVEL/)
+})
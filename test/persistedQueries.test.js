@@ -0,0 +1,114 @@
+/**
+ * test/persistedQueries.test.js — Automatic persisted queries and the allowlist
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+
+import {
+    MANIFEST_FORMAT, allowlistOnSubscribe, hashQuery, persistedQueriesFromEnv, readManifest
+} from '../plugins/persistedQueries.js'
+import { errorCode, setup } from './helpers.js'
+
+const TOP_GAMES = 'query TopGames { topGames(limit: 1) { title } }'
+
+const persisted = (query) => ({ persistedQuery: { version: 1, sha256Hash: hashQuery(query) } })
+
+function manifestOf(...bodies) {
+    return {
+        format: MANIFEST_FORMAT,
+        version: 1,
+        operations: bodies.map((body) => ({ id: hashQuery(body), name: 'Operation', type: 'query', body }))
+    }
+}
+
+test('an unknown hash is registered on the second try and runs by hash after that', async () => {
+    const { run } = await setup()
+
+    const unknown = await run(undefined, { extensions: persisted(TOP_GAMES) })
+    assert.equal(errorCode(unknown), 'PERSISTED_QUERY_NOT_FOUND')
+
+    const registered = await run(TOP_GAMES, { extensions: persisted(TOP_GAMES) })
+    assert.deepEqual(registered.data, { topGames: [{ title: 'Terminal Quest' }] })
+
+    const byHash = await run(undefined, { extensions: persisted(TOP_GAMES) })
+    assert.deepEqual(byHash.data, { topGames: [{ title: 'Terminal Quest' }] })
+
+    const mismatch = await run('{ games { totalCount } }', { extensions: persisted(TOP_GAMES) })
+    assert.match(mismatch.errors[0].message, /provided sha does not match query/)
+})
+
+test('persisted queries can be switched off', async () => {
+    const { run } = await setup({ persistedQueries: await persistedQueriesFromEnv({ PERSISTED_QUERIES: 'off' }) })
+
+    const result = await run(TOP_GAMES, { extensions: persisted(TOP_GAMES) })
+    assert.equal(errorCode(result), 'PERSISTED_QUERY_NOT_SUPPORTED')
+})
+
+test('in allowlist mode only the manifest\'s operations run', async () => {
+    const manifest = readManifest(manifestOf(TOP_GAMES))
+    const { execute, run } = await setup({ persistedQueries: { apq: true, manifest } })
+
+    assert.deepEqual((await run(TOP_GAMES)).data, { topGames: [{ title: 'Terminal Quest' }] })
+    assert.deepEqual((await run(undefined, { extensions: persisted(TOP_GAMES) })).data, { topGames: [{ title: 'Terminal Quest' }] })
+
+    // Not the same text — even a different limit is a different operation
+    const refused = await execute('query TopGames { topGames(limit: 50) { title } }')
+    assert.equal(refused.body.singleResult.errors[0].extensions.code, 'OPERATION_NOT_ALLOWED')
+    assert.equal(refused.body.singleResult.data, undefined)
+    assert.equal(refused.http.status, 400)
+
+    // ...and unregistered hashes can't be registered
+    const query = '{ games { totalCount } }'
+    assert.equal(errorCode(await run(query, { extensions: persisted(query) })), 'OPERATION_NOT_ALLOWED')
+    assert.equal(errorCode(await run(undefined, { extensions: persisted(query) })), 'PERSISTED_QUERY_NOT_FOUND')
+
+    const introspection = await run('{ __schema { types { name } } }')
+    assert.equal(errorCode(introspection), 'GRAPHQL_VALIDATION_FAILED')
+})
+
+test('subscriptions are checked against the manifest too', () => {
+    const subscription = 'subscription { gameDeleted { id } }'
+    const onSubscribe = allowlistOnSubscribe(readManifest(manifestOf(subscription)))
+
+    assert.equal(onSubscribe({}, '1', { query: subscription }), undefined)
+    const [error] = onSubscribe({}, '2', { query: 'subscription { reviewAdded { id } }' })
+    assert.equal(error.extensions.code, 'OPERATION_NOT_ALLOWED')
+})
+
+test('a subscription can be sent as just its hash', () => {
+    const subscription = 'subscription { gameDeleted { id } }'
+    const onSubscribe = allowlistOnSubscribe(readManifest(manifestOf(subscription)))
+
+    const byHash = { query: '', extensions: persisted(subscription) }
+    assert.equal(onSubscribe({}, '1', byHash), undefined)
+    assert.equal(byHash.query, subscription)
+
+    const [unknown] = onSubscribe({}, '2', { query: '', extensions: persisted('subscription { reviewAdded { id } }') })
+    assert.equal(unknown.extensions.code, 'OPERATION_NOT_ALLOWED')
+    const [neither] = onSubscribe({}, '3', {})
+    assert.equal(neither.extensions.code, 'OPERATION_NOT_ALLOWED')
+})
+
+test('the manifest is read from OPERATION_MANIFEST and checked', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'manifest-test-'))
+    const filePath = path.join(dir, 'operations.json')
+    try {
+        await writeFile(filePath, JSON.stringify(manifestOf(TOP_GAMES)))
+        const config = await persistedQueriesFromEnv({ OPERATION_MANIFEST: filePath })
+        assert.deepEqual([...config.manifest.keys()], [hashQuery(TOP_GAMES)])
+        assert.equal(config.apq, true)
+
+        const tampered = manifestOf(TOP_GAMES)
+        tampered.operations[0].body += ' '
+        await writeFile(filePath, JSON.stringify(tampered))
+        await assert.rejects(persistedQueriesFromEnv({ OPERATION_MANIFEST: filePath }), /isn't the SHA-256 hash of its body/)
+    } finally {
+        await rm(dir, { recursive: true, force: true })
+    }
+
+    assert.throws(() => readManifest({ operations: [] }), /Not a persisted query manifest/)
+})
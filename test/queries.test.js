@@ -0,0 +1,152 @@
+/**
+ * test/queries.test.js — Every Query field and nested resolver
+ *
+ * Runs against the _db.js seed data, so the expected values below can be
+ * checked by reading that file.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { MemoryStore } from '../datasources/memory.js'
+import { toGlobalId } from '../ids.js'
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from '../pagination.js'
+import { errorCode, plainId, setup, users } from './helpers.js'
+
+async function run(query, options) {
+    const { run } = await setup()
+    return run(query, options)
+}
+
+const ids = (connection) => connection.edges.map((edge) => plainId(edge.node.id))
+
+test('game, review and author look up one record by id', async () => {
+    const result = await run(`{
+        game(id: "1") { id title platform }
+        review(id: "103") { id rating content }
+        author(id: "202") { id name verified }
+    }`)
+
+    assert.equal(result.errors, undefined)
+    assert.deepEqual(result.data, {
+        game: { id: toGlobalId('Game', '1'), title: 'Legend of Code', platform: ['PC', 'SWITCH'] },
+        review: { id: toGlobalId('Review', '103'), rating: 4, content: 'Solid experience, great graphics and soundtrack.' },
+        author: { id: toGlobalId('Author', '202'), name: 'Bob Coder', verified: false }
+    })
+})
+
+test('unknown ids resolve to null rather than an error', async () => {
+    const result = await run('{ game(id: "999") { id } review(id: "999") { id } author(id: "999") { id } }')
+
+    assert.equal(result.errors, undefined)
+    assert.deepEqual(result.data, { game: null, review: null, author: null })
+})
+
+test('games, reviews and authors list every record by default', async () => {
+    const result = await run(`{
+        games { totalCount edges { node { id } } }
+        reviews { totalCount edges { node { id } } }
+        authors { totalCount edges { node { id } } }
+    }`)
+
+    assert.equal(result.data.games.totalCount, 3)
+    assert.deepEqual(ids(result.data.games), ['1', '2', '3'])
+    assert.deepEqual(ids(result.data.reviews), ['101', '102', '103', '104'])
+    assert.deepEqual(ids(result.data.authors), ['201', '202', '203'])
+})
+
+test('connections page forwards and backwards with cursors', async () => {
+    const { run } = await setup()
+
+    const first = await run('{ reviews(first: 2) { edges { node { id } } pageInfo { hasNextPage hasPreviousPage endCursor } } }')
+    assert.deepEqual(ids(first.data.reviews), ['101', '102'])
+    assert.equal(first.data.reviews.pageInfo.hasNextPage, true)
+    assert.equal(first.data.reviews.pageInfo.hasPreviousPage, false)
+
+    const next = await run(`{ reviews(first: 2, after: "${first.data.reviews.pageInfo.endCursor}") {
+        edges { node { id } } pageInfo { hasNextPage startCursor }
+    } }`)
+    assert.deepEqual(ids(next.data.reviews), ['103', '104'])
+    assert.equal(next.data.reviews.pageInfo.hasNextPage, false)
+
+    const before = await run(`{ reviews(last: 1, before: "${next.data.reviews.pageInfo.startCursor}") { edges { node { id } } } }`)
+    assert.deepEqual(ids(before.data.reviews), ['102'])
+})
+
+test('without first or last a connection returns one page, and a page has a maximum size', async () => {
+    const db = new MemoryStore()
+    for (let i = 0; i < 15; i++) await db.insert('games', { title: `Filler ${i}`, platform: ['PC'] })
+    const { run } = await setup({ db })
+
+    const result = await run('{ games { totalCount edges { node { id } } pageInfo { hasNextPage } } }')
+    assert.equal(result.data.games.totalCount, 18)
+    assert.equal(result.data.games.edges.length, DEFAULT_PAGE_SIZE)
+    assert.equal(result.data.games.pageInfo.hasNextPage, true)
+
+    assert.equal((await run(`{ games(first: ${MAX_PAGE_SIZE}) { totalCount } }`)).errors, undefined)
+    assert.equal(errorCode(await run(`{ games(first: ${MAX_PAGE_SIZE + 1}) { totalCount } }`)), 'BAD_USER_INPUT')
+    assert.equal(errorCode(await run(`{ games(last: ${MAX_PAGE_SIZE + 1}) { totalCount } }`)), 'BAD_USER_INPUT')
+})
+
+test('bad pagination arguments are BAD_USER_INPUT', async () => {
+    assert.equal(errorCode(await run('{ games(first: -1) { totalCount } }')), 'BAD_USER_INPUT')
+    assert.equal(errorCode(await run('{ games(after: "nonsense") { totalCount } }')), 'BAD_USER_INPUT')
+})
+
+test('filters narrow each connection', async () => {
+    const result = await run(`{
+        pc: games(filter: { platform: PC }) { edges { node { id } } }
+        bug: games(filter: { titleContains: "bug" }) { edges { node { id } } }
+        good: reviews(filter: { minRating: 4 }) { edges { node { id } } }
+        verifiedReviews: reviews(filter: { maxRating: 4, verifiedAuthor: true }) { edges { node { id } } }
+        verified: authors(filter: { verified: true }) { edges { node { id } } }
+    }`)
+
+    assert.deepEqual(ids(result.data.pc), ['1', '3'])
+    assert.deepEqual(ids(result.data.bug), ['2'])
+    assert.deepEqual(ids(result.data.good), ['101', '103'])
+    assert.deepEqual(ids(result.data.verifiedReviews), ['103'])
+    assert.deepEqual(ids(result.data.verified), ['201', '203'])
+})
+
+test('orderBy sorts each connection', async () => {
+    const result = await run(`{
+        byTitle: games(orderBy: { field: TITLE }) { edges { node { id } } }
+        byRating: games(orderBy: { field: RATING, direction: DESC }) { edges { node { id } } }
+        reviews(orderBy: { field: RATING, direction: DESC }) { edges { node { id } } }
+        authors(orderBy: { field: NAME, direction: DESC }) { edges { node { id } } }
+    }`)
+
+    assert.deepEqual(ids(result.data.byTitle), ['2', '1', '3'])
+    assert.deepEqual(ids(result.data.byRating), ['3', '1', '2'])
+    assert.deepEqual(ids(result.data.reviews), ['101', '103', '102', '104'])
+    assert.deepEqual(ids(result.data.authors), ['203', '202', '201'])
+})
+
+test('Game.reviews, Author.reviews and Review.author / game follow the links', async () => {
+    const result = await run(`{
+        game(id: "1") { reviews { edges { node { id author { name } } } } }
+        author(id: "202") { reviews(filter: { minRating: 3 }) { edges { node { id game { title } } } } }
+    }`)
+
+    assert.deepEqual(result.data.game.reviews.edges.map((edge) => edge.node), [
+        { id: toGlobalId('Review', '101'), author: { name: 'Alice Devlin' } },
+        { id: toGlobalId('Review', '104'), author: { name: 'Bob Coder' } }
+    ])
+    assert.deepEqual(result.data.author.reviews.edges.map((edge) => edge.node), [
+        { id: toGlobalId('Review', '102'), game: { title: 'Bug Hunter 3000' } }
+    ])
+})
+
+test('me is null without a user and links to the author with the same id', async () => {
+    const { run } = await setup()
+
+    const anonymous = await run('{ me { id } }')
+    assert.deepEqual(anonymous.data, { me: null })
+
+    const charlie = await run('{ me { id roles author { name } } }', { user: users.charlie })
+    assert.deepEqual(charlie.data.me, { id: '203', roles: [], author: { name: 'Charlie Script' } })
+
+    const admin = await run('{ me { roles author { name } } }', { user: users.admin })
+    assert.deepEqual(admin.data.me, { roles: ['ADMIN'], author: null })
+})
@@ -0,0 +1,155 @@
+/**
+ * test/queryLimits.test.js — Depth and cost limits
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { MemoryStore } from '../datasources/memory.js'
+import { limitsFromEnv, limitsOnSubscribe } from '../plugins/queryLimits.js'
+import { setup } from './helpers.js'
+
+/**
+ * A MemoryStore that counts how often it's read from, to prove a refused
+ * query never reaches the resolvers.
+ */
+class CountingStore extends MemoryStore {
+    reads = 0
+
+    async list(collection) {
+        this.reads++
+        return super.list(collection)
+    }
+
+    async getMany(collection, ids) {
+        this.reads++
+        return super.getMany(collection, ids)
+    }
+
+    async findByMany(collection, field, values) {
+        this.reads++
+        return super.findByMany(collection, field, values)
+    }
+}
+
+async function run(query, limits, variables) {
+    const db = new CountingStore()
+    const { execute } = await setup({ db, limits })
+    db.reads = 0   // forget the reads made while building the search index
+
+    const response = await execute(query, { variables })
+    return { result: response.body.singleResult, http: response.http, reads: db.reads }
+}
+
+// games → reviews → game → reviews → game → reviews → author, through connections
+const cyclicQuery = `{
+    games { edges { node {
+        reviews { edges { node {
+            game { reviews { edges { node {
+                game { reviews { edges { node {
+                    author { name }
+                } } } }
+            } } } }
+        } } }
+    } } }
+}`
+
+test('a deep cyclic query is refused before any resolver runs', async () => {
+    const { result, http, reads } = await run(cyclicQuery, { maxDepth: 10, maxCost: 1e9 })
+
+    assert.equal(result.data, undefined)
+    assert.equal(result.errors[0].extensions.code, 'DEPTH_LIMIT_EXCEEDED')
+    assert.equal(result.errors[0].extensions.actual, 16)
+    assert.match(result.errors[0].message, /depth of 16 exceeds the maximum allowed depth of 10/)
+    assert.equal(http.status, 400)
+    assert.equal(reads, 0)
+})
+
+test('list fields multiply the cost of their selections', async () => {
+    const limits = { maxDepth: 20, maxCost: 200 }
+
+    // 1 + 50 × (edges 1 + node 1 + title 1) = 151
+    const page = await run('{ games(first: 50) { edges { node { title } } } }', limits)
+    assert.equal(page.result.errors, undefined)
+
+    // Same thing through a variable: 1 + 100 × 3 = 301
+    const bigPage = await run(
+        'query ($n: Int) { games(first: $n) { edges { node { title } } } }',
+        limits,
+        { n: 100 }
+    )
+    assert.equal(bigPage.result.errors[0].extensions.code, 'COST_LIMIT_EXCEEDED')
+    assert.equal(bigPage.result.errors[0].extensions.actual, 301)
+    assert.equal(bigPage.reads, 0)
+})
+
+test('a negative list size cannot cancel out the cost of other fields', async () => {
+    const limits = { maxDepth: 20, maxCost: 200, defaultListSize: 10 }
+
+    // Counted as the default 10 rather than -100000, so the expensive
+    // games(first: 100) next to it is still over the limit
+    const { result, reads } = await run(`{
+        games(first: 100) { edges { node { title } } }
+        cheap: search(term: "code", first: -100000) { score }
+    }`, limits)
+    assert.equal(result.errors[0].extensions.code, 'COST_LIMIT_EXCEEDED')
+    assert.equal(result.errors[0].extensions.actual, 301 + 1 + 10 * 1)
+    assert.equal(reads, 0)
+})
+
+test('a connection without first is costed at the page size it returns', async () => {
+    const db = new MemoryStore()
+    for (let i = 0; i < 400; i++) {
+        await db.insert('reviews', { game_id: '1', author_id: '201', rating: 5, content: `Review ${i}` })
+    }
+    const { run } = await setup({ db, limits: { maxDepth: 20, maxCost: 341 } })
+
+    // reviews: 1 + 10 × (edges 1 + node 1 + game 1 + reviews (1 + 10 × (edges 1 + node 1 + id 1)))
+    const result = await run('{ reviews { edges { node { game { reviews { edges { node { id } } } } } } } }')
+    assert.equal(result.errors, undefined)
+    assert.equal(result.data.reviews.edges.length, 10)
+    const inner = result.data.reviews.edges.map((edge) => edge.node.game.reviews.edges.length)
+    assert.ok(inner.every((length) => length <= 10))
+    assert.ok(inner.includes(10))   // game 1 has 400 more reviews than that
+})
+
+test('fragments spread many times are measured once, and counted every time', async () => {
+    // Each level spreads the one below twice: 2^14 spreads of L0 in all
+    const levels = Array.from({ length: 14 }, (_, i) => `fragment L${i + 1} on Game { ...L${i} ...L${i} }`)
+    const query = `{ game(id: "1") { ...L14 } } fragment L0 on Game { title } ${levels.join(' ')}`
+
+    const { result } = await run(query, { maxDepth: 20, maxCost: 1000 })
+    assert.equal(result.errors[0].extensions.code, 'COST_LIMIT_EXCEEDED')
+    assert.equal(result.errors[0].extensions.actual, 1 + 2 ** 14)
+})
+
+test('subscriptions are held to the same limits', async () => {
+    const { schema } = await setup()
+    const onSubscribe = limitsOnSubscribe(schema, { maxDepth: 4, maxCost: 1e9 })
+
+    const shallow = 'subscription { gameDeleted { id title } }'
+    assert.equal(onSubscribe({}, '1', { query: shallow }), undefined)
+
+    const deep = 'subscription Deep($id: ID!) { gameUpdated(id: $id) { reviews { edges { node { game { title } } } } } }'
+    const [error] = onSubscribe({}, '2', { query: deep, operationName: 'Deep', variables: { id: '1' } })
+    assert.equal(error.extensions.code, 'DEPTH_LIMIT_EXCEEDED')
+    assert.equal(error.extensions.actual, 6)
+
+    // Left for graphql-ws to report, as it would without the hook
+    assert.equal(onSubscribe({}, '3', { query: 'subscription {' }), undefined)
+    assert.equal(onSubscribe({}, '4', { query: 'subscription { noSuchField }' }), undefined)
+})
+
+test('introspection is not counted', async () => {
+    const { result } = await run('{ __schema { types { name fields { name type { name ofType { name ofType { name } } } } } } }', {
+        maxDepth: 1,
+        maxCost: 1
+    })
+    assert.equal(result.errors, undefined)
+})
+
+test('limits come from the environment, stricter in production', () => {
+    assert.deepEqual(limitsFromEnv({}), { maxDepth: 15, maxCost: 10000, defaultListSize: 10 })
+    assert.deepEqual(limitsFromEnv({ NODE_ENV: 'production' }), { maxDepth: 10, maxCost: 2000, defaultListSize: 10 })
+    assert.equal(limitsFromEnv({ NODE_ENV: 'production', MAX_QUERY_DEPTH: '6' }).maxDepth, 6)
+})
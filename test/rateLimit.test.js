@@ -0,0 +1,122 @@
+/**
+ * test/rateLimit.test.js — Per-client rate limits and @rateLimit
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { MemoryBucketStore, rateLimitsFromEnv } from '../plugins/rateLimit.js'
+import { errorCode, setup as setupServer, users } from './helpers.js'
+
+const { admin, alice, bob } = users
+
+/**
+ * A server with small limits and a clock the test moves by hand.
+ */
+async function setup(env) {
+    const clock = { now: 0 }
+    const rateLimitStore = new MemoryBucketStore({ now: () => clock.now })
+    const graphql = await setupServer({ rateLimits: rateLimitsFromEnv(env), rateLimitStore })
+    return { ...graphql, clock }
+}
+
+test('each client gets its own budget of queries, refilled over the window', async () => {
+    const { execute, run, clock } = await setup({ RATE_LIMIT_QUERY: '2/1m' })
+
+    assert.equal((await run('{ games { totalCount } }', { user: alice })).errors, undefined)
+    assert.equal((await run('{ games { totalCount } }', { user: alice })).errors, undefined)
+
+    const refused = await execute('{ games { totalCount } }', { user: alice })
+    const error = refused.body.singleResult.errors[0]
+    assert.equal(refused.body.singleResult.data, undefined)
+    assert.equal(error.extensions.code, 'RATE_LIMITED')
+    assert.deepEqual(
+        { scope: error.extensions.scope, max: error.extensions.max, window: error.extensions.window },
+        { scope: 'query', max: 2, window: '1m' }
+    )
+    assert.equal(error.extensions.retryAfter, 30)
+    assert.equal(refused.http.status, 429)
+    assert.equal(refused.http.headers.get('retry-after'), '30')
+
+    // Bob has a bucket of his own
+    assert.equal((await run('{ games { totalCount } }', { user: bob })).errors, undefined)
+
+    // One token drips back every 30 seconds
+    clock.now += 30 * 1000
+    assert.equal((await run('{ games { totalCount } }', { user: alice })).errors, undefined)
+    assert.equal(errorCode(await run('{ games { totalCount } }', { user: alice })), 'RATE_LIMITED')
+})
+
+test('idle buckets are pruned by their own window, at most once a minute', () => {
+    const clock = { now: 0 }
+    const store = new MemoryBucketStore({ now: () => clock.now })
+    const hourly = { max: 1, windowMs: 60 * 60 * 1000 }
+    const minutely = { max: 1, windowMs: 60 * 1000 }
+
+    store.take('user:201:exportCatalog', hourly)
+    store.take('user:201:query', minutely)
+    clock.now = 30 * 1000
+    store.take('user:202:query', minutely)
+    assert.equal(store.buckets.size, 3)   // too soon to prune anything
+
+    // Two minutes on, both minute buckets are full again and forgotten;
+    // the hour bucket is still empty, and stays that way
+    clock.now = 2 * 60 * 1000
+    store.take('user:203:query', minutely)
+    assert.deepEqual([...store.buckets.keys()], ['user:201:exportCatalog', 'user:203:query'])
+    assert.equal(store.take('user:201:exportCatalog', hourly).allowed, false)
+})
+
+test('mutations have a separate, stricter budget', async () => {
+    const { run } = await setup({ RATE_LIMIT_QUERY: '100/1m', RATE_LIMIT_MUTATION: '1/1m' })
+
+    await run('mutation { addAuthor(author: { name: "Dana Debug" }) { id } }', { user: admin })
+    const refused = await run('mutation { addAuthor(author: { name: "Eve Ops" }) { id } }', { user: admin })
+    assert.equal(errorCode(refused), 'RATE_LIMITED')
+    assert.equal(refused.errors[0].extensions.scope, 'mutation')
+
+    const authors = await run('{ authors { totalCount } }', { user: admin })
+    assert.equal(authors.data.authors.totalCount, 4)
+})
+
+test('@rateLimit fields have their own limit, and aliases count separately', async () => {
+    const { run } = await setup({})
+    const review = (alias) => `${alias}: addReview(review: { rating: 4, content: "Spam", game_id: "2", author_id: "201" }) { id }`
+
+    // addReview is @rateLimit(max: 5, window: "1m") — six at once is too many
+    const refused = await run(`mutation { ${['a', 'b', 'c', 'd', 'e', 'f'].map(review).join(' ')} }`, { user: alice })
+    assert.equal(errorCode(refused), 'RATE_LIMITED')
+    assert.equal(refused.errors[0].extensions.scope, 'Mutation.addReview')
+
+    const reviews = await run('{ reviews { totalCount } }')
+    assert.equal(reviews.data.reviews.totalCount, 4)
+})
+
+test('fragments count once per spread, without expanding them every time', async () => {
+    const { run } = await setup({})
+    const doubled = (name, depth, inner) => [
+        ...Array.from({ length: depth }, (_, i) => `fragment ${name}${i + 1} on Query { ...${name}${i} ...${name}${i} }`),
+        `fragment ${name}0 on Query { ${inner} }`
+    ].join(' ')
+
+    // 2^6 = 64 searches through fragments — over Query.search's 30 a minute
+    const searches = await run(`{ ...S6 } ${doubled('S', 6, 'search(term: "code") { score }')}`)
+    assert.equal(errorCode(searches), 'RATE_LIMITED')
+    assert.equal(searches.errors[0].extensions.scope, 'Query.search')
+
+    // 2^24 selections: left to the query limits to refuse, not a stack overflow
+    const huge = await run(`{ ...H24 } ${doubled('H', 24, 'games { totalCount }')}`)
+    assert.equal(errorCode(huge), 'COST_LIMIT_EXCEEDED')
+})
+
+test('limits come from the environment, stricter in production', () => {
+    assert.deepEqual(rateLimitsFromEnv({}), {
+        query: { max: 1000, window: '1m', windowMs: 60000 },
+        mutation: { max: 200, window: '1m', windowMs: 60000 }
+    })
+    assert.equal(rateLimitsFromEnv({ NODE_ENV: 'production' }).mutation.max, 30)
+    assert.deepEqual(rateLimitsFromEnv({ RATE_LIMIT_QUERY: '50/2h' }).query, { max: 50, window: '2h', windowMs: 7200000 })
+
+    assert.throws(() => rateLimitsFromEnv({ RATE_LIMIT_QUERY: '50/fortnight' }), /Invalid rate limit window/)
+    assert.throws(() => rateLimitsFromEnv({ RATE_LIMIT_MUTATION: 'lots/1m' }), /Invalid rate limit max/)
+})
@@ -0,0 +1,126 @@
+/**
+ * test/responseCache.test.js — Cache hints, the response cache and invalidation
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { MemoryCacheStore } from '../plugins/responseCache.js'
+import { toGlobalId } from '../ids.js'
+import { setup, users } from './helpers.js'
+
+const { admin, alice, bob } = users
+
+const GAME_1 = toGlobalId('Game', '1')
+
+test('cacheable queries get a Cache-Control header and are answered from the cache', async () => {
+    const { execute, run, db } = await setup()
+    const query = '{ games { edges { node { title averageRating } } } }'
+
+    const first = await execute(query)
+    assert.equal(first.http.headers.get('cache-control'), 'max-age=30, public')
+    assert.equal(first.http.headers.get('age'), undefined)
+
+    // Changed behind the cache's back — no mutation, so nothing is evicted
+    await db.update('games', '1', { title: 'Renamed Directly' })
+
+    const second = await execute(query)
+    assert.equal(second.http.headers.get('age'), '0')
+    assert.equal(second.http.headers.get('cache-control'), 'max-age=30, public')
+    assert.equal(second.body.singleResult.data.games.edges[0].node.title, 'Legend of Code')
+
+    // The audit log has no hint, so it's never cached
+    const audit = await execute('{ auditLog { totalCount } }', { user: admin })
+    assert.equal(audit.http.headers.get('cache-control'), 'no-store')
+    await run('{ auditLog { totalCount } }', { user: admin })
+    assert.equal((await execute('{ auditLog { totalCount } }', { user: admin })).http.headers.get('age'), undefined)
+})
+
+test('responses are cached per user, and private once someone is logged in', async () => {
+    const { execute } = await setup()
+
+    const asAlice = await execute('{ me { id } games { totalCount } }', { user: alice })
+    assert.equal(asAlice.http.headers.get('cache-control'), 'max-age=30, private')
+
+    const asBob = await execute('{ me { id } games { totalCount } }', { user: bob })
+    assert.equal(asBob.http.headers.get('age'), undefined)
+    assert.equal(asBob.body.singleResult.data.me.id, '202')
+
+    const aliceAgain = await execute('{ me { id } games { totalCount } }', { user: alice })
+    assert.equal(aliceAgain.http.headers.get('age'), '0')
+    assert.equal(aliceAgain.http.headers.get('cache-control'), 'max-age=30, private')
+    assert.equal(aliceAgain.body.singleResult.data.me.id, '201')
+
+    // A new token for the same user with other roles doesn't get what was cached for the old ones
+    const promoted = await execute('{ me { id roles } }', { user: { ...alice, roles: ['MODERATOR'] } })
+    assert.equal(promoted.http.headers.get('age'), undefined)
+    await execute('{ me { id roles } }', { user: alice })
+    const demoted = await execute('{ me { id roles } }', { user: alice })
+    assert.equal(demoted.http.headers.get('age'), '0')
+    assert.deepEqual(demoted.body.singleResult.data.me.roles, [])
+
+    // ...even with the response cache switched off
+    const uncached = await setup({ responseCache: null })
+    const response = await uncached.execute('{ games { totalCount } }', { user: alice })
+    assert.equal(response.http.headers.get('cache-control'), 'max-age=30, private')
+})
+
+test('updateGame evicts the responses that show the game or list games, and only those', async () => {
+    const { run, db } = await setup()
+    const game = (id) => `{ game(id: "${id}") { title } }`
+
+    await run(game('1'))
+    await run(game('2'))
+    await run('{ games { edges { node { title } } } }')
+    await run('{ reviews(first: 1) { edges { node { rating } } } }')
+
+    // Game 2 and the reviews are changed behind the cache's back: if their
+    // responses are still served from the cache, they show the old values
+    await db.update('games', '2', { title: 'Renamed Directly' })
+    await db.update('reviews', '101', { rating: 1 })
+
+    await run(`mutation { updateGame(id: "${GAME_1}", edits: { title: "Zelda Renamed" }) { id } }`, { user: admin })
+
+    assert.equal((await run(game('1'))).data.game.title, 'Zelda Renamed')
+    assert.equal((await run(game('2'))).data.game.title, 'Bug Hunter 3000')
+    const games = await run('{ games { edges { node { title } } } }')
+    assert.deepEqual(games.data.games.edges.map(({ node }) => node.title).slice(0, 2), ['Zelda Renamed', 'Renamed Directly'])
+    assert.equal((await run('{ reviews(first: 1) { edges { node { rating } } } }')).data.reviews.edges[0].node.rating, 5)
+})
+
+test('review mutations evict their game and author, and deleteGame evicts the game', async () => {
+    const { run } = await setup()
+    const gameQuery = `{ game(id: "${GAME_1}") { reviewCount } author(id: "201") { reviewCount } topGames { id } }`
+
+    const before = await run(gameQuery)
+    await run(`mutation {
+        addReview(review: { rating: 1, content: "Not for me", game_id: "${GAME_1}", author_id: "201" }) { id }
+    }`, { user: alice })
+
+    const after = await run(gameQuery)
+    assert.equal(after.data.game.reviewCount, before.data.game.reviewCount + 1)
+    assert.equal(after.data.author.reviewCount, before.data.author.reviewCount + 1)
+
+    await run(`mutation { deleteGame(id: "${GAME_1}") { id } }`, { user: admin })
+    const deleted = await run(gameQuery)
+    assert.equal(deleted.data.game, null)
+    assert.equal(deleted.data.topGames.some(({ id }) => id === GAME_1), false)
+})
+
+test('the memory store drops the least recently used entry, and expired ones', () => {
+    const clock = { now: 0 }
+    const store = new MemoryCacheStore({ maxEntries: 2, now: () => clock.now })
+
+    store.set('a', 'A', { ttl: 60, tags: ['Game:1'] })
+    store.set('b', 'B', { ttl: 10, tags: ['Game'] })
+    assert.equal(store.get('a'), 'A')         // a is now more recently used than b
+    store.set('c', 'C', { ttl: 60, tags: ['Review:101'] })
+    assert.equal(store.get('b'), undefined)
+    assert.equal(store.get('c'), 'C')
+
+    store.invalidate(['Game:1'])
+    assert.equal(store.get('a'), undefined)
+
+    clock.now += 60 * 1000
+    assert.equal(store.get('c'), undefined)
+})
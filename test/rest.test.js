@@ -0,0 +1,143 @@
+/**
+ * test/rest.test.js — The REST/JSON gateway and its OpenAPI document
+ *
+ * These go through real HTTP: an Express app with the gateway mounted at
+ * /rest, on a port of its own, closed when the test ends.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'node:http'
+
+import express from 'express'
+
+import { getUser, signToken } from '../auth.js'
+import { toGlobalId } from '../ids.js'
+import { HTTP_STATUS, ROUTES, errorResponse, restRouter } from '../rest.js'
+import { invalidInput } from '../validation.js'
+import { setup } from './helpers.js'
+
+const ADMIN = `Bearer ${signToken({ sub: 'admin', roles: ['ADMIN'] })}`
+const ALICE = `Bearer ${signToken({ sub: '201', roles: [] })}`
+
+/**
+ * A fresh server with the gateway on an HTTP port. request(method, path,
+ * { body, auth }) calls it and returns { status, headers, body }.
+ */
+async function gateway(t) {
+    const { server, schema, createContext } = await setup({ responseCache: null })
+    const app = express()
+    app.use('/rest', restRouter({ server, schema, context: async (req) => createContext({ user: getUser(req), ip: req.ip }) }))
+
+    const httpServer = createServer(app)
+    await new Promise((resolve) => httpServer.listen(0, resolve))
+    t.after(() => new Promise((resolve) => httpServer.close(resolve)))
+    const base = `http://localhost:${httpServer.address().port}/rest`
+
+    async function request(method, path, { body, auth, rawBody } = {}) {
+        const response = await fetch(`${base}${path}`, {
+            method,
+            headers: { 'content-type': 'application/json', ...(auth && { authorization: auth }) },
+            body: rawBody ?? (body === undefined ? undefined : JSON.stringify(body))
+        })
+        const text = await response.text()
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : undefined }
+    }
+
+    return { request }
+}
+
+test('GET lists a page at a time and shows one record with its reviews embedded', async (t) => {
+    const { request } = await gateway(t)
+
+    const first = await request('GET', '/games?first=2')
+    assert.equal(first.status, 200)
+    assert.deepEqual(first.body.items.map((game) => game.title), ['Legend of Code', 'Bug Hunter 3000'])
+    assert.equal(first.body.totalCount, 3)
+    const rest = await request('GET', `/games?first=2&after=${first.body.nextCursor}`)
+    assert.deepEqual(rest.body.items.map((game) => game.id), [toGlobalId('Game', '3')])
+    assert.equal(rest.body.nextCursor, null)
+
+    assert.equal((await request('GET', '/authors?verified=true')).body.totalCount, 2)
+    assert.deepEqual((await request('GET', '/games?platform=PC')).body.items.map((game) => game.title), ['Legend of Code', 'Terminal Quest'])
+    assert.equal((await request('GET', '/games?first=many')).status, 400)
+
+    const game = await request('GET', '/games/1')
+    assert.equal(game.status, 200)
+    assert.equal(game.body.id, toGlobalId('Game', '1'))
+    assert.deepEqual(game.body.reviews.map((review) => review.author.name), ['Alice Devlin', 'Bob Coder'])
+
+    const missing = await request('GET', '/games/999')
+    assert.equal(missing.status, 404)
+    assert.equal(missing.body.error.code, 'NOT_FOUND')
+})
+
+test('POST, PATCH and DELETE run the mutations, with their permissions and validation', async (t) => {
+    const { request } = await gateway(t)
+
+    assert.equal((await request('POST', '/games', { body: { title: 'Pixel Farm', platform: ['PC'] } })).status, 401)
+    assert.equal((await request('POST', '/games', { body: { title: 'Pixel Farm', platform: ['PC'] }, auth: ALICE })).status, 403)
+
+    const invalid = await request('POST', '/games', { body: { title: ' ', platform: ['PC'] }, auth: ADMIN })
+    assert.equal(invalid.status, 400)
+    assert.deepEqual(invalid.body.error.fieldErrors, { title: 'must not be blank' })
+    assert.equal((await request('POST', '/games', { body: { title: 'No platform' }, auth: ADMIN })).status, 400)
+    assert.equal((await request('POST', '/games', { rawBody: '{not json', auth: ADMIN })).body.error.code, 'BAD_USER_INPUT')
+
+    const created = await request('POST', '/games', { body: { title: 'Pixel Farm', platform: ['PC'] }, auth: ADMIN })
+    assert.equal(created.status, 201)
+    assert.equal(created.headers.get('location'), `/rest/games/${encodeURIComponent(created.body.id)}`)
+    assert.equal((await request('GET', created.headers.get('location').slice('/rest'.length))).body.title, 'Pixel Farm')
+
+    const patched = await request('PATCH', `/games/${created.body.id}?expectedVersion=1`, { body: { title: 'Pixel Farm 2' }, auth: ADMIN })
+    assert.equal(patched.status, 200)
+    assert.deepEqual([patched.body.title, patched.body.platform, patched.body.version], ['Pixel Farm 2', ['PC'], 2])
+    const stale = await request('PATCH', `/games/${created.body.id}?expectedVersion=1`, { body: { title: 'Pixel Farm 3' }, auth: ADMIN })
+    assert.equal(stale.status, 409)
+    assert.equal(stale.body.error.currentVersion, 2)
+
+    const deleted = await request('DELETE', `/games/${created.body.id}`, { auth: ADMIN })
+    assert.equal(deleted.status, 204)
+    assert.equal(deleted.body, undefined)
+    assert.equal((await request('DELETE', `/games/${created.body.id}`, { auth: ADMIN })).status, 404)
+    assert.equal((await request('GET', `/games/${created.body.id}`)).status, 404)
+})
+
+test('every route has an OpenAPI operation, typed from the GraphQL schema', async (t) => {
+    const { request } = await gateway(t)
+
+    const { status, body: document } = await request('GET', '/openapi.json')
+    assert.equal(status, 200)
+    assert.equal(document.openapi, '3.1.0')
+    assert.deepEqual(document.servers, [{ url: '/rest' }])
+
+    const operations = Object.values(document.paths).flatMap((path) => Object.values(path))
+    assert.equal(operations.length, ROUTES.length)
+
+    const list = document.paths['/games'].get
+    assert.deepEqual(list.parameters.map((parameter) => parameter.name), ['first', 'after', 'platform', 'titleContains'])
+    assert.deepEqual(list.parameters[2].schema.enum, ['PC', 'PLAYSTATION', 'XBOX', 'SWITCH', 'MOBILE'])
+    const page = list.responses[200].content['application/json'].schema
+    assert.deepEqual(page.properties.items.items.properties.averageRating, { type: ['number', 'null'] })
+
+    const add = document.paths['/authors'].post
+    const body = add.requestBody.content['application/json'].schema
+    assert.deepEqual(body.required, ['name'])
+    assert.equal(body.properties.verified.default, false)
+    assert.deepEqual(add.security, [{ bearerAuth: [] }])
+    assert.deepEqual(Object.keys(add.responses), ['201', '400', '401', '403', '429'])
+
+    const update = document.paths['/reviews/{id}'].patch
+    assert.deepEqual(update.parameters.map(({ name, in: where }) => [name, where]), [['id', 'path'], ['expectedVersion', 'query']])
+    assert.ok('409' in update.responses)
+})
+
+test('GraphQL error codes map to HTTP statuses', () => {
+    assert.equal(errorResponse(invalidInput({ title: 'must not be blank' })).status, 400)
+    assert.deepEqual(errorResponse({ message: 'Slow down', extensions: { code: 'RATE_LIMITED', retryAfter: 3, http: { status: 429 } } }), {
+        status: 429,
+        body: { error: { code: 'RATE_LIMITED', message: 'Slow down', retryAfter: 3 } }
+    })
+    assert.equal(errorResponse(new Error('boom')).status, 500)
+    assert.deepEqual(Object.values(HTTP_STATUS).sort(), [400, 400, 400, 401, 403, 404, 409, 429])
+})
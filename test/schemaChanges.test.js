@@ -0,0 +1,54 @@
+/**
+ * test/schemaChanges.test.js — Finding breaking changes against the snapshot
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+
+import { printSchema } from 'graphql'
+
+import { diffSchemas, unapprovedChanges } from '../schemaChanges.js'
+import { schema } from '../server.js'
+
+const BEFORE = `
+    type Query { game(id: ID!): Game, games: [Game!]! }
+    type Game { id: ID!, title: String!, rating: Int, year: Int }
+    enum Platform { PC, SWITCH }
+`
+
+const types = (changes) => changes.map((change) => change.type)
+
+test('changes are sorted into breaking, dangerous and safe', () => {
+    const { breaking, dangerous, safe } = diffSchemas(BEFORE, `
+        type Query { game(id: ID!): Game, games: [Game!]! @deprecated(reason: "Use search") }
+        type Game { id: ID!, title: String!, year: Int, summary: String }
+        type Review { id: ID! }
+        enum Platform { PC, SWITCH, MOBILE }
+    `)
+
+    assert.deepEqual(breaking.map(({ description }) => description), ['Game.rating was removed.'])
+    assert.deepEqual(types(dangerous), ['VALUE_ADDED_TO_ENUM'])
+    assert.deepEqual(types(safe), ['FIELD_DEPRECATED', 'FIELD_ADDED', 'TYPE_ADDED'])
+    assert.deepEqual(diffSchemas(BEFORE, BEFORE), { breaking: [], dangerous: [], safe: [] })
+})
+
+test('approved breaking changes are matched by their description', () => {
+    const { breaking } = diffSchemas(BEFORE, 'type Query { games: [Game!]! } type Game { id: ID!, title: Int!, year: Int } enum Platform { PC }')
+    const approvals = [{ description: 'Game.rating was removed.', reason: 'Never filled in' }]
+
+    assert.equal(breaking.length, 4)
+    assert.deepEqual(unapprovedChanges(breaking, approvals).map(({ description }) => description), [
+        'Query.game was removed.',
+        'Game.title changed type from String! to Int!.',
+        'SWITCH was removed from enum type Platform.'
+    ])
+})
+
+test('the schema has no unapproved breaking changes since schema.graphql', async () => {
+    const snapshot = await readFile(new URL('../schema.graphql', import.meta.url), 'utf8')
+    const approvals = JSON.parse(await readFile(new URL('../schema-approvals.json', import.meta.url), 'utf8'))
+
+    const { breaking } = diffSchemas(snapshot, printSchema(schema))
+    assert.deepEqual(unapprovedChanges(breaking, approvals), [], 'run `npm run schema -- check` for details')
+})
@@ -0,0 +1,107 @@
+/**
+ * test/search.test.js — Full-text search
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { highlight, tokenize } from '../search.js'
+import { toGlobalId } from '../ids.js'
+import { plainId, setup as setupServer, users } from './helpers.js'
+
+/**
+ * Every operation in a test runs against the same server, as an admin.
+ */
+async function setup() {
+    const { run } = await setupServer()
+    return (query) => run(query, { user: users.admin })
+}
+
+const searchQuery = (term, extra = '') => `{
+    search(term: "${term}"${extra}) {
+        snippet
+        item {
+            __typename
+            ... on Game { id }
+            ... on Review { id }
+            ... on Author { id }
+        }
+    }
+}`
+
+test('tokenizing is case-insensitive and ignores punctuation', () => {
+    assert.deepEqual(tokenize('Bug-Hunter 3000!'), ['bug', 'hunter', '3000'])
+})
+
+test('matches are case-insensitive and work on partial words', async () => {
+    const run = await setup()
+    const { data } = await run(searchQuery('LEGEND co'))
+
+    assert.deepEqual(data.search, [
+        { snippet: '<mark>Legend</mark> of <mark>Code</mark>', item: { __typename: 'Game', id: toGlobalId('Game', '1') } }
+    ])
+})
+
+test('finds reviews mentioning a word, with highlighted snippets', async () => {
+    const run = await setup()
+    const { data } = await run(searchQuery('bugs'))
+
+    assert.deepEqual(data.search, [
+        { snippet: 'Too many <mark>bugs</mark>, felt unfinished.', item: { __typename: 'Review', id: toGlobalId('Review', '104') } }
+    ])
+})
+
+test('types narrows the search and results are ranked', async () => {
+    const run = await setup()
+
+    // "bug" matches the review word "bugs" and the title word "bug" exactly
+    const all = await run(searchQuery('bug'))
+    assert.deepEqual(all.data.search.map((hit) => hit.item.__typename), ['Game', 'Review'])
+
+    const reviewsOnly = await run(searchQuery('bug', ', types: [REVIEW]'))
+    assert.deepEqual(reviewsOnly.data.search.map((hit) => plainId(hit.item.id)), ['104'])
+})
+
+test('first must be between 1 and 100', async () => {
+    const run = await setup()
+
+    for (const first of [-1, 0, 101]) {
+        const { errors } = await run(searchQuery('bug', `, first: ${first}`))
+        assert.equal(errors[0].extensions.code, 'BAD_USER_INPUT')
+        assert.deepEqual(errors[0].extensions.fieldErrors, { first: 'must be a whole number from 1 to 100' })
+    }
+    assert.equal((await run(searchQuery('bug', ', first: 1'))).data.search.length, 1)
+})
+
+test('mutations keep the index up to date', async () => {
+    const run = await setup()
+    await run('mutation { addGame(game: { title: "Quantum Bugs", platform: [PC] }) { id } }')
+    await run('mutation { updateGame(id: "3", edits: { title: "Shell Odyssey" }) { id } }')
+    await run('mutation { deleteGame(id: "1") { id } }')
+
+    const added = await run(searchQuery('quantum'))
+    assert.equal(added.data.search[0].item.__typename, 'Game')
+
+    assert.deepEqual((await run(searchQuery('terminal'))).data.search, [])
+    assert.equal(plainId((await run(searchQuery('odyssey'))).data.search[0].item.id), '3')
+
+    // Deleting game 1 also deleted its reviews — including 104 about "bugs"
+    const bugs = await run(searchQuery('bugs', ', types: [REVIEW]'))
+    assert.deepEqual(bugs.data.search, [])
+})
+
+test('snippets escape the text around the highlights, so it cannot inject HTML', async () => {
+    const run = await setup()
+    await run('mutation { addReview(review: { rating: 5, content: "superb <img src=x onerror=alert(1)> game & \\"fun\\"", game_id: "2", author_id: "201" }) { id } }')
+
+    const { data } = await run(searchQuery('superb', ', types: [REVIEW]'))
+    assert.equal(data.search[0].snippet, '<mark>superb</mark> &lt;img src=x onerror=alert(1)&gt; game &amp; &quot;fun&quot;')
+})
+
+test('long texts are cut down to a window around the first match', () => {
+    const text = `${'filler '.repeat(20)}needle ${'filler '.repeat(20)}`
+    const snippet = highlight(text, new Set(['needle']))
+
+    assert.ok(snippet.startsWith('…') && snippet.endsWith('…'))
+    assert.ok(snippet.includes('<mark>needle</mark>'))
+})
@@ -0,0 +1,111 @@
+/**
+ * test/social.test.js — Author profiles, follows and the review feed
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { VERIFIED_BOOST, feedRank } from '../social.js'
+import { errorCode, plainId, setup, users } from './helpers.js'
+
+const { admin, alice, bob, charlie, moderator } = users
+
+const FEED = '{ feed { totalCount edges { node { id } } } }'
+const feedIds = (result) => result.data.feed.edges.map(({ node }) => plainId(node.id))
+
+test('authors have a bio, an avatar and the date they joined', async () => {
+    const { run } = await setup()
+
+    const { data } = await run('{ author(id: "201") { bio avatarUrl joinedAt } bob: author(id: "202") { bio avatarUrl } }')
+    assert.deepEqual(data.author, {
+        bio: 'Story-driven adventures and anything with a good soundtrack.',
+        avatarUrl: 'https://example.com/avatars/alice.png',
+        joinedAt: '2024-01-01T00:00:00.000Z'
+    })
+    assert.deepEqual(data.bob, { bio: null, avatarUrl: null })
+
+    const invalid = await run('mutation { addAuthor(author: { name: "Dana", avatar_url: "javascript:alert(1)" }) { id } }', { user: admin })
+    assert.deepEqual(invalid.errors[0].extensions.fieldErrors, { avatar_url: 'must be an http:// or https:// URL' })
+
+    const cleared = await run('mutation { updateAuthor(id: "201", edits: { bio: null }) { bio avatarUrl } }', { user: admin })
+    assert.deepEqual(cleared.data.updateAuthor, { bio: null, avatarUrl: 'https://example.com/avatars/alice.png' })
+})
+
+test('followAuthor and unfollowAuthor manage the follow graph, once per pair', async () => {
+    const { run } = await setup()
+    const graph = `{
+        alice: author(id: "201") { following { totalCount edges { node { name } } } }
+        charlie: author(id: "203") { followers { totalCount edges { node { name } } } }
+    }`
+
+    await run('mutation { followAuthor(id: "203") { id } }', { user: alice })
+    const again = await run('mutation { followAuthor(id: "203") { name followers { totalCount } } }', { user: alice })
+    assert.deepEqual(again.data.followAuthor, { name: 'Charlie Script', followers: { totalCount: 1 } })
+
+    const { data } = await run(graph)
+    assert.deepEqual(data.alice.following, { totalCount: 1, edges: [{ node: { name: 'Charlie Script' } }] })
+    assert.deepEqual(data.charlie.followers, { totalCount: 1, edges: [{ node: { name: 'Alice Devlin' } }] })
+
+    assert.equal(errorCode(await run('mutation { followAuthor(id: "201") { id } }', { user: alice })), 'BAD_USER_INPUT')
+    assert.equal(errorCode(await run('mutation { followAuthor(id: "999") { id } }', { user: alice })), 'NOT_FOUND')
+    assert.equal(errorCode(await run('mutation { followAuthor(id: "203") { id } }', { user: admin })), 'FORBIDDEN')
+    assert.equal(errorCode(await run('mutation { followAuthor(id: "203") { id } }')), 'UNAUTHENTICATED')
+
+    await run('mutation { unfollowAuthor(id: "203") { id } }', { user: alice })
+    await run('mutation { unfollowAuthor(id: "203") { id } }', { user: alice })
+    assert.equal((await run(graph)).data.charlie.followers.totalCount, 0)
+})
+
+test('following and unfollowing are audited, but repeats that change nothing are not', async () => {
+    const { run } = await setup()
+    await run('mutation { followAuthor(id: "203") { id } }', { user: alice })
+    await run('mutation { followAuthor(id: "203") { id } }', { user: alice })
+    await run('mutation { unfollowAuthor(id: "203") { id } }', { user: alice })
+    await run('mutation { unfollowAuthor(id: "203") { id } }', { user: alice })
+
+    const log = await run('{ auditLog(filter: { entityType: "Follow" }) { edges { node { operation userId before after } } } }', { user: admin })
+    const entries = log.data.auditLog.edges.map(({ node }) => node).reverse()   // the log is newest first
+    assert.deepEqual(entries.map(({ operation, userId }) => [operation, userId]), [['followAuthor', '201'], ['unfollowAuthor', '201']])
+    assert.equal(entries[0].before, null)
+    assert.deepEqual([entries[0].after.follower_id, entries[0].after.followee_id], ['201', '203'])
+    assert.deepEqual(entries[1].before, entries[0].after)
+    assert.equal(entries[1].after, null)
+})
+
+test("the feed shows followed authors' published reviews, newest first and verified authors higher", async () => {
+    const { run } = await setup()
+    assert.equal(errorCode(await run(FEED)), 'UNAUTHENTICATED')
+    assert.equal((await run(FEED, { user: alice })).data.feed.totalCount, 0)
+
+    await run('mutation { followAuthor(id: "202") { id } }', { user: alice })
+    await run('mutation { followAuthor(id: "203") { id } }', { user: alice })
+
+    // All seeded at the same moment: Charlie is verified, so his review
+    // leads; Bob's follow newest id first
+    assert.deepEqual(feedIds(await run(FEED, { user: alice })), ['103', '104', '102'])
+
+    // Bob's new review waits for a moderator before it shows up — on top
+    const added = await run('mutation { addReview(review: { rating: 4, content: "Patched!", game_id: "1", author_id: "202" }) { id } }', { user: bob })
+    assert.equal((await run(FEED, { user: alice })).data.feed.totalCount, 3)
+    await run(`mutation { approveReview(id: "${added.data.addReview.id}") { id } }`, { user: moderator })
+    assert.deepEqual(feedIds(await run(FEED, { user: alice })), [plainId(added.data.addReview.id), '103', '104', '102'])
+
+    // Deleted authors drop out, and it pages like any connection
+    await run('mutation { deleteAuthor(id: "202") { id } }', { user: admin })
+    const page = await run('{ feed(first: 1) { totalCount edges { node { id } } pageInfo { hasNextPage } } }', { user: alice })
+    assert.deepEqual(feedIds(page), ['103'])
+    assert.equal(page.data.feed.pageInfo.hasNextPage, false)
+    assert.equal((await run(FEED, { user: charlie })).data.feed.totalCount, 0)
+})
+
+test('a verified review outranks newer unverified ones, up to the boost', () => {
+    const now = Date.parse('2026-01-31T12:00:00.000Z')
+    const review = (hoursAgo) => ({ created_at: new Date(now - hoursAgo * 60 * 60 * 1000).toISOString() })
+    const verified = { verified: true }
+    const unverified = { verified: false }
+
+    assert.equal(VERIFIED_BOOST, 6 * 60 * 60 * 1000)
+    assert.ok(feedRank(review(5), verified) > feedRank(review(1), unverified))
+    assert.ok(feedRank(review(7), verified) < feedRank(review(0.5), unverified))
+    assert.ok(feedRank(review(1), unverified) > feedRank(review(2), unverified))
+})
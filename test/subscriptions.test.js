@@ -0,0 +1,65 @@
+/**
+ * test/subscriptions.test.js — Events published by mutations
+ *
+ * Subscribes straight through graphql's subscribe() (no WebSocket needed),
+ * runs a mutation through Apollo with the same pubsub, and reads the
+ * event that arrives on the subscription's stream.
+ *
+ * The pubsub only starts listening on the first next() call, so each
+ * test asks for its event BEFORE running the mutation that publishes it.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parse, subscribe } from 'graphql'
+
+import { toGlobalId } from '../ids.js'
+import { setup as setupServer, users } from './helpers.js'
+
+async function setup() {
+    const { schema, createContext, run } = await setupServer()
+
+    return {
+        listen: (query) => subscribe({
+            schema,
+            document: parse(query),
+            contextValue: createContext({ cache: false })
+        }),
+        mutate: (query) => run(query, { user: users.admin })
+    }
+}
+
+async function nextEvent(pending) {
+    const { value } = await pending
+    return JSON.parse(JSON.stringify(value))
+}
+
+test('reviewAdded(gameId) only delivers reviews of that game', async () => {
+    const { listen, mutate } = await setup()
+    const stream = await listen('subscription { reviewAdded(gameId: "2") { content game { title } } }')
+    const event = stream.next()
+
+    await mutate('mutation { addReview(review: { rating: 4, content: "Game one", game_id: "1", author_id: "201" }) { id } }')
+    await mutate('mutation { addReview(review: { rating: 4, content: "Game two", game_id: "2", author_id: "201" }) { id } }')
+
+    assert.deepEqual(await nextEvent(event), {
+        data: { reviewAdded: { content: 'Game two', game: { title: 'Bug Hunter 3000' } } }
+    })
+    await stream.return()
+})
+
+test('updateGame and deleteGame publish the affected game', async () => {
+    const { listen, mutate } = await setup()
+    const updates = await listen(`subscription { gameUpdated(id: "${toGlobalId('Game', '1')}") { title } }`)
+    const deletions = await listen('subscription { gameDeleted { id title } }')
+    const updated = updates.next()
+    const deleted = deletions.next()
+
+    await mutate('mutation { updateGame(id: "1", edits: { title: "Legend of Code II" }) { id } }')
+    await mutate('mutation { deleteGame(id: "1") { id } }')
+
+    assert.deepEqual(await nextEvent(updated), { data: { gameUpdated: { title: 'Legend of Code II' } } })
+    assert.deepEqual(await nextEvent(deleted), { data: { gameDeleted: { id: toGlobalId('Game', '1'), title: 'Legend of Code II' } } })
+    await updates.return()
+    await deletions.return()
+})
@@ -0,0 +1,79 @@
+/**
+ * test/validation.test.js — Input validation and NOT_FOUND errors
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { setup, users } from './helpers.js'
+
+const { admin, alice } = users
+
+async function run(query, user = admin) {
+    const { run } = await setup()
+    return run(query, { user })
+}
+
+test('addGame reports every invalid field at once', async () => {
+    const result = await run('mutation { addGame(game: { title: "  ", platform: [PC, PC] }) { id } }')
+    const [error] = result.errors
+
+    assert.equal(error.extensions.code, 'BAD_USER_INPUT')
+    assert.deepEqual(error.extensions.fieldErrors, {
+        title: 'must not be blank',
+        platform: 'must not contain duplicates'
+    })
+})
+
+test('addGame rejects an empty platform list and unknown platforms', async () => {
+    const empty = await run('mutation { addGame(game: { title: "Game", platform: [] }) { id } }')
+    assert.deepEqual(empty.errors[0].extensions.fieldErrors, { platform: 'must contain at least one item' })
+
+    // Not a Platform enum value — rejected by GraphQL before any resolver runs
+    const unknown = await run('mutation { addGame(game: { title: "Game", platform: [TOASTER] }) { id } }')
+    assert.equal(unknown.errors[0].extensions.code, 'GRAPHQL_VALIDATION_FAILED')
+})
+
+test('platforms are exposed as enum values', async () => {
+    const result = await run('{ game(id: "2") { platform } }')
+    assert.deepEqual(result.data.game.platform, ['XBOX', 'PLAYSTATION'])
+})
+
+test('review ratings must be 1 to 5', async () => {
+    for (const rating of [0, 6]) {
+        const result = await run(`mutation {
+            addReview(review: { rating: ${rating}, content: "Hmm", game_id: "1", author_id: "201" }) { id }
+        }`, alice)
+        assert.deepEqual(result.errors[0].extensions.fieldErrors, { rating: 'must be a whole number from 1 to 5' })
+    }
+})
+
+test('unknown foreign keys are reported as field errors', async () => {
+    const result = await run(`mutation {
+        addReview(review: { rating: 3, content: "Hmm", game_id: "999", author_id: "998" }) { id }
+    }`)
+    assert.deepEqual(result.errors[0].extensions.fieldErrors, {
+        game_id: 'Game "999" does not exist',
+        author_id: 'Author "998" does not exist'
+    })
+})
+
+test('edits may leave fields out but not set them to null', async () => {
+    const result = await run('mutation { updateAuthor(id: "202", edits: { name: null }) { id } }')
+    assert.deepEqual(result.errors[0].extensions.fieldErrors, { name: 'must not be null' })
+
+    const ok = await run('mutation { updateAuthor(id: "202", edits: { verified: true }) { name verified } }')
+    assert.deepEqual(ok.data.updateAuthor, { name: 'Bob Coder', verified: true })
+})
+
+test('mutations on unknown ids fail with NOT_FOUND', async () => {
+    for (const mutation of [
+        'updateGame(id: "999", edits: { title: "Nope" }) { id }',
+        'deleteGame(id: "999") { id }',
+        'updateReview(id: "999", edits: { rating: 3 }) { id }',
+        'deleteAuthor(id: "999") { id }'
+    ]) {
+        const result = await run(`mutation { ${mutation} }`)
+        assert.equal(result.errors[0].extensions.code, 'NOT_FOUND', mutation)
+    }
+})
@@ -0,0 +1,119 @@
+/**
+ * test/versions.test.js — Versions, timestamps and optimistic concurrency
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { Kind } from 'graphql'
+
+import seed from '../_db.js'
+import { FileStore } from '../datasources/file.js'
+import { toGlobalId } from '../ids.js'
+import { DateTimeScalar } from '../scalars.js'
+import { errorCode, setup, users } from './helpers.js'
+
+const { admin, alice } = users
+
+test('new records start at version 1 with createdAt = updatedAt', async () => {
+    const { run } = await setup()
+
+    const result = await run('mutation { addGame(game: { title: "Pixel Farm", platform: [PC] }) { version createdAt updatedAt } }', { user: admin })
+    const { version, createdAt, updatedAt } = result.data.addGame
+
+    assert.equal(version, 1)
+    assert.equal(createdAt, updatedAt)
+    assert.ok(Date.now() - Date.parse(createdAt) < 60_000)
+})
+
+test('every update bumps the version and updatedAt but keeps createdAt', async () => {
+    const { run } = await setup()
+
+    const result = await run(`mutation {
+        first: updateGame(id: "1", edits: { title: "One" }) { version createdAt updatedAt }
+        second: updateGame(id: "1", edits: { title: "Two" }) { version createdAt updatedAt }
+    }`, { user: admin })
+
+    assert.equal(result.data.first.version, 2)
+    assert.equal(result.data.second.version, 3)
+    assert.equal(result.data.second.createdAt, '2024-01-01T00:00:00.000Z')
+    assert.notEqual(result.data.second.updatedAt, '2024-01-01T00:00:00.000Z')
+})
+
+test('an update with the current expectedVersion goes through', async () => {
+    const { run } = await setup()
+
+    const result = await run('mutation { updateAuthor(id: "202", edits: { verified: true }, expectedVersion: 1) { verified version } }', { user: admin })
+    assert.deepEqual(result.data.updateAuthor, { verified: true, version: 2 })
+})
+
+test('a stale expectedVersion fails with CONFLICT and the current record', async () => {
+    const { run } = await setup()
+
+    // Two editors both read version 1; the first one saves
+    await run('mutation { updateGame(id: "1", edits: { title: "Editor One" }, expectedVersion: 1) { id } }', { user: admin })
+    const second = await run('mutation { updateGame(id: "1", edits: { title: "Editor Two" }, expectedVersion: 1) { id } }', { user: admin })
+
+    assert.equal(errorCode(second), 'CONFLICT')
+    const { expectedVersion, currentVersion, current } = second.errors[0].extensions
+    assert.equal(expectedVersion, 1)
+    assert.equal(currentVersion, 2)
+    assert.equal(current.title, 'Editor One')
+    assert.deepEqual(current, {
+        id: toGlobalId('Game', '1'),
+        title: 'Editor One',
+        platform: ['PC', 'SWITCH'],
+        version: 2,
+        createdAt: '2024-01-01T00:00:00.000Z',
+        updatedAt: current.updatedAt
+    })
+
+    const game = await run('{ game(id: "1") { title version } }')
+    assert.deepEqual(game.data.game, { title: 'Editor One', version: 2 })
+})
+
+test('updateReview checks expectedVersion too', async () => {
+    const { run } = await setup()
+
+    const stale = await run('mutation { updateReview(id: "101", edits: { rating: 4 }, expectedVersion: 7) { id } }', { user: alice })
+    assert.equal(errorCode(stale), 'CONFLICT')
+
+    // Only what the API serves: no game_id / author_id from the stored record
+    const { current } = stale.errors[0].extensions
+    assert.deepEqual(Object.keys(current), ['id', 'rating', 'content', 'status', 'version', 'createdAt', 'updatedAt'])
+    assert.equal(current.id, toGlobalId('Review', '101'))
+    assert.equal(current.status, 'PUBLISHED')
+})
+
+test('records saved before versions existed are loaded at version 1, with timestamps', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'versions-test-'))
+    const filePath = path.join(dir, 'db.json')
+    try {
+        const strip = (records) => records.map(({ version, created_at, updated_at, ...record }) => record)
+        await writeFile(filePath, JSON.stringify({ games: strip(seed.games), authors: strip(seed.authors), reviews: strip(seed.reviews) }))
+
+        const { run } = await setup({ db: await FileStore.open(filePath) })
+        const result = await run('{ game(id: "1") { version createdAt updatedAt } author(id: "201") { version joinedAt } review(id: "101") { version } }')
+        assert.equal(result.errors, undefined)
+        assert.equal(result.data.game.version, 1)
+        assert.equal(result.data.game.updatedAt, result.data.game.createdAt)
+        assert.equal(result.data.author.joinedAt, result.data.game.createdAt)
+        assert.equal(result.data.review.version, 1)
+
+        const saved = JSON.parse(await readFile(filePath, 'utf8'))
+        assert.equal(saved.games[0].created_at, result.data.game.createdAt)
+    } finally {
+        await rm(dir, { recursive: true, force: true })
+    }
+})
+
+test('DateTime serializes to ISO 8601 and only accepts full date-times', () => {
+    assert.equal(DateTimeScalar.serialize(new Date(Date.UTC(2026, 0, 31, 12))), '2026-01-31T12:00:00.000Z')
+    assert.equal(DateTimeScalar.parseValue('2026-01-31T14:00:00+02:00').toISOString(), '2026-01-31T12:00:00.000Z')
+
+    assert.throws(() => DateTimeScalar.parseValue('2026-01-31'), /ISO 8601/)
+    assert.throws(() => DateTimeScalar.parseValue('2026-13-45T99:00:00Z'), /cannot represent/)
+    assert.throws(() => DateTimeScalar.parseLiteral({ kind: Kind.INT, value: '1' }), /must be a string/)
+})
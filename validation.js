@@ -0,0 +1,216 @@
+/**
+ * validation.js — Input Validation
+ *
+ * The schema already guarantees the SHAPE of every input: a title is a
+ * String, a rating is an Int, a platform is one of the Platform enum values.
+ * It can't say "a title must not be empty" or "a rating is between 1 and 5".
+ * Those rules live here, and every mutation runs its input through them
+ * before touching the data source.
+ *
+ * RULES
+ * A rule is a small function that gets a value and returns an error
+ * message, or nothing if the value is fine:
+ *
+ *   const positive = (value) => value > 0 ? undefined : 'must be positive'
+ *
+ * A RULE SET maps input field names to the rules for that field — see
+ * gameRules, reviewRules and authorRules at the bottom of this file.
+ *
+ * ERRORS
+ * validate() checks every field before throwing, so the client learns
+ * about ALL of its mistakes in one round trip. The error looks like:
+ *
+ *   {
+ *     "message": "Invalid input: title, platform",
+ *     "extensions": {
+ *       "code": "BAD_USER_INPUT",
+ *       "fieldErrors": {
+ *         "title": "must not be blank",
+ *         "platform": "must not contain duplicates"
+ *       }
+ *     }
+ *   }
+ *
+ * Mutations that target a record by id throw notFound() when there's no
+ * such record, with the code NOT_FOUND. Updates sent with a stale
+ * expectedVersion throw conflict(), with the code CONFLICT.
+ */
+
+import { GraphQLError } from 'graphql'
+
+// =============================================================================
+// RULES
+// =============================================================================
+
+export const notBlank = (value) =>
+    value.trim().length === 0 ? 'must not be blank' : undefined
+
+export const maxLength = (max) => (value) =>
+    value.length > max ? `must be at most ${max} characters` : undefined
+
+export const intRange = (min, max) => (value) =>
+    !Number.isInteger(value) || value < min || value > max
+        ? `must be a whole number from ${min} to ${max}`
+        : undefined
+
+export const atLeast = (min) => (value) =>
+    !Number.isInteger(value) || value < min ? `must be a whole number of at least ${min}` : undefined
+
+export const notEmptyList = (value) =>
+    value.length === 0 ? 'must contain at least one item' : undefined
+
+export const noDuplicates = (value) =>
+    new Set(value).size !== value.length ? 'must not contain duplicates' : undefined
+
+export const httpUrl = (value) =>
+    !URL.canParse(value) || !['http:', 'https:'].includes(new URL(value).protocol)
+        ? 'must be an http:// or https:// URL'
+        : undefined
+
+/**
+ * optional(...rules)
+ * Marks a field the schema lets be null: it may be left out or set to
+ * null (clearing it), and its rules only run when it has a value.
+ */
+export const optional = (...rules) => Object.assign(rules, { optional: true })
+
+
+// =============================================================================
+// VALIDATE
+// =============================================================================
+
+/**
+ * validate(input, rules, options)
+ * Runs every rule for every field of input, and throws a BAD_USER_INPUT
+ * error carrying extensions.fieldErrors if any of them fail.
+ *
+ * options.partial — set for "edit" inputs, where every field is optional.
+ *   Fields that are left out are skipped, but a field explicitly set to
+ *   null is rejected: that would erase a value the schema says can't be null.
+ *   Without partial, a missing field is an error.
+ *   Fields whose rules are wrapped in optional() are never required.
+ */
+export function validate(input, rules, { partial = false } = {}) {
+    const fieldErrors = {}
+
+    for (const [field, fieldRules] of Object.entries(rules)) {
+        const value = input[field]
+
+        if (value === undefined && partial) continue
+        if (value == null && fieldRules.optional) continue
+        if (value == null) {
+            fieldErrors[field] = partial ? 'must not be null' : 'is required'
+            continue
+        }
+
+        for (const rule of fieldRules) {
+            const message = rule(value)
+            if (message) {
+                fieldErrors[field] = message
+                break   // report only the first problem with each field
+            }
+        }
+    }
+
+    if (Object.keys(fieldErrors).length > 0) throw invalidInput(fieldErrors)
+}
+
+/**
+ * invalidInput(fieldErrors)
+ * The BAD_USER_INPUT error thrown by validate(). Also used directly by
+ * resolvers for checks that need the data source, like foreign keys.
+ */
+export function invalidInput(fieldErrors) {
+    return new GraphQLError(`Invalid input: ${Object.keys(fieldErrors).join(', ')}`, {
+        extensions: { code: 'BAD_USER_INPUT', fieldErrors }
+    })
+}
+
+/**
+ * notFound(type, id)
+ * Thrown when a mutation targets a record that doesn't exist.
+ */
+export function notFound(type, id) {
+    return new GraphQLError(`${type} with id "${id}" does not exist`, {
+        extensions: { code: 'NOT_FOUND', type, id }
+    })
+}
+
+/**
+ * conflict(type, current, expectedVersion)
+ * Thrown when an update's expectedVersion is out of date: someone else
+ * changed the record since the client read it. current is the record
+ * as it is now, already in the shape the API serves it (global id,
+ * camelCase fields), so the client can show what changed and retry with
+ * current.version.
+ */
+export function conflict(type, current, expectedVersion) {
+    return new GraphQLError(
+        `${type} with id "${current.id}" has been changed since version ${expectedVersion}`,
+        {
+            extensions: {
+                code: 'CONFLICT',
+                type,
+                id: current.id,
+                expectedVersion,
+                currentVersion: current.version,
+                current
+            }
+        }
+    )
+}
+
+
+// =============================================================================
+// ALLOWED VALUES
+// =============================================================================
+/**
+ * PLATFORMS
+ * Every Platform enum value, and the string stored in the data for it.
+ * The Platform enum resolver uses this to convert between the two, and
+ * the catalog import (catalog.js) to accept either spelling.
+ */
+export const PLATFORMS = {
+    PC: 'PC',
+    PLAYSTATION: 'PlayStation',
+    XBOX: 'Xbox',
+    SWITCH: 'Switch',
+    MOBILE: 'Mobile'
+}
+
+
+// =============================================================================
+// RULE SETS
+// =============================================================================
+// One per entity. The same set is used for the "add" input (every field
+// required) and the "edit" input (partial: true).
+
+export const gameRules = {
+    title: [notBlank, maxLength(200)],
+    platform: [notEmptyList, noDuplicates]
+}
+
+export const reviewRules = {
+    rating: [intRange(1, 5)],
+    content: [notBlank, maxLength(5000)]
+}
+
+export const reportRules = {
+    reason: [notBlank, maxLength(500)]
+}
+
+export const topGamesRules = {
+    limit: [intRange(1, 100)],
+    minReviews: [atLeast(0)]
+}
+
+export const searchRules = {
+    first: [intRange(1, 100)]
+}
+
+export const authorRules = {
+    name: [notBlank, maxLength(100)],
+    verified: [],   // no rules, but still rejects an explicit null in edits
+    bio: optional(maxLength(1000)),
+    avatar_url: optional(httpUrl, maxLength(2000))
+}